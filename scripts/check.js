@@ -0,0 +1,47 @@
+// Deterministic headless checks for game systems. Each module in checks/ exports
+// { checkName: fn } - a check passes unless it throws (async checks are awaited).
+// Usage: npm run check [-- levels navGrid]   (default: every module)
+import { levelChecks } from './checks/levels.js';
+import { navGridChecks } from './checks/navGrid.js';
+import { statusEffectChecks } from './checks/statusEffects.js';
+
+const MODULES = {
+  levels: levelChecks,
+  navGrid: navGridChecks,
+  statusEffects: statusEffectChecks
+};
+
+async function main() {
+  const names = process.argv.slice(2);
+  for (const name of names) {
+    if (!MODULES[name]) {
+      throw new Error(`Unknown check module '${name}' (have: ${Object.keys(MODULES).join(', ')})`);
+    }
+  }
+  
+  let failed = 0;
+  let total = 0;
+  for (const name of names.length > 0 ? names : Object.keys(MODULES)) {
+    for (const [checkName, check] of Object.entries(MODULES[name])) {
+      total++;
+      try {
+        await check();
+        console.log(`ok    ${name}: ${checkName}`);
+      } catch (error) {
+        failed++;
+        console.log(`FAIL  ${name}: ${checkName}\n      ${error.message.split('\n').join('\n      ')}`);
+      }
+    }
+  }
+  
+  console.log('');
+  console.log(`${total - failed}/${total} checks passed`);
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+main().catch(error => {
+  console.error('Checks failed:', error);
+  process.exit(1);
+});
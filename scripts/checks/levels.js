@@ -0,0 +1,77 @@
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { LEVEL_FILES } from '../../src/game/data/levels.js';
+import { LevelGenerator } from '../../src/game/systems/LevelGenerator.js';
+import { LevelLoader } from '../../src/game/systems/LevelLoader.js';
+
+const GENERATED_SEEDS = 20;
+
+// Level files are served from public/ in the browser
+export async function loadShippedLevels() {
+  const levels = {};
+  for (const [id, path] of Object.entries(LEVEL_FILES)) {
+    levels[id] = JSON.parse(await readFile(new URL(`../../public${path}`, import.meta.url), 'utf8'));
+  }
+  return levels;
+}
+
+// One vertical shelf in the middle of an open room
+function createTestLevel() {
+  return {
+    format: 'volume-heist-level',
+    version: 1,
+    id: 'check',
+    world: { width: 480, height: 480 },
+    playerStart: { x: 40, y: 40 },
+    shelfColors: ['red'],
+    shelves: [{ x: 208, y: 192, capacity: 6, orientation: 'vertical' }],
+    spawnDoors: [{ x: 440, y: 440 }]
+  };
+}
+
+export const levelChecks = {
+  async 'shipped levels are valid and every shelf face is reachable'() {
+    for (const [id, level] of Object.entries(await loadShippedLevels())) {
+      LevelLoader.validate(level);
+      assert.deepEqual(LevelGenerator.findUnreachableShelves(level), [], `${id} has unreachable shelves`);
+    }
+  },
+  
+  'the same seed gives the same layout'() {
+    const generator = new LevelGenerator();
+    assert.deepEqual(generator.generate(1234), generator.generate(1234));
+    assert.notDeepEqual(generator.generate(1234).shelves, generator.generate(1235).shelves);
+  },
+  
+  'generated layouts are valid and reachable'() {
+    const generator = new LevelGenerator();
+    for (let seed = 1; seed <= GENERATED_SEEDS; seed++) {
+      const level = generator.generate(seed);
+      LevelLoader.validate(level);
+      assert.deepEqual(LevelGenerator.findUnreachableShelves(level), [], `seed ${seed} has unreachable shelves`);
+    }
+  },
+  
+  'a spawn door inside a shelf is cut off'() {
+    const level = createTestLevel();
+    level.spawnDoors.push({ x: 240, y: 240 });
+    assert.deepEqual(LevelGenerator.findUnreachableShelves(level), [-1]);
+  },
+  
+  'a shelf boxed in by others is unreachable'() {
+    const level = createTestLevel();
+    const shelf = level.shelves[0];
+    
+    // Leave gaps too narrow for anyone to fit through on every side
+    level.shelves.push(
+      { x: shelf.x - 104, y: shelf.y - 40, capacity: 6, orientation: 'vertical' },
+      { x: shelf.x - 104, y: shelf.y + 56, capacity: 6, orientation: 'vertical' },
+      { x: shelf.x + 104, y: shelf.y - 40, capacity: 6, orientation: 'vertical' },
+      { x: shelf.x + 104, y: shelf.y + 56, capacity: 6, orientation: 'vertical' },
+      { x: shelf.x - 40, y: shelf.y - 104, capacity: 6, orientation: 'horizontal' },
+      { x: shelf.x - 40, y: shelf.y + 136, capacity: 6, orientation: 'horizontal' }
+    );
+    assert.ok(LevelGenerator.findUnreachableShelves(level).includes(0));
+    assert.deepEqual(LevelGenerator.findUnreachableShelves(createTestLevel()), []);
+  }
+};
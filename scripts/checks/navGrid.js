@@ -0,0 +1,89 @@
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { Game } from '../../src/game/Game.js';
+import { KID_SIZE } from '../../src/game/entities/Kid.js';
+import { NavGrid } from '../../src/game/systems/NavGrid.js';
+import { loadShippedLevels } from './levels.js';
+
+// A 640x480 room split by a wall with a gap at the bottom
+const WORLD = { width: 640, height: 480 };
+const WALL = { x: 300, y: 0, width: 40, height: 360 };
+const START = { x: 100, y: 100 };
+const GOAL = { x: 540, y: 100 };
+
+// Every leg of the path is walkable and it ends by the goal
+function assertWalkable(navGrid, path, from, goal) {
+  assert.ok(path && path.length > 0, 'no path found');
+  let previous = from;
+  for (const point of path) {
+    assert.ok(navGrid.hasLineOfSight(previous.x, previous.y, point.x, point.y),
+      `blocked between (${previous.x}, ${previous.y}) and (${point.x}, ${point.y})`);
+    previous = point;
+  }
+  const end = path[path.length - 1];
+  assert.ok(Math.hypot(end.x - goal.x, end.y - goal.y) <= navGrid.cellSize, 'path ends away from the goal');
+}
+
+export const navGridChecks = {
+  'a clear line is one waypoint'() {
+    const navGrid = new NavGrid(WORLD.width, WORLD.height, [], KID_SIZE);
+    const path = navGrid.findPathToPoint(START.x, START.y, GOAL.x, GOAL.y);
+    assert.equal(path.length, 1);
+    assertWalkable(navGrid, path, START, GOAL);
+  },
+  
+  'paths go around obstacles through the gap'() {
+    const navGrid = new NavGrid(WORLD.width, WORLD.height, [WALL], KID_SIZE);
+    assert.ok(!navGrid.isOpenAt(WALL.x + WALL.width / 2, WALL.y + WALL.height / 2));
+    
+    const path = navGrid.findPathToPoint(START.x, START.y, GOAL.x, GOAL.y);
+    assertWalkable(navGrid, path, START, GOAL);
+    assert.ok(path.some(point => point.y > WALL.y + WALL.height), 'path should pass under the wall');
+  },
+  
+  'searches are repeatable'() {
+    const navGrid = new NavGrid(WORLD.width, WORLD.height, [WALL], KID_SIZE);
+    const first = navGrid.findPathToPoint(START.x, START.y, GOAL.x, GOAL.y);
+    navGrid.findPathToPoint(GOAL.x, GOAL.y, START.x, START.y);
+    assert.deepEqual(navGrid.findPathToPoint(START.x, START.y, GOAL.x, GOAL.y), first);
+  },
+  
+  'a walled-off goal has no path'() {
+    const navGrid = new NavGrid(WORLD.width, WORLD.height, [{ ...WALL, height: WORLD.height }], KID_SIZE);
+    assert.equal(navGrid.findPathToPoint(START.x, START.y, GOAL.x, GOAL.y), null);
+  },
+  
+  'the node budget cuts long searches short'() {
+    const navGrid = new NavGrid(WORLD.width, WORLD.height, [WALL], KID_SIZE);
+    assert.equal(navGrid.findPathToPoint(START.x, START.y, GOAL.x, GOAL.y, 50), null);
+    assert.ok(navGrid.findPathToPoint(START.x, START.y, GOAL.x, GOAL.y, 2000));
+  },
+  
+  'a path to a rect stops beside it'() {
+    const navGrid = new NavGrid(WORLD.width, WORLD.height, [WALL], KID_SIZE);
+    const path = navGrid.findPathToRect(START.x, START.y, WALL);
+    assert.ok(path && path.length > 0, 'no path found');
+    const end = path[path.length - 1];
+    assert.ok(end.x + navGrid.halfWidth + navGrid.cellSize > WALL.x, 'path stops short of the wall');
+    assert.ok(navGrid.isOpenAt(end.x, end.y));
+  },
+  
+  async 'kids can walk from every spawn door to every shelf in the shipped levels'() {
+    const levels = await loadShippedLevels();
+    const balance = JSON.parse(await readFile(new URL('../../public/data/balance.json', import.meta.url), 'utf8'));
+    const game = new Game(null, { headless: true, balance, levels });
+    await game.init();
+    
+    for (const levelId of Object.keys(levels)) {
+      game.stateManager.changeState('playing', { seed: 1, levelId });
+      const state = game.stateManager.currentState;
+      for (const door of state.level.spawnDoors) {
+        state.shelves.forEach((shelf, index) => {
+          assert.ok(state.navGrid.findPathToRect(door.x, door.y, shelf.getBounds()),
+            `${levelId}: no path from door (${door.x}, ${door.y}) to shelf ${index}`);
+        });
+      }
+      game.replayRecorder.stop();
+    }
+  }
+};
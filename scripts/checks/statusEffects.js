@@ -0,0 +1,110 @@
+import assert from 'node:assert/strict';
+import { StatusEffects } from '../../src/game/systems/StatusEffects.js';
+
+export const statusEffectChecks = {
+  'longest: one at a time, keeping the longer duration'() {
+    const effects = new StatusEffects();
+    effects.apply('stun', 2);
+    effects.apply('stun', 1);
+    assert.equal(effects.active.length, 1);
+    assert.equal(effects.active[0].timeLeft, 2);
+    
+    effects.apply('stun', 3);
+    assert.equal(effects.active[0].timeLeft, 3);
+  },
+  
+  'strongest: the strength furthest from 1 wins'() {
+    const effects = new StatusEffects();
+    effects.apply('sticky', 2, 0.7, 'puddle');
+    effects.apply('sticky', 5, 0.9, 'crumbs');
+    assert.equal(effects.active.length, 1);
+    assert.deepEqual(effects.active[0], { id: 'sticky', source: 'puddle', timeLeft: 2, strength: 0.7 });
+    
+    effects.apply('sticky', 1, 0.5, 'spill');
+    assert.deepEqual(effects.active[0], { id: 'sticky', source: 'spill', timeLeft: 1, strength: 0.5 });
+    
+    // An equal one only extends it
+    effects.apply('sticky', 4, 0.5, 'puddle');
+    assert.equal(effects.active[0].timeLeft, 4);
+    assert.equal(effects.active[0].source, 'spill');
+  },
+  
+  'perSource: one per source, and they multiply'() {
+    const effects = new StatusEffects();
+    effects.apply('slow', 2, 0.5, 'dustCloud');
+    effects.apply('slow', 2, 0.8, 'shushWave');
+    assert.equal(effects.active.length, 2);
+    assert.equal(effects.getSpeedMultiplier(), 0.5 * 0.8);
+    
+    // The same source refreshes its own entry
+    effects.apply('slow', 1, 0.6, 'dustCloud');
+    assert.equal(effects.active.length, 2);
+    assert.deepEqual(effects.active[0], { id: 'slow', source: 'dustCloud', timeLeft: 2, strength: 0.6 });
+  },
+  
+  'a standing slow stacks with timed slows and never runs out'() {
+    const effects = new StatusEffects();
+    effects.setStanding('slow', 0.88, 'airConditioning');
+    effects.apply('slow', 2, 0.5, 'dustCloud');
+    assert.equal(effects.getSpeedMultiplier(), 0.88 * 0.5);
+    
+    // Perk taken again - the same entry gets stronger
+    effects.setStanding('slow', 0.82, 'airConditioning');
+    assert.equal(effects.active.length, 2);
+    
+    effects.update(60);
+    assert.deepEqual(effects.active, [{ id: 'slow', source: 'airConditioning', timeLeft: null, strength: 0.82 }]);
+    assert.equal(effects.getSpeedMultiplier(), 0.82);
+    
+    const restored = new StatusEffects();
+    restored.applySaveData(JSON.parse(JSON.stringify(effects.getSaveData())));
+    restored.update(60);
+    assert.equal(restored.getSpeedMultiplier(), 0.82);
+    
+    effects.setStanding('slow', 1, 'airConditioning');
+    assert.equal(effects.active.length, 0);
+    assert.throws(() => effects.setStanding('stun', 0.5, 'airConditioning'), /can't be standing/);
+  },
+  
+  'only speed effects change speed'() {
+    const effects = new StatusEffects();
+    effects.apply('stun', 2);
+    effects.apply('silence', 2);
+    assert.equal(effects.getSpeedMultiplier(), 1);
+    
+    effects.apply('haste', 2, 1.5);
+    effects.apply('sticky', 2, 0.5);
+    assert.equal(effects.getSpeedMultiplier(), 0.75);
+  },
+  
+  'effects run out'() {
+    const effects = new StatusEffects();
+    effects.apply('stun', 1);
+    effects.apply('slow', 3, 0.5);
+    effects.update(1);
+    assert.ok(!effects.has('stun'));
+    assert.ok(effects.has('slow'));
+    
+    effects.update(2);
+    assert.equal(effects.active.length, 0);
+  },
+  
+  'unknown effects are rejected'() {
+    assert.throws(() => new StatusEffects().apply('confetti', 1), /Unknown status effect 'confetti'/);
+  },
+  
+  'save data round-trips without sharing objects'() {
+    const effects = new StatusEffects();
+    effects.apply('slow', 2, 0.5, 'dustCloud');
+    effects.apply('stun', 1);
+    const data = JSON.parse(JSON.stringify(effects.getSaveData()));
+    
+    const restored = new StatusEffects();
+    restored.applySaveData(data);
+    assert.deepEqual(restored.active, effects.active);
+    
+    restored.update(1);
+    assert.equal(effects.active.length, 2);
+    assert.equal(data.length, 2);
+  }
+};
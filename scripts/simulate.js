@@ -0,0 +1,98 @@
+// Headless balance simulations: runs many games with a scripted librarian and prints a summary per run.
+// Usage: npm run simulate -- --runs 100 --minutes 30 --seed 1234 [--balance path/to/balance.json] [--level main-hall] [--json] [--verbose]
+import { readFile } from 'node:fs/promises';
+import { LEVEL_FILES } from '../src/game/data/levels.js';
+import { Simulation } from '../src/game/simulation/Simulation.js';
+import { Random } from '../src/game/systems/Random.js';
+
+function parseArgs(argv) {
+  const args = { runs: 10, minutes: 30, seed: null, balance: null, level: undefined, json: false, verbose: false };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--runs':
+        args.runs = parseInt(argv[++i], 10);
+        break;
+      case '--minutes':
+        args.minutes = parseFloat(argv[++i]);
+        break;
+      case '--seed':
+        args.seed = argv[++i];
+        break;
+      case '--balance':
+        args.balance = argv[++i];
+        break;
+      case '--level':
+        args.level = argv[++i];
+        break;
+      case '--json':
+        args.json = true;
+        break;
+      case '--verbose':
+        args.verbose = true;
+        break;
+    }
+  }
+  return args;
+}
+
+function formatTime(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${Math.floor(seconds % 60).toString().padStart(2, '0')}`;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  
+  // The game logs heavily for in-browser debugging - keep simulation output readable
+  const log = console.log;
+  if (!args.verbose) {
+    console.log = () => {};
+  }
+  
+  // Try balance changes by pointing at another file
+  const balancePath = args.balance ?? new URL('../public/data/balance.json', import.meta.url);
+  const balance = JSON.parse(await readFile(balancePath, 'utf8'));
+  
+  // Level files are served from public/ in the browser
+  const levels = {};
+  for (const [id, path] of Object.entries(LEVEL_FILES)) {
+    levels[id] = JSON.parse(await readFile(new URL(`../public${path}`, import.meta.url), 'utf8'));
+  }
+  
+  const simulation = new Simulation({ maxMinutes: args.minutes, balance, levels, levelId: args.level });
+  const baseSeed = args.seed !== null ? Random.normalizeSeed(args.seed) : Random.generateSeed();
+  const results = [];
+  
+  for (let i = 0; i < args.runs; i++) {
+    const result = await simulation.run((baseSeed + i) >>> 0);
+    results.push(result);
+    
+    if (args.json) {
+      log(JSON.stringify(result));
+    } else {
+      log(`run ${i + 1}/${args.runs}  seed ${result.seed}  ${result.outcome.padEnd(9)}  ` +
+        `survived ${formatTime(result.survivalTime)}  peak chaos ${result.peakChaos.toFixed(1)}%  ` +
+        `shelved ${result.volumeBlocksShelved}  level ${result.level}`);
+    }
+  }
+  
+  if (args.json || results.length === 0) return;
+  
+  const average = (key) => results.reduce((sum, result) => sum + result[key], 0) / results.length;
+  const outcomes = {};
+  results.forEach(result => {
+    outcomes[result.outcome] = (outcomes[result.outcome] || 0) + 1;
+  });
+  
+  log('');
+  log(`Outcomes: ${Object.entries(outcomes).map(([outcome, count]) => `${outcome} ${count}`).join(', ')}`);
+  log(`Average survival: ${formatTime(average('survivalTime'))}`);
+  log(`Average peak chaos: ${average('peakChaos').toFixed(1)}%`);
+  log(`Average blocks shelved: ${average('volumeBlocksShelved').toFixed(1)}`);
+  log(`Average level: ${average('level').toFixed(1)}`);
+}
+
+main().catch(error => {
+  console.error('Simulation failed:', error);
+  process.exit(1);
+});
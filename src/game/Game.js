@@ -1,48 +1,98 @@
 import { GameLoop } from './GameLoop.js';
+import { DEFAULT_LEVEL_ID, LEVEL_FILES } from './data/levels.js';
 import { StateManager } from './states/StateManager.js';
 import { AssetLoader } from './systems/AssetLoader.js';
+import { Balance } from './systems/Balance.js';
+import { AchievementTracker } from './systems/AchievementTracker.js';
 import { Camera } from './systems/Camera.js';
+import { DebugOverlay } from './systems/DebugOverlay.js';
+import { EventBus } from './systems/EventBus.js';
+import { FrameProfiler } from './systems/FrameProfiler.js';
 import { InputManager } from './systems/InputManager.js';
+import { LevelLoader } from './systems/LevelLoader.js';
+import { Random } from './systems/Random.js';
+import { ReplayPlayer } from './systems/ReplayPlayer.js';
+import { ReplayRecorder } from './systems/ReplayRecorder.js';
 import { Renderer } from './systems/Renderer.js';
+import { SaveManager } from './systems/SaveManager.js';
+import { StatsTracker } from './systems/StatsTracker.js';
 
 export class Game {
-  constructor(canvasId) {
-    this.canvas = document.getElementById(canvasId);
-    console.log('Canvas element:', this.canvas);
-    
-    if (!this.canvas) {
-      throw new Error(`Canvas element with id '${canvasId}' not found`);
+  // options.headless runs the simulation without a canvas, DOM or audio (e.g. in Node)
+  // options.balance provides the balance data directly instead of loading balance.json
+  // options.levels does the same for level files ({ levelId: levelData })
+  constructor(canvasId, options = {}) {
+    this.headless = options.headless || false;
+    this.balance = options.balance ? new Balance(options.balance) : null;
+    this.levelLoader = new LevelLoader(this);
+    for (const [id, level] of Object.entries(options.levels || {})) {
+      this.levelLoader.register(id, level);
     }
     
-    this.ctx = this.canvas.getContext('2d');
-    
     // Set canvas size
     this.width = 1920;
     this.height = 1080;
-    this.setupCanvas();
+    
+    if (this.headless) {
+      this.canvas = null;
+      this.ctx = null;
+    } else {
+      this.canvas = document.getElementById(canvasId);
+      console.log('Canvas element:', this.canvas);
+      
+      if (!this.canvas) {
+        throw new Error(`Canvas element with id '${canvasId}' not found`);
+      }
+      
+      this.ctx = this.canvas.getContext('2d');
+      this.setupCanvas();
+    }
     
     // Core systems
+    this.profiler = new FrameProfiler(); // Off until shown from the dev console
     this.gameLoop = new GameLoop(
       this.update.bind(this),
-      this.render.bind(this)
+      this.render.bind(this),
+      this.profiler
     );
     
     this.stateManager = new StateManager(this);
     this.inputManager = new InputManager(this.canvas);
     this.assetLoader = new AssetLoader();
     this.camera = new Camera(this.width, this.height);
-    this.renderer = new Renderer(this.ctx, this.camera);
+    this.renderer = this.headless ? null : new Renderer(this.ctx, this.camera, this.profiler);
+    this.rng = new Random(); // Seeded per run by PlayingState
+    this.events = new EventBus();
+    
+    // Replays - the live input is swapped for the replay's input during playback
+    this.liveInputManager = this.inputManager;
+    this.replayRecorder = new ReplayRecorder();
+    this.replayPlayer = null;
+    
+    // In-progress run saves
+    this.saveManager = new SaveManager();
+    
+    // Game-wide event subscribers (order matters: stats update before achievements check them)
+    this.stats = new StatsTracker(this);
+    this.achievements = new AchievementTracker(this);
     
-    // Debug info
+    // Debug info - toggled from the dev console (` key), overlay also with F3
     this.debug = {
       showFPS: false, // Disabled FPS counter
       showCollisionBoxes: false,
-      showGrid: false
+      showGrid: false,
+      showSpatialGrid: false,
+      showOverlay: false,
+      showPaths: false,
+      showProfiler: false
     };
+    this.devConsole = null; // Dev builds only, see init()
+    this.debugOverlay = new DebugOverlay(this);
     
     // Game-specific data
     this.gameData = {
       chaosLevel: 0,
+      peakChaos: 0,
       maxChaos: 100,
       playerLevel: 1,
       xp: 0,
@@ -50,9 +100,11 @@ export class Game {
       elapsedTime: 0,
       targetTime: 30 * 60, // 30 minutes in seconds
       isPaused: false,
+      seed: null,
       // Stats tracking
       volumeBlocksCollected: 0,
       volumeBlocksShelved: 0,
+      volumeBlocksSnatched: 0,
       kidsRepelled: 0
     };
   }
@@ -81,8 +133,34 @@ export class Game {
   }
   
   async init() {
+    // Headless games are stepped manually - no assets, loading screen or loop
+    if (this.headless) {
+      if (!this.balance) {
+        throw new Error('Headless games need options.balance');
+      }
+      if (!this.levelLoader.has(DEFAULT_LEVEL_ID)) {
+        throw new Error('Headless games need options.levels');
+      }
+      await this.stateManager.init();
+      return;
+    }
+    
     // Load assets
     await this.loadAssets();
+    if (!this.balance) {
+      this.balance = new Balance(this.assetLoader.getData('balance'));
+    }
+    for (const id of Object.keys(LEVEL_FILES)) {
+      if (!this.levelLoader.has(id)) {
+        this.levelLoader.register(id, this.assetLoader.getData(`level:${id}`));
+      }
+    }
+    
+    // The developer console changes runs at will, so it stays out of production builds
+    if (import.meta.env.DEV) {
+      const { DevConsole } = await import('./systems/DevConsole.js');
+      this.devConsole = new DevConsole(this);
+    }
     
     // Initialize states
     await this.stateManager.init();
@@ -121,12 +199,36 @@ export class Game {
         kid2Walk: `/sprites/kid2_walk.png${cacheBuster}`,
         kid3Stand: `/sprites/kid3_stand.png${cacheBuster}`,
         kid3Walk: `/sprites/kid3_walk.png${cacheBuster}`
+      },
+      data: {
+        balance: `/data/balance.json${cacheBuster}`,
+        ...Object.fromEntries(Object.entries(LEVEL_FILES).map(([id, path]) => [`level:${id}`, `${path}${cacheBuster}`]))
       }
     };
     await this.assetLoader.loadAll(assets);
   }
   
   update(deltaTime) {
+    // The dev console swallows input while open and the run waits for it.
+    // Skipped ticks are neither recorded nor replayed.
+    if (this.devConsole?.update(this.liveInputManager)) {
+      this.liveInputManager.update();
+      return;
+    }
+    
+    // Feed recorded input during a replay, otherwise record the live input
+    if (this.replayPlayer) {
+      if (this.liveInputManager.isKeyPressed('Escape') || this.replayPlayer.isFinished()) {
+        this.stopReplay();
+        this.stateManager.changeState('menu');
+        this.liveInputManager.update();
+        return;
+      }
+      this.replayPlayer.applyNextFrame(this.gameData);
+    } else {
+      this.replayRecorder.captureFrame(this.inputManager, this.gameData);
+    }
+    
     // Update current state BEFORE clearing input events
     this.stateManager.update(deltaTime);
     
@@ -135,22 +237,50 @@ export class Game {
     
     // Update input AFTER game logic has processed events
     this.inputManager.update();
+    if (this.inputManager !== this.liveInputManager) {
+      this.liveInputManager.update();
+    }
+  }
+  
+  startReplay(replay) {
+    this.replayRecorder.stop();
+    this.replayPlayer = new ReplayPlayer(replay);
+    this.inputManager = this.replayPlayer.input;
+  }
+  
+  stopReplay() {
+    if (!this.replayPlayer) return;
+    
+    this.replayPlayer = null;
+    this.inputManager = this.liveInputManager;
+    this.inputManager.clearFrameEvents();
   }
   
   render(interpolation) {
     // Clear canvas
     this.renderer.clear();
     
+    // Renderer-level debug drawing follows the game's debug flags
+    this.renderer.debug.showGrid = this.debug.showGrid;
+    this.renderer.debug.showCollisionBoxes = this.debug.showCollisionBoxes;
+    
     // Render current state
     this.stateManager.render(this.renderer, interpolation);
     
     // Render debug info
-    if (this.debug.showFPS) {
+    if (this.debug.showFPS || this.debug.showProfiler) {
       this.renderDebugInfo();
     }
+    
+    this.devConsole?.render(this.ctx);
   }
   
   renderDebugInfo() {
+    // Per-system timings, below the FPS counter
+    if (this.debug.showProfiler) {
+      this.debugOverlay.renderProfiler(this.ctx, this.profiler, this.width - 530, 35);
+    }
+    
     const fps = this.gameLoop.getFPS();
     
     this.ctx.save();
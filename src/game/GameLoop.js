@@ -1,7 +1,8 @@
 export class GameLoop {
-  constructor(updateCallback, renderCallback) {
+  constructor(updateCallback, renderCallback, profiler = null) {
     this.updateCallback = updateCallback;
     this.renderCallback = renderCallback;
+    this.profiler = profiler; // Optional FrameProfiler
     this.isRunning = false;
     this.lastTime = 0;
     this.accumulator = 0;
@@ -48,23 +49,31 @@ export class GameLoop {
       this.lastFpsUpdate = currentTime;
     }
     
+    this.profiler?.beginFrame();
+    
     // Prevent huge delta times (e.g., when tab loses focus)
     const clampedDeltaTime = Math.min(deltaTime, this.maxUpdateSteps);
     this.accumulator += clampedDeltaTime;
     
     // Fixed timestep updates
     let updateSteps = 0;
+    this.profiler?.begin('update');
     while (this.accumulator >= this.timestep && updateSteps < this.maxUpdateSteps) {
       this.updateCallback(this.timestep / 1000); // Convert to seconds
       this.accumulator -= this.timestep;
       updateSteps++;
     }
+    this.profiler?.end('update');
     
     // Interpolation value for smooth rendering
     const interpolation = this.accumulator / this.timestep;
     
     // Render
+    this.profiler?.begin('render');
     this.renderCallback(interpolation);
+    this.profiler?.end('render');
+    
+    this.profiler?.endFrame();
   }
   
   getFPS() {
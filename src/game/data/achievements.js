@@ -0,0 +1,41 @@
+export const ACHIEVEMENTS = {
+  firstShelf: {
+    id: 'firstShelf',
+    name: 'Back Where It Belongs',
+    description: 'Shelve your first volume block',
+    icon: '📖',
+    isUnlocked: (gameData) => gameData.volumeBlocksShelved >= 1
+  },
+  
+  tidyShelves: {
+    id: 'tidyShelves',
+    name: 'Tidy Shelves',
+    description: 'Shelve 100 volume blocks in one run',
+    icon: '📚',
+    isUnlocked: (gameData) => gameData.volumeBlocksShelved >= 100
+  },
+  
+  crowdControl: {
+    id: 'crowdControl',
+    name: 'Crowd Control',
+    description: 'Repel 50 kids in one run',
+    icon: '🤫',
+    isUnlocked: (gameData) => gameData.kidsRepelled >= 50
+  },
+  
+  pickpocket: {
+    id: 'pickpocket',
+    name: 'Reverse Pickpocket',
+    description: 'Snatch 25 volume blocks back from kids in one run',
+    icon: '🫳',
+    isUnlocked: (gameData) => gameData.volumeBlocksSnatched >= 25
+  },
+  
+  headLibrarian: {
+    id: 'headLibrarian',
+    name: 'Head Librarian',
+    description: 'Reach level 10',
+    icon: '🎓',
+    isUnlocked: (gameData) => gameData.playerLevel >= 10
+  }
+};
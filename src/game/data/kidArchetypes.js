@@ -0,0 +1,193 @@
+// Kid archetypes from the design brief's difficulty table. Numbers (when they start
+// spawning, how often, speeds and ability tuning) live in balance.json under
+// kids.archetypes; this file holds what each one does.
+//
+// Hooks, all optional (config is the archetype's balance entry):
+//   init(kid, config)                        - set up kid.traits when created
+//   update(kid, deltaTime, config)           - runs every tick before the kid's state machine;
+//                                              return true to take over movement for this tick
+//   planEscape(kid, navGrid, player, config) - replaces the normal flee route
+
+// Head back toward a leader once more than followDistance behind. Returns false when close enough.
+function catchUp(kid, leader, followDistance, deltaTime) {
+  const dx = leader.getCenterX() - kid.getCenterX();
+  const dy = leader.getCenterY() - kid.getCenterY();
+  const dist = Math.sqrt(dx * dx + dy * dy);
+  if (dist < followDistance) return false;
+  
+  // Around shelves if need be
+  if (!kid.followPath('leader', (navGrid) => kid.findShortPath(navGrid, leader.getCenterX(), leader.getCenterY()),
+    kid.speed, deltaTime)) {
+    kid.direction = Math.atan2(dy, dx);
+    kid.vx = (dx / dist) * kid.speed;
+    kid.vy = (dy / dist) * kid.speed;
+    kid.applyMovement(deltaTime);
+  }
+  return true;
+}
+
+export const KID_ARCHETYPES = {
+  curiousReader: {
+    id: 'curiousReader',
+    name: 'Curious Reader',
+    icon: null
+  },
+  
+  // Two kids that wander together - the follower keeps close to its partner
+  chattyPair: {
+    id: 'chattyPair',
+    name: 'Chatty Pair',
+    icon: '💬',
+    update: (kid, deltaTime, config) => {
+      const partner = kid.partner;
+      if (!kid.traits.follower || !partner) return false;
+      
+      // Run off to the same dump spot as the partner
+      if (kid.state === 'carrying' && partner.state === 'carrying' && partner.dumpSpot) {
+        kid.dumpSpot = partner.dumpSpot;
+      }
+      if (kid.state !== 'wandering' || kid.carriedVolumeBlock) return false;
+      
+      // Help raid the partner's shelf
+      if (partner.state === 'stealing' && partner.target && kid.canSteal()) {
+        kid.target = partner.target;
+        kid.state = 'stealing';
+        return false;
+      }
+      
+      return catchUp(kid, partner, config.followDistance, deltaTime);
+    }
+  },
+  
+  // Escorts a boss's class around - never spawns on its own
+  fieldTripKid: {
+    id: 'fieldTripKid',
+    name: 'Field-Trip Kid',
+    icon: '🎒',
+    update: (kid, deltaTime, config) => {
+      const leader = kid.leader;
+      if (!leader || leader.defeated || kid.state !== 'wandering' || kid.carriedVolumeBlock) return false;
+      return catchUp(kid, leader, config.followDistance, deltaTime);
+    }
+  },
+  
+  // Sprints when spotted, heading for somewhere the librarian can't see
+  hideAndSeeker: {
+    id: 'hideAndSeeker',
+    name: 'Hide-and-Seeker',
+    icon: '🙈',
+    init: (kid) => {
+      kid.traits.sprintCooldown = 0;
+    },
+    update: (kid, deltaTime, config) => {
+      const traits = kid.traits;
+      traits.sprintCooldown = Math.max(0, traits.sprintCooldown - deltaTime);
+      
+      if (kid.state === 'fleeing' && traits.sprintCooldown <= 0) {
+        kid.effects.apply('haste', config.sprint.seconds, config.sprint.speedMultiplier, 'sprint');
+        traits.sprintCooldown = config.sprint.cooldown;
+      }
+      return false;
+    },
+    planEscape: (kid, navGrid, player, config) => {
+      const fromX = player.getCenterX();
+      const fromY = player.getCenterY();
+      const away = Math.atan2(kid.getCenterY() - fromY, kid.getCenterX() - fromX);
+      const distance = kid.playerDetectionRange * config.hideDistance;
+      
+      // First escape direction that ends out of sight behind something
+      for (const offset of [0, 0.6, -0.6, 1.2, -1.2]) {
+        const x = kid.getCenterX() + Math.cos(away + offset) * distance;
+        const y = kid.getCenterY() + Math.sin(away + offset) * distance;
+        if (navGrid.hasLineOfSight(fromX, fromY, x, y)) continue;
+        const path = kid.findShortPath(navGrid, x, y);
+        if (path) return path;
+      }
+      return kid.planEscape(navGrid, player);
+    }
+  },
+  
+  // Drops sticky puddles that slow the librarian down
+  snackSmuggler: {
+    id: 'snackSmuggler',
+    name: 'Snack Smuggler',
+    icon: '🍫',
+    init: (kid, config) => {
+      kid.traits.puddleTimer = config.puddle.interval;
+    },
+    update: (kid, deltaTime, config) => {
+      if (kid.vx === 0 && kid.vy === 0) return false;
+      
+      kid.traits.puddleTimer -= deltaTime;
+      if (kid.traits.puddleTimer <= 0) {
+        kid.traits.puddleTimer = config.puddle.interval;
+        kid.game.stateManager.currentState.addStickyPuddle(kid.getCenterX(), kid.y + kid.height);
+      }
+      return false;
+    }
+  },
+  
+  // Knocks books off shelves from range with paper airplanes
+  gamer: {
+    id: 'gamer',
+    name: 'Gamer',
+    icon: '🎮',
+    init: (kid, config) => {
+      kid.traits.airplaneCooldown = config.airplane.cooldown;
+    },
+    update: (kid, deltaTime, config) => {
+      kid.traits.airplaneCooldown -= deltaTime;
+      if (kid.traits.airplaneCooldown > 0 || kid.state !== 'wandering' || kid.carriedVolumeBlock) return false;
+      
+      const state = kid.game.stateManager.currentState;
+      if (!state?.spatialIndex) return false;
+      
+      // Any stocked shelf in range that isn't right next to us
+      const range = config.airplane.range * 32; // Meters to pixels
+      const shelves = state.spatialIndex.queryRadius('shelves', kid.getCenterX(), kid.getCenterY(), range)
+        .filter(shelf => shelf.volumeBlocks.some(v => v !== null) &&
+          kid.getDistanceTo(shelf) > kid.shelfDetectionRange && state.isSameRoom(kid, shelf));
+      if (shelves.length === 0) return false;
+      
+      state.launchPaperAirplane(kid, kid.game.rng.pick(shelves));
+      kid.traits.airplaneCooldown = config.airplane.cooldown;
+      return false;
+    }
+  },
+  
+  // Fast, and every so often zooms off in a random direction
+  tornadoToddler: {
+    id: 'tornadoToddler',
+    name: 'Tornado Toddler',
+    icon: '🌪️',
+    init: (kid, config) => {
+      kid.traits.zoomTimer = 0;
+      kid.traits.zoomCooldown = config.zoom.interval;
+    },
+    update: (kid, deltaTime, config) => {
+      const traits = kid.traits;
+      if (traits.zoomTimer > 0 && kid.state === 'wandering') {
+        traits.zoomTimer -= deltaTime;
+        kid.direction += kid.game.rng.range(-config.zoom.wobble, config.zoom.wobble) * deltaTime;
+        kid.vx = Math.cos(kid.direction) * kid.speed;
+        kid.vy = Math.sin(kid.direction) * kid.speed;
+        kid.applyMovement(deltaTime);
+        return true;
+      }
+      
+      traits.zoomCooldown -= deltaTime;
+      if (traits.zoomCooldown <= 0 && kid.state === 'wandering') {
+        traits.zoomCooldown = config.zoom.interval;
+        traits.zoomTimer = config.zoom.seconds;
+        kid.direction = kid.game.rng.angle();
+        kid.clearPath();
+      }
+      return false;
+    }
+  }
+};
+
+// Get archetype by ID
+export function getKidArchetype(id) {
+  return KID_ARCHETYPES[id];
+}
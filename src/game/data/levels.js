@@ -0,0 +1,11 @@
+// Level files shipped with the game (under public/), keyed by level id.
+// See LevelLoader for the file format.
+export const LEVEL_FILES = {
+  'main-hall': '/data/levels/main-hall.json',
+  'grand-library': '/data/levels/grand-library.json'
+};
+
+export const DEFAULT_LEVEL_ID = 'main-hall';
+
+// Not a file - a new layout is generated from each run's seed (see LevelGenerator)
+export const GENERATED_LEVEL_ID = 'generated';
@@ -0,0 +1,60 @@
+// Timed effects that weapons, hazards and perks put on kids and the librarian. Each
+// entity tracks its own through a StatusEffects list; this file holds what each one is.
+//
+// Fields:
+//   stacking     - what applying it again does while it's still running:
+//                    'longest'   - one at a time, keeps whichever duration is longer
+//                    'strongest' - one at a time, the strength furthest from 1 wins
+//                    'perSource' - one per source (weapon, perk...), and they multiply
+//   affectsSpeed - strength multiplies movement speed
+//   icon         - shown by the entity while it lasts
+
+export const STATUS_EFFECTS = {
+  // Dazed - kids forget what they were doing, the librarian can't move
+  stun: {
+    id: 'stun',
+    name: 'Stunned',
+    icon: '💫',
+    stacking: 'longest',
+    affectsSpeed: false
+  },
+  
+  // Can't steal from shelves
+  silence: {
+    id: 'silence',
+    name: 'Silenced',
+    icon: '🤐',
+    stacking: 'longest',
+    affectsSpeed: false
+  },
+  
+  slow: {
+    id: 'slow',
+    name: 'Slowed',
+    icon: '🐌',
+    stacking: 'perSource',
+    affectsSpeed: true
+  },
+  
+  // Snack on the shoes
+  sticky: {
+    id: 'sticky',
+    name: 'Sticky',
+    icon: '🍯',
+    stacking: 'strongest',
+    affectsSpeed: true
+  },
+  
+  haste: {
+    id: 'haste',
+    name: 'Hasted',
+    icon: '💨',
+    stacking: 'strongest',
+    affectsSpeed: true
+  }
+};
+
+// Get status effect by ID
+export function getStatusEffect(id) {
+  return STATUS_EFFECTS[id];
+}
@@ -51,6 +51,18 @@ export const UPGRADES = {
     getDescription: (level) => `+${10 * level} Max Stamina`
   },
   
+  health: {
+    id: 'health',
+    name: 'Sturdy Cardigan',
+    description: 'Increases maximum HP by 20',
+    icon: '🧥',
+    maxLevel: 10,
+    effect: (player, level) => {
+      player.upgrade('maxHealth', 20);
+    },
+    getDescription: (level) => `+${20 * level} Max HP`
+  },
+  
   chaosDampening: {
     id: 'chaosDampening',
     name: 'Zen Focus',
@@ -75,34 +87,95 @@ export const UPGRADES = {
     getDescription: (level) => `+${8 * level}% XP Gain`
   },
   
-  // Future weapon skills (not implemented yet)
+  // Weapons - fire on their own (see data/weapons.js)
   shushWave: {
     id: 'shushWave',
     name: 'Shush Wave',
-    description: 'Creates a cone of silence that stuns kids',
+    description: 'Shushes kids in front of you, knocking them back dazed and making them drop books',
     icon: '🤫',
     maxLevel: 5,
     isWeapon: true,
     effect: (player, level) => {
-      // TODO: Implement weapon system
+      player.equipWeapon('shushWave');
+    },
+    getDescription: (level) => level === 1 ? 'Fires every few seconds' : `Level ${level}: wider, longer, more often`
+  },
+  
+  bookmarkBoomerang: {
+    id: 'bookmarkBoomerang',
+    name: 'Bookmark Boomerang',
+    description: 'Homes in on kids running off with books, knocking the book loose and stopping them stealing for a while',
+    icon: '🔖',
+    maxLevel: 5,
+    isWeapon: true,
+    effect: (player, level) => {
+      player.equipWeapon('bookmarkBoomerang');
+    },
+    getDescription: (level) => level === 1 ? 'Throws a bookmark at the nearest book thief' : `Level ${level}: more bookmarks, longer silence, faster return`
+  },
+  
+  deweyBeam: {
+    id: 'deweyBeam',
+    name: 'Dewey Decimal Beam',
+    description: 'A beam sweeps around you, sending floor books flying back onto their shelves (for less XP)',
+    icon: '🔦',
+    maxLevel: 5,
+    isWeapon: true,
+    effect: (player, level) => {
+      player.equipWeapon('deweyBeam');
+    },
+    getDescription: (level) => level === 1 ? 'Shelves one book per sweep' : `Level ${level}: longer, faster, more books per sweep`
+  },
+  
+  dustCloud: {
+    id: 'dustCloud',
+    name: 'Dust Cloud',
+    description: 'A cloud of library dust follows you around, slowing kids inside it',
+    icon: '🌫️',
+    maxLevel: 5,
+    isWeapon: true,
+    effect: (player, level) => {
+      player.equipWeapon('dustCloud');
+    },
+    getDescription: (level) => level === 1 ? 'Slows kids near you' : `Level ${level}: bigger and thicker`
+  },
+  
+  airConditioning: {
+    id: 'airConditioning',
+    name: 'Air Conditioning',
+    description: 'Cools the whole library down - every kid moves slower',
+    icon: '❄️',
+    maxLevel: 5,
+    effect: (player, level) => {
+      player.upgrade('kidSlow', 0.06);
+    },
+    getDescription: (level) => `-${6 * level}% Kid Speed`
+  },
+  
+  rollingBookCart: {
+    id: 'rollingBookCart',
+    name: 'Rolling Book Cart',
+    description: 'Sprinting pushes a cart that scoops up books all around you and bowls kids over',
+    icon: '🛒',
+    maxLevel: 1,
+    isUnique: true,
+    effect: (player, level) => {
+      // Nothing to set up - the player checks upgradeLevels for the cart
     },
-    getDescription: (level) => `Level ${level} Shush Wave`
+    getDescription: (level) => 'Holds its own load of books until you reach a shelf'
   }
 };
 
-// Helper function to get random upgrades
-export function getRandomUpgrades(count = 3, playerUpgrades = {}) {
+// Helper function to get random upgrades (rng is the run's seeded Random)
+export function getRandomUpgrades(count = 3, playerUpgrades = {}, rng) {
   const availableUpgrades = Object.values(UPGRADES).filter(upgrade => {
-    // Filter out weapons and removed upgrades
-    if (upgrade.isWeapon || upgrade.id === 'health') return false;
-    
     // Check if upgrade is maxed out
     const currentLevel = playerUpgrades[upgrade.id] || 0;
     return currentLevel < upgrade.maxLevel;
   });
   
   // Shuffle and pick
-  const shuffled = [...availableUpgrades].sort(() => Math.random() - 0.5);
+  const shuffled = rng.shuffle([...availableUpgrades]);
   return shuffled.slice(0, Math.min(count, shuffled.length));
 }
 
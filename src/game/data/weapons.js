@@ -0,0 +1,110 @@
+import { ShushWave } from '../entities/ShushWave.js';
+import { GameEvents } from '../systems/EventBus.js';
+
+// Weapons the librarian drafts as upgrades (see UPGRADES entries with isWeapon). They
+// fire on their own whenever their cooldown runs out. Numbers for each level (cooldown,
+// area, effect strength) live in balance.json under weapons; this file holds what each
+// one does.
+//
+// Hooks (stats is the balance entry for the weapon's current level):
+//   fire(player, stats, state) - the cooldown ran out; returns true if it went off, false
+//                                to try again next tick (e.g. nothing to aim at yet)
+
+// Angle between two directions, 0 to PI
+function angleBetween(a, b) {
+  return Math.abs(Math.atan2(Math.sin(a - b), Math.cos(a - b)));
+}
+
+export const WEAPONS = {
+  // Cone of shushing along the librarian's facing - kids caught in it stagger back
+  // dazed and drop whatever they were carrying
+  shushWave: {
+    id: 'shushWave',
+    fire: (player, stats, state) => {
+      const x = player.getCenterX();
+      const y = player.getCenterY();
+      const facing = player.getFacingAngle();
+      const range = stats.range * 32; // Meters to pixels
+      const halfCone = (stats.coneDegrees / 2) * Math.PI / 180;
+      
+      for (const kid of state.spatialIndex.queryRadius('kids', x, y, range)) {
+        const dx = kid.getCenterX() - x;
+        const dy = kid.getCenterY() - y;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+        if (dist > range || (dist > 0 && angleBetween(Math.atan2(dy, dx), facing) > halfCone)) continue;
+        
+        // Straight along the cone if they're standing right on top of us
+        const pushX = dist > 0 ? dx / dist : Math.cos(facing);
+        const pushY = dist > 0 ? dy / dist : Math.sin(facing);
+        kid.dropVolumeBlock();
+        kid.stun(stats.stunSeconds);
+        kid.knockBack(pushX * stats.knockbackSpeed * 32, pushY * stats.knockbackSpeed * 32, stats.knockbackSeconds);
+        state.game.events.emit(GameEvents.WEAPON_HIT, { weaponId: 'shushWave', kid });
+      }
+      
+      state.addWeaponEffect(new ShushWave(x, y, facing, range, halfCone));
+      state.game.events.emit(GameEvents.WEAPON_FIRED, { weaponId: 'shushWave', player });
+      return true;
+    }
+  },
+  
+  // Bookmarks that home in on the nearest kids running off with books - a hit knocks
+  // the book loose and stops the kid stealing for a while. The next volley waits until
+  // every bookmark is back, so a faster return means more throws.
+  bookmarkBoomerang: {
+    id: 'bookmarkBoomerang',
+    fire: (player, stats, state) => {
+      if (state.boomerangs.length > 0) return false;
+      
+      const x = player.getCenterX();
+      const y = player.getCenterY();
+      const range = stats.range * 32; // Meters to pixels
+      const thieves = state.spatialIndex.queryRadius('kids', x, y, range)
+        .filter(kid => kid.carriedVolumeBlock && player.distanceTo(kid) <= range)
+        .sort((a, b) => player.distanceTo(a) - player.distanceTo(b))
+        .slice(0, stats.count);
+      if (thieves.length === 0) return false;
+      
+      for (const kid of thieves) {
+        state.launchBookmarkBoomerang(player, kid, stats);
+      }
+      state.game.events.emit(GameEvents.WEAPON_FIRED, { weaponId: 'bookmarkBoomerang', player });
+      return true;
+    }
+  },
+  
+  // A beam sweeping once around the librarian - floor books it passes over fly back
+  // onto the nearest shelf of their color with room for them
+  deweyBeam: {
+    id: 'deweyBeam',
+    fire: (player, stats, state) => {
+      if (state.deweyBeams.length > 0) return false;
+      
+      state.startDeweyBeam(player, stats);
+      state.game.events.emit(GameEvents.WEAPON_FIRED, { weaponId: 'deweyBeam', player });
+      return true;
+    }
+  },
+  
+  // Aura of library dust - kids inside it are slowed, and stay slow a moment after
+  // leaving. Fires every fraction of a second to keep it topped up.
+  dustCloud: {
+    id: 'dustCloud',
+    fire: (player, stats, state) => {
+      const x = player.getCenterX();
+      const y = player.getCenterY();
+      const radius = stats.radius * 32; // Meters to pixels
+      for (const kid of state.spatialIndex.queryRadius('kids', x, y, radius)) {
+        if (player.distanceTo(kid) <= radius) {
+          kid.effects.apply('slow', stats.slowSeconds, stats.slowMultiplier, 'dustCloud');
+        }
+      }
+      return true;
+    }
+  }
+};
+
+// Get weapon by ID
+export function getWeapon(id) {
+  return WEAPONS[id];
+}
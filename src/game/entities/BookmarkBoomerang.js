@@ -0,0 +1,78 @@
+import { Entity } from './Entity.js';
+
+// Thrown by the librarian at a kid running off with a book, then back again.
+// PlayingState keeps it pointed at a thief and deals with the hit.
+export class BookmarkBoomerang extends Entity {
+  constructor(x, y, target, speed, returnSpeed, silenceSeconds) {
+    super(x - 10, y - 10, 20, 20);
+    this.solid = false;
+    this.target = target; // Kid being chased
+    this.speed = speed;
+    this.returnSpeed = returnSpeed;
+    this.silenceSeconds = silenceSeconds;
+    this.returning = false;
+    this.hasHit = false; // Set for the tick it reaches the target
+    this.spin = 0;
+  }
+  
+  // Homes in on the target (over anything in the way), then flies back to the thrower
+  update(deltaTime, thrower) {
+    this.hasHit = false;
+    this.spin += deltaTime * 18;
+    
+    const goal = this.returning ? thrower : this.target;
+    const dx = goal.getCenterX() - this.getCenterX();
+    const dy = goal.getCenterY() - this.getCenterY();
+    const dist = Math.sqrt(dx * dx + dy * dy);
+    const step = (this.returning ? this.returnSpeed : this.speed) * deltaTime;
+    const reach = this.returning ? 0 : goal.width / 2;
+    
+    if (dist <= step + reach) {
+      if (this.returning) {
+        this.active = false;
+        return;
+      }
+      this.hasHit = true;
+      this.returning = true;
+      return;
+    }
+    this.x += (dx / dist) * step;
+    this.y += (dy / dist) * step;
+  }
+  
+  render(ctx, interpolation) {
+    ctx.save();
+    ctx.translate(this.getCenterX(), this.getCenterY());
+    ctx.rotate(this.spin);
+    
+    // Ribbon bookmark with a notched tail, spinning end over end
+    ctx.fillStyle = '#c62828';
+    ctx.strokeStyle = '#4e0000';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(-4, -10);
+    ctx.lineTo(4, -10);
+    ctx.lineTo(4, 10);
+    ctx.lineTo(0, 6);
+    ctx.lineTo(-4, 10);
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+    ctx.fillStyle = '#ffd54f';
+    ctx.fillRect(-4, -7, 8, 2);
+    ctx.restore();
+  }
+  
+  // Plain data for run saves - the target kid is saved by PlayingState
+  getSaveData() {
+    return {
+      x: this.x,
+      y: this.y,
+      speed: this.speed,
+      returnSpeed: this.returnSpeed,
+      silenceSeconds: this.silenceSeconds,
+      returning: this.returning,
+      spin: this.spin
+    };
+  }
+}
@@ -0,0 +1,229 @@
+import { Entity } from './Entity.js';
+import { GameEvents } from '../systems/EventBus.js';
+
+const REPATH_INTERVAL = 1; // Seconds before a path is planned again
+const WAYPOINT_RADIUS = 8;
+const TARGET_SEARCH_RADIUS = 600; // How far a boss looks for a well-stocked shelf
+
+// Shared base for bosses: a patience bar the librarian wears down by lecturing up
+// close, walking around shelves on the kids' nav grid, and run saves. Subclasses
+// add their attacks in update() and their look in renderBody().
+export class Boss extends Entity {
+  constructor(game, x, y, width, height, config) {
+    super(x, y, width, height);
+    this.game = game;
+    this.config = config; // This boss type's entry in balance.json
+    this.name = 'Boss';
+    this.color = '#9c27b0'; // Patience bar and minimap marker
+    this.music = null; // Theme that replaces the background song while this boss is around
+    
+    this.maxPatience = config.maxPatience;
+    this.patience = config.maxPatience;
+    this.speed = config.speed;
+    this.defeated = false;
+    this.state = 'walking';
+    this.facing = 'left';
+    this.hitFlash = 0; // Brief tint when patience is lost
+    
+    // Current path (boss-center waypoints) and what it leads to
+    this.path = null;
+    this.pathIndex = 0;
+    this.pathGoal = null;
+    this.repathTimer = 0;
+  }
+  
+  update(deltaTime) {
+    this.hitFlash = Math.max(0, this.hitFlash - deltaTime);
+    
+    // The librarian standing right there wears patience down
+    const player = this.game.stateManager.currentState?.player;
+    const lecture = this.config.lecture;
+    if (player && this.distanceTo(player) < lecture.radius * 32) { // Meters to pixels
+      this.losePatience(lecture.perSecond * deltaTime);
+    }
+  }
+  
+  losePatience(amount) {
+    if (this.defeated) return;
+    
+    this.patience = Math.max(0, this.patience - amount);
+    this.hitFlash = 0.15;
+    if (this.patience === 0) {
+      this.defeated = true;
+      this.active = false;
+      this.game.events.emit(GameEvents.BOSS_DEFEATED, { boss: this });
+    }
+  }
+  
+  // Fullest shelf nearby, or failing that the nearest one with anything on it
+  findTargetShelf() {
+    const spatialIndex = this.game.stateManager.currentState?.spatialIndex;
+    if (!spatialIndex) return null;
+    
+    const count = (shelf) => shelf.volumeBlocks.filter(v => v !== null).length;
+    let best = null;
+    for (const shelf of spatialIndex.queryRadius('shelves', this.getCenterX(), this.getCenterY(), TARGET_SEARCH_RADIUS)) {
+      if (count(shelf) > 0 && (!best || count(shelf) > count(best))) {
+        best = shelf;
+      }
+    }
+    return best || spatialIndex.findNearest('shelves', this.getCenterX(), this.getCenterY(), shelf => count(shelf) > 0);
+  }
+  
+  // Knock up to maxBooks off the shelves within radius (meters), emptying the nearest
+  // shelves first one book from each in turn. Returns how many came off.
+  knockBooksAround(radius, maxBooks) {
+    const state = this.game.stateManager.currentState;
+    const shelves = state.spatialIndex.queryRadius('shelves', this.getCenterX(), this.getCenterY(), radius * 32) // Meters to pixels
+      .sort((a, b) => this.distanceTo(a) - this.distanceTo(b));
+    let knocked = 0;
+    let knockedThisRound = true;
+    while (knocked < maxBooks && knockedThisRound) {
+      knockedThisRound = false;
+      for (const shelf of shelves) {
+        if (knocked >= maxBooks) break;
+        if (state.knockVolumeBlocksOff(shelf, 1) > 0) {
+          knocked++;
+          knockedThisRound = true;
+        }
+      }
+    }
+    return knocked;
+  }
+  
+  // Walk toward a point around obstacles. Returns false once there (or stuck with no way there).
+  moveTo(x, y, deltaTime) {
+    const state = this.game.stateManager.currentState;
+    const navGrid = state?.navGrid;
+    const goalKey = `${Math.round(x)},${Math.round(y)}`;
+    
+    this.repathTimer -= deltaTime;
+    if (navGrid && (goalKey !== this.pathGoal || this.repathTimer <= 0)) {
+      this.path = navGrid.findPathToPoint(this.getCenterX(), this.getCenterY(), x, y, 4000);
+      this.pathIndex = 0;
+      this.pathGoal = goalKey;
+      this.repathTimer = REPATH_INTERVAL;
+    }
+    
+    // Next waypoint, or straight at the goal without a path
+    let waypoint = this.path ? this.path[this.pathIndex] : { x, y };
+    while (this.path && waypoint && Math.hypot(waypoint.x - this.getCenterX(), waypoint.y - this.getCenterY()) < WAYPOINT_RADIUS) {
+      this.pathIndex++;
+      waypoint = this.path[this.pathIndex];
+    }
+    if (!waypoint) {
+      this.vx = 0;
+      this.vy = 0;
+      return false;
+    }
+    
+    const dx = waypoint.x - this.getCenterX();
+    const dy = waypoint.y - this.getCenterY();
+    const dist = Math.sqrt(dx * dx + dy * dy);
+    if (dist < WAYPOINT_RADIUS) {
+      this.vx = 0;
+      this.vy = 0;
+      return false;
+    }
+    
+    this.vx = (dx / dist) * this.speed;
+    this.vy = (dy / dist) * this.speed;
+    if (Math.abs(this.vx) > 0.1) {
+      this.facing = this.vx > 0 ? 'right' : 'left';
+    }
+    this.applyMovement(deltaTime);
+    return true;
+  }
+  
+  applyMovement(deltaTime) {
+    const state = this.game.stateManager.currentState;
+    const newX = this.x + this.vx * deltaTime;
+    const newY = this.y + this.vy * deltaTime;
+    if (!state || !state.spatialIndex) {
+      this.x = newX;
+      this.y = newY;
+      return;
+    }
+    
+    // Slide along shelves and walls one axis at a time
+    const obstacles = state.queryObstacles(
+      Math.min(this.x, newX), Math.min(this.y, newY),
+      this.width + Math.abs(newX - this.x), this.height + Math.abs(newY - this.y));
+    const blocked = (x, y) => obstacles.some(obstacle =>
+      x < obstacle.x + obstacle.width && x + this.width > obstacle.x &&
+      y < obstacle.y + obstacle.height && y + this.height > obstacle.y);
+    
+    if (!blocked(newX, this.y)) this.x = newX;
+    if (!blocked(this.x, newY)) this.y = newY;
+    
+    if (state.worldWidth && state.worldHeight) {
+      this.x = Math.max(0, Math.min(state.worldWidth - this.width, this.x));
+      this.y = Math.max(0, Math.min(state.worldHeight - this.height, this.y));
+    }
+  }
+  
+  render(ctx, interpolation) {
+    this.renderBody(ctx);
+    
+    // Flash when losing patience
+    if (this.hitFlash > 0) {
+      ctx.save();
+      ctx.globalAlpha = 0.35;
+      ctx.fillStyle = '#fff';
+      ctx.fillRect(this.x, this.y, this.width, this.height);
+      ctx.restore();
+    }
+    
+    this.renderPatienceBar(ctx);
+  }
+  
+  renderBody(ctx) {
+    ctx.fillStyle = this.color;
+    ctx.fillRect(this.x, this.y, this.width, this.height);
+  }
+  
+  // Small bar over the boss's head (the HUD shows the big one)
+  renderPatienceBar(ctx) {
+    const barWidth = this.width + 16;
+    const barX = this.getCenterX() - barWidth / 2;
+    const barY = this.y - 14;
+    
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(barX - 1, barY - 1, barWidth + 2, 8);
+    ctx.fillStyle = this.color;
+    ctx.fillRect(barX, barY, barWidth * (this.patience / this.maxPatience), 6);
+    ctx.restore();
+  }
+  
+  // Plain data for run saves
+  getSaveData() {
+    return {
+      x: this.x,
+      y: this.y,
+      vx: this.vx,
+      vy: this.vy,
+      patience: this.patience,
+      state: this.state,
+      facing: this.facing,
+      path: this.path,
+      pathIndex: this.pathIndex,
+      pathGoal: this.pathGoal,
+      repathTimer: this.repathTimer
+    };
+  }
+  
+  applySaveData(data) {
+    this.x = data.x;
+    this.y = data.y;
+    this.vx = data.vx;
+    this.vy = data.vy;
+    this.patience = data.patience;
+    this.state = data.state;
+    this.facing = data.facing;
+    this.path = data.path;
+    this.pathIndex = data.pathIndex;
+    this.pathGoal = data.pathGoal;
+    this.repathTimer = data.repathTimer;
+  }
+}
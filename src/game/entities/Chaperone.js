@@ -0,0 +1,159 @@
+import { Boss } from './Boss.js';
+import { GameEvents } from '../systems/EventBus.js';
+
+// Field-Trip Chaperone mini-boss: marches her class to the fullest shelves nearby and
+// claps for attention, knocking every book within reach onto the floor. The clap is
+// telegraphed - a librarian who gets close enough in time shushes it instead.
+export class Chaperone extends Boss {
+  constructor(game, x, y, config) {
+    super(game, x, y, 48, 64, config);
+    this.typeId = 'chaperone';
+    this.name = 'Field-Trip Chaperone';
+    this.color = '#26a69a';
+    this.attackTimer = config.attack.interval;
+    this.telegraphTimer = 0;
+    this.targetShelf = null;
+  }
+  
+  update(deltaTime) {
+    super.update(deltaTime);
+    if (this.defeated) return;
+    
+    if (this.state === 'telegraphing') {
+      this.vx = 0;
+      this.vy = 0;
+      this.telegraphTimer += deltaTime;
+      if (this.telegraphTimer >= this.config.attack.telegraphSeconds) {
+        this.clap();
+      }
+      return;
+    }
+    
+    this.attackTimer -= deltaTime;
+    if (!this.targetShelf || !this.targetShelf.volumeBlocks.some(v => v !== null)) {
+      this.targetShelf = this.findTargetShelf();
+    }
+    if (!this.targetShelf) {
+      this.vx = 0;
+      this.vy = 0;
+      return;
+    }
+    
+    // Clap once the shelf is well inside the blast
+    const inReach = this.distanceTo(this.targetShelf) < this.config.attack.radius * 32 * 0.5; // Meters to pixels
+    if (inReach && this.attackTimer <= 0) {
+      this.state = 'telegraphing';
+      this.telegraphTimer = 0;
+      this.vx = 0;
+      this.vy = 0;
+      return;
+    }
+    if (!inReach) {
+      this.moveTo(this.targetShelf.getCenterX(), this.targetShelf.getCenterY(), deltaTime);
+    } else {
+      this.vx = 0;
+      this.vy = 0;
+    }
+  }
+  
+  clap() {
+    const state = this.game.stateManager.currentState;
+    const attack = this.config.attack;
+    this.state = 'walking';
+    this.attackTimer = attack.interval;
+    
+    // Shushed just in time
+    const player = state.player;
+    if (player && this.distanceTo(player) < attack.interruptRadius * 32) {
+      this.game.events.emit(GameEvents.BOSS_ATTACK, { boss: this, knocked: 0, interrupted: true });
+      this.losePatience(attack.interruptPatience);
+      return;
+    }
+    
+    const knocked = this.knockBooksAround(attack.radius, attack.maxBooks);
+    this.game.events.emit(GameEvents.BOSS_ATTACK, { boss: this, knocked, interrupted: false });
+  }
+  
+  renderBody(ctx) {
+    const x = this.x;
+    const y = this.y;
+    const centerX = this.getCenterX();
+    
+    // Telegraph: the clap's reach, filling in as it winds up
+    if (this.state === 'telegraphing') {
+      const radius = this.config.attack.radius * 32;
+      const progress = Math.min(1, this.telegraphTimer / this.config.attack.telegraphSeconds);
+      ctx.save();
+      ctx.fillStyle = `rgba(244, 67, 54, ${0.1 + progress * 0.2})`;
+      ctx.strokeStyle = 'rgba(244, 67, 54, 0.9)';
+      ctx.lineWidth = 3;
+      ctx.setLineDash([10, 6]);
+      ctx.beginPath();
+      ctx.arc(centerX, this.getCenterY(), radius, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.beginPath();
+      ctx.arc(centerX, this.getCenterY(), radius * progress, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.restore();
+    }
+    
+    ctx.save();
+    
+    // Legs, cardigan, head
+    ctx.fillStyle = '#37474f';
+    ctx.fillRect(x + 12, y + 48, 9, 16);
+    ctx.fillRect(x + 27, y + 48, 9, 16);
+    ctx.fillStyle = this.color;
+    ctx.fillRect(x + 6, y + 20, 36, 32);
+    ctx.fillStyle = '#f1c27d';
+    ctx.beginPath();
+    ctx.arc(centerX, y + 11, 11, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = '#5d4037';
+    ctx.fillRect(x + 13, y - 1, 22, 6); // Hair bun band
+    
+    // Clipboard on the side she's facing
+    const clipboardX = this.facing === 'right' ? x + 38 : x - 4;
+    ctx.fillStyle = '#8d6e63';
+    ctx.fillRect(clipboardX, y + 26, 14, 18);
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(clipboardX + 2, y + 29, 10, 13);
+    
+    // Whistle on a lanyard
+    ctx.strokeStyle = '#ffeb3b';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(centerX - 6, y + 20);
+    ctx.lineTo(centerX, y + 32);
+    ctx.lineTo(centerX + 6, y + 20);
+    ctx.stroke();
+    ctx.fillStyle = '#bdbdbd';
+    ctx.fillRect(centerX - 3, y + 31, 6, 4);
+    
+    if (this.state === 'telegraphing') {
+      ctx.font = 'bold 14px Arial';
+      ctx.textAlign = 'center';
+      ctx.fillStyle = '#fff';
+      ctx.strokeStyle = '#000';
+      ctx.lineWidth = 3;
+      ctx.strokeText('LINE UP!', centerX, y - 20);
+      ctx.fillText('LINE UP!', centerX, y - 20);
+    }
+    
+    ctx.restore();
+  }
+  
+  getSaveData() {
+    return {
+      ...super.getSaveData(),
+      attackTimer: this.attackTimer,
+      telegraphTimer: this.telegraphTimer
+    };
+  }
+  
+  applySaveData(data) {
+    super.applySaveData(data);
+    this.attackTimer = data.attackTimer;
+    this.telegraphTimer = data.telegraphTimer;
+  }
+}
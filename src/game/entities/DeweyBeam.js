@@ -0,0 +1,83 @@
+import { Entity } from './Entity.js';
+
+// One sweep of the Dewey Decimal Beam: a full turn around the librarian. PlayingState
+// catches the floor books it passes over and sends them off to be shelved.
+export class DeweyBeam extends Entity {
+  constructor(x, y, angle, length, rotationSpeed, booksLeft, flightSeconds) {
+    super(x, y, 0, 0); // Pivot point - the librarian's center
+    this.solid = false;
+    this.angle = angle;
+    this.previousAngle = angle;
+    this.swept = 0; // Radians turned so far
+    this.length = length;
+    this.rotationSpeed = rotationSpeed; // Radians per second
+    this.booksLeft = booksLeft; // Still to catch this sweep
+    this.flightSeconds = flightSeconds; // How long a caught book takes to reach its shelf
+  }
+  
+  update(deltaTime, player) {
+    this.x = player.getCenterX();
+    this.y = player.getCenterY();
+    
+    const step = Math.min(this.rotationSpeed * deltaTime, Math.PI * 2 - this.swept);
+    this.previousAngle = this.angle;
+    this.angle += step;
+    this.swept += step;
+    if (this.swept >= Math.PI * 2) {
+      this.active = false;
+    }
+  }
+  
+  // Whether the beam passed over (x, y) this tick
+  sweptOver(x, y) {
+    const dx = x - this.x;
+    const dy = y - this.y;
+    if (dx * dx + dy * dy > this.length * this.length) return false;
+    
+    const turn = this.angle - this.previousAngle;
+    const offset = ((Math.atan2(dy, dx) - this.previousAngle) % (Math.PI * 2) + Math.PI * 2) % (Math.PI * 2);
+    return offset <= turn;
+  }
+  
+  render(ctx, interpolation) {
+    ctx.save();
+    
+    // Fading wedge trailing behind the beam
+    ctx.fillStyle = 'rgba(255, 213, 79, 0.15)';
+    ctx.beginPath();
+    ctx.moveTo(this.x, this.y);
+    ctx.arc(this.x, this.y, this.length, this.angle - Math.min(this.swept, 0.6), this.angle);
+    ctx.closePath();
+    ctx.fill();
+    
+    // The beam itself, with a call-number tag at the tip
+    const tipX = this.x + Math.cos(this.angle) * this.length;
+    const tipY = this.y + Math.sin(this.angle) * this.length;
+    ctx.strokeStyle = 'rgba(255, 193, 7, 0.9)';
+    ctx.lineWidth = 4;
+    ctx.lineCap = 'round';
+    ctx.beginPath();
+    ctx.moveTo(this.x, this.y);
+    ctx.lineTo(tipX, tipY);
+    ctx.stroke();
+    ctx.font = 'bold 11px Arial';
+    ctx.textAlign = 'center';
+    ctx.fillStyle = '#ff8f00';
+    ctx.fillText('027.4', tipX, tipY - 6);
+    ctx.restore();
+  }
+  
+  // Plain data for run saves
+  getSaveData() {
+    return {
+      x: this.x,
+      y: this.y,
+      angle: this.angle,
+      swept: this.swept,
+      length: this.length,
+      rotationSpeed: this.rotationSpeed,
+      booksLeft: this.booksLeft,
+      flightSeconds: this.flightSeconds
+    };
+  }
+}
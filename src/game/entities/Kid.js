@@ -1,41 +1,73 @@
 import { Entity } from './Entity.js';
+import { GameEvents } from '../systems/EventBus.js';
+import { StatusEffects } from '../systems/StatusEffects.js';
+import { getKidArchetype } from '../data/kidArchetypes.js';
+
+// Pathfinding (see NavGrid)
+const REPATH_INTERVAL = 0.75; // Seconds before a path is planned again
+const FLEE_REPATH_INTERVAL = 0.3; // The player keeps moving, so escape routes go stale fast
+const WAYPOINT_RADIUS = 6; // How close counts as reaching a waypoint
+const DUMP_SPOT_RADIUS = 16; // How close to the dump spot counts as arrived
+const DUMP_SPOT_ATTEMPTS = 8; // Random spots tried before settling for where we stand
+const FLEE_ANGLES = [0, 0.5, -0.5, 1, -1, 1.5, -1.5]; // Escape directions to try, relative to straight away
+const SHORT_SEARCH_NODES = 300; // Escapes and catch-ups that need a longer search than this aren't worth taking
+
+export const KID_SIZE = { width: 48, height: 60 }; // Made bigger for better visibility
 
 export class Kid extends Entity {
-  constructor(game, x, y, aggressionLevel = 1) {
-    super(x, y, 48, 60); // Made bigger for better visibility
+  constructor(game, x, y, aggressionLevel = 1, archetypeId = 'curiousReader') {
+    super(x, y, KID_SIZE.width, KID_SIZE.height);
     this.game = game;
     this.aggressionLevel = aggressionLevel; // 1 = easy, 2 = normal, 3 = aggressive
     
+    // What kind of kid this is (see data/kidArchetypes.js)
+    this.archetypeId = archetypeId;
+    this.archetype = getKidArchetype(archetypeId);
+    this.archetypeConfig = this.game.balance.getArchetype(archetypeId);
+    this.traits = {}; // Archetype-specific state
+    this.partner = null; // The other kid of a chatty pair
+    this.leader = null; // Boss this kid is escorting
+    this.effects = new StatusEffects(); // Stun, silence, slow, haste...
+    
+    // Hit by the librarian's weapons: pushed back while stunned
+    this.knockbackTimer = 0;
+    this.knockbackVX = 0;
+    this.knockbackVY = 0;
+    
     // Safety check: ensure we don't spawn inside shelves
     this.ensureSafeSpawnPosition();
     
     // Randomly select sprite type (1, 2, or 3)
-    this.spriteType = Math.floor(Math.random() * 3) + 1;
+    this.spriteType = this.game.rng.int(3) + 1;
     
-    // Movement properties - scale with aggression
-    this.speed = aggressionLevel === 1 ? 70 : aggressionLevel === 2 ? 80 : 90;
-    this.fleeSpeed = aggressionLevel === 1 ? 100 : aggressionLevel === 2 ? 110 : 120;
-    this.direction = Math.random() * Math.PI * 2; // Random initial direction
+    // Movement properties - scale with aggression (tuned in balance.json)
+    const tier = this.game.balance.getKidTier(aggressionLevel);
+    this.speed = tier.speed * this.archetypeConfig.speedMultiplier;
+    this.fleeSpeed = tier.fleeSpeed * this.archetypeConfig.speedMultiplier;
+    this.direction = this.game.rng.angle(); // Random initial direction
     this.directionChangeTimer = 0;
     this.directionChangeInterval = 2; // Change direction every 2 seconds
     
     // Behavior states
-    this.state = 'wandering'; // wandering, fleeing, stealing
+    this.state = 'wandering'; // wandering, fleeing, stealing, carrying, throwing
     this.target = null; // Target shelf or escape point
     
     // Volume block carrying - scale with aggression
     this.carriedVolumeBlock = null;
     this.volumeBlockStealCooldown = 0;
-    this.volumeBlockStealCooldownTime = aggressionLevel === 1 ? 2.0 : aggressionLevel === 2 ? 1.5 : 1.0;
-    this.dropVolumeBlockTimer = 0; // Timer for when to drop carried volume block
+    this.volumeBlockStealCooldownTime = tier.stealCooldown;
     this.grabDelay = 0; // Delay before grabbing volume block from shelf
-    this.grabDelayTime = aggressionLevel === 1 ? 1.0 : aggressionLevel === 2 ? 0.5 : 0.2;
-    this.dropVolumeBlockMinTime = aggressionLevel === 1 ? 4 : aggressionLevel === 2 ? 3 : 2;
-    this.dropVolumeBlockMaxTime = aggressionLevel === 1 ? 6 : aggressionLevel === 2 ? 4 : 3;
+    this.grabDelayTime = tier.grabDelay;
+    
+    // Carry-away: run the book to a dump spot and throw it there
+    this.dumpSpot = null; // Kid-center point the carried book is being taken to
+    this.carryTimer = 0; // Time spent carrying, to give up on unreachable spots
+    this.throwTimer = 0;
+    this.throwFrom = null; // Where the book left the kid's hands
     
     // Detection ranges
-    this.shelfDetectionRange = 160; // 5 tiles - increased for better shelf seeking
-    this.playerDetectionRange = 120; // 3.75 tiles
+    this.shelfDetectionRange = this.game.balance.kids.shelfDetectionRange;
+    this.playerDetectionRange = this.game.balance.kids.playerDetectionRange;
     
     // Animation
     this.animationFrame = 0;
@@ -46,16 +78,24 @@ export class Kid extends Entity {
     this.stuckTimer = 0;
     this.isMoving = false;
     
+    // Current path (kid-center waypoints) and what it leads to
+    this.path = null;
+    this.pathIndex = 0;
+    this.pathGoal = null; // Key of the goal the path was planned for
+    this.repathTimer = 0;
+    
     // Sound effects
     this.hasPlayedLaughSound = false; // Prevent multiple laugh sounds per flee
+    
+    this.archetype.init?.(this, this.archetypeConfig);
   }
   
   ensureSafeSpawnPosition() {
     const state = this.game.stateManager.currentState;
-    if (!state || !state.shelves) return;
+    if (!state || !state.spatialIndex) return;
     
-    // Check if we're colliding with any shelf
-    for (const shelf of state.shelves) {
+    // Check if we're colliding with any shelf or wall
+    for (const shelf of state.queryObstacles(this.x, this.y, this.width, this.height)) {
       if (this.checkCollision(this.x, this.y, shelf)) {
         console.log(`[SPAWN SAFETY] Kid spawned inside shelf, moving to safe position`);
         // Move to a safe position away from shelves
@@ -71,18 +111,42 @@ export class Kid extends Entity {
     if (this.volumeBlockStealCooldown > 0) {
       this.volumeBlockStealCooldown -= deltaTime;
     }
+    this.effects.update(deltaTime);
+    
+    // Dazed kids do nothing else. Otherwise archetype behavior first - it can take
+    // over movement for this tick.
+    const stunned = this.effects.has('stun');
+    if (stunned) {
+      this.updateStunned(deltaTime);
+    }
+    const handled = stunned || this.archetype.update?.(this, deltaTime, this.archetypeConfig);
     
     // State machine
-    switch (this.state) {
-      case 'wandering':
-        this.updateWandering(deltaTime);
-        break;
-      case 'fleeing':
-        this.updateFleeing(deltaTime);
-        break;
-      case 'stealing':
-        this.updateStealing(deltaTime);
-        break;
+    if (!handled) {
+      switch (this.state) {
+        case 'wandering':
+          this.updateWandering(deltaTime);
+          break;
+        case 'fleeing':
+          this.updateFleeing(deltaTime);
+          break;
+        case 'stealing':
+          // Silenced mid-raid - give up on the shelf until it wears off
+          if (this.effects.has('silence')) {
+            this.target = null;
+            this.grabDelay = 0;
+            this.state = 'wandering';
+            break;
+          }
+          this.updateStealing(deltaTime);
+          break;
+        case 'carrying':
+          this.updateCarrying(deltaTime);
+          break;
+        case 'throwing':
+          this.updateThrowing(deltaTime);
+          break;
+      }
     }
     
     // Update animation
@@ -107,25 +171,17 @@ export class Kid extends Entity {
     if (Math.abs(this.vx) < 0.1 && Math.abs(this.vy) < 0.1) {
       this.stuckTimer += deltaTime;
       if (this.stuckTimer > 1.0) { // Reduced to 1 second for faster detection
-        console.log(`[KID DEBUG] Kid appears stuck at position:`, {x: this.x, y: this.y, vx: this.vx, vy: this.vy, direction: this.direction});
-        this.direction = Math.random() * Math.PI * 2; // Random direction
+        if (this.path) {
+          this.clearPath(); // Plan again from here
+        } else {
+          this.direction = this.game.rng.angle(); // Random direction
+        }
         this.stuckTimer = 0;
       }
     } else {
       this.stuckTimer = 0; // Reset if moving
     }
     
-    // Update volume block drop timer if carrying
-    if (this.carriedVolumeBlock) {
-      this.dropVolumeBlockTimer += deltaTime;
-      // Drop volume block after time based on aggression level
-      if (this.dropVolumeBlockTimer > this.dropVolumeBlockMinTime + Math.random() * (this.dropVolumeBlockMaxTime - this.dropVolumeBlockMinTime)) {
-        this.dropVolumeBlock();
-        this.dropVolumeBlockTimer = 0;
-        this.state = 'wandering'; // Go find more volume blocks to mess with
-      }
-    }
-    
     // Keep within world bounds
     const state = this.game.stateManager.currentState;
     if (state && state.worldWidth && state.worldHeight) {
@@ -139,33 +195,29 @@ export class Kid extends Entity {
     if (!state) return;
     
     const player = state.player;
-    const shelves = state.shelves || [];
+    const spatialIndex = state.spatialIndex;
     
     // Check for player proximity
     if (player) {
       const distToPlayer = this.getDistanceTo(player);
       if (distToPlayer < this.playerDetectionRange) {
-        // Track kid being repelled
-        if (this.state !== 'fleeing') {
-          this.game.gameData.kidsRepelled++;
-        }
-        this.state = 'fleeing';
-        this.playLaughingSound();
+        this.startFleeing();
         return;
       }
     }
     
+    // Still holding a book (e.g. after fleeing) - go and dump it somewhere
+    if (this.carriedVolumeBlock) {
+      this.startCarrying();
+      return;
+    }
+    
     // Look for shelves with volume blocks to steal (only check nearby shelves)
-    if (!this.carriedVolumeBlock && this.volumeBlockStealCooldown <= 0) {
-      for (const shelf of shelves) {
-        // Quick bounds check before expensive distance calculation
-        if (Math.abs(shelf.x - this.x) > this.shelfDetectionRange || 
-            Math.abs(shelf.y - this.y) > this.shelfDetectionRange) {
-          continue;
-        }
-        
+    if (!this.carriedVolumeBlock && this.canSteal() && spatialIndex) {
+      const nearbyShelves = spatialIndex.queryRadius('shelves', this.getCenterX(), this.getCenterY(), this.shelfDetectionRange);
+      for (const shelf of nearbyShelves) {
         const distToShelf = this.getDistanceTo(shelf);
-        if (distToShelf < this.shelfDetectionRange && shelf.volumeBlocks.some(v => v !== null)) {
+        if (distToShelf < this.shelfDetectionRange && shelf.volumeBlocks.some(v => v !== null) && state.isSameRoom(this, shelf)) {
           this.target = shelf;
           this.state = 'stealing';
           return;
@@ -174,52 +226,31 @@ export class Kid extends Entity {
     }
     
     // If not carrying a volume block and cooldown is up, actively seek nearest shelf
-    if (!this.carriedVolumeBlock && this.volumeBlockStealCooldown <= 0 && shelves.length > 0) {
+    if (!this.carriedVolumeBlock && this.canSteal() && spatialIndex) {
       // Find nearest shelf with volume blocks
-      let nearestShelf = null;
-      let nearestDist = Infinity;
-      
-      for (const shelf of shelves) {
-        if (shelf.volumeBlocks.some(v => v !== null)) {
-          const dist = this.getDistanceTo(shelf);
-          if (dist < nearestDist) {
-            nearestDist = dist;
-            nearestShelf = shelf;
-          }
-        }
-      }
+      const nearestShelf = spatialIndex.findNearest('shelves', this.getCenterX(), this.getCenterY(),
+        shelf => shelf.volumeBlocks.some(v => v !== null));
       
       if (nearestShelf) {
-        // Move towards nearest shelf
+        // Walk around shelves (and through doorways) to the nearest shelf
+        if (this.followPathToShelf(nearestShelf, deltaTime)) return;
+        
         const dx = nearestShelf.getCenterX() - this.getCenterX();
         const dy = nearestShelf.getCenterY() - this.getCenterY();
         this.direction = Math.atan2(dy, dx);
       } else {
-        // No shelves with volume blocks, move toward center
+        // No shelves with volume blocks, move toward the middle of the room
         this.directionChangeTimer -= deltaTime;
         if (this.directionChangeTimer <= 0) {
-          const centerX = state.worldWidth / 2;
-          const centerY = state.worldHeight / 2;
+          const area = state.getAreaAround(this.getCenterX(), this.getCenterY());
+          const centerX = area.x + area.width / 2;
+          const centerY = area.y + area.height / 2;
           const dx = centerX - this.getCenterX();
           const dy = centerY - this.getCenterY();
-          this.direction = Math.atan2(dy, dx) + (Math.random() - 0.5) * 0.5;
+          this.direction = Math.atan2(dy, dx) + (this.game.rng.next() - 0.5) * 0.5;
           this.directionChangeTimer = 1.0; // Check more frequently
         }
       }
-    } else {
-      // Carrying volume block - move around to spread chaos
-      this.directionChangeTimer -= deltaTime;
-      if (this.directionChangeTimer <= 0) {
-        // Move away from where we picked up the volume block
-        if (this.target) {
-          const dx = this.getCenterX() - this.target.getCenterX();
-          const dy = this.getCenterY() - this.target.getCenterY();
-          this.direction = Math.atan2(dy, dx) + (Math.random() - 0.5) * Math.PI / 2;
-        } else {
-          this.direction = Math.random() * Math.PI * 2;
-        }
-        this.directionChangeTimer = 1.5;
-      }
     }
     
     // Move in current direction
@@ -231,12 +262,13 @@ export class Kid extends Entity {
       const margin = 20; // Increased margin for larger character
       if (this.x <= margin || this.x >= state.worldWidth - this.width - margin ||
           this.y <= margin || this.y >= state.worldHeight - this.height - margin) {
-        // Turn toward center
-        const centerX = state.worldWidth / 2;
-        const centerY = state.worldHeight / 2;
+        // Turn toward the middle of the room
+        const area = state.getAreaAround(this.getCenterX(), this.getCenterY());
+        const centerX = area.x + area.width / 2;
+        const centerY = area.y + area.height / 2;
         const dx = centerX - this.getCenterX();
         const dy = centerY - this.getCenterY();
-        this.direction = Math.atan2(dy, dx) + (Math.random() - 0.5) * 0.5;
+        this.direction = Math.atan2(dy, dx) + (this.game.rng.next() - 0.5) * 0.5;
       }
     }
     
@@ -277,21 +309,27 @@ export class Kid extends Entity {
       return;
     }
     
-    // Run away from player
+    // Run away from player - around shelves if there's a clear escape route
     const dx = this.getCenterX() - player.getCenterX();
     const dy = this.getCenterY() - player.getCenterY();
     const dist = Math.sqrt(dx * dx + dy * dy);
     
-    if (dist > 0) {
-      this.vx = (dx / dist) * this.fleeSpeed;
-      this.vy = (dy / dist) * this.fleeSpeed;
+    const planEscape = this.archetype.planEscape
+      ? (navGrid) => this.archetype.planEscape(this, navGrid, player, this.archetypeConfig)
+      : (navGrid) => this.planEscape(navGrid, player);
+    const escaping = this.followPath('flee', planEscape, this.fleeSpeed, deltaTime, FLEE_REPATH_INTERVAL);
+    if (!escaping) {
+      if (dist > 0) {
+        this.vx = (dx / dist) * this.fleeSpeed;
+        this.vy = (dy / dist) * this.fleeSpeed;
+      }
+      
+      // Apply movement with collision detection
+      this.applyMovement(deltaTime);
     }
     
-    // Apply movement with collision detection
-    this.applyMovement(deltaTime);
-    
     // Drop volume block if carrying one (scared)
-    if (this.carriedVolumeBlock && Math.random() < 2.0 * deltaTime) { // 200% chance per second (almost immediately)
+    if (this.carriedVolumeBlock && this.game.rng.chance(2.0 * deltaTime)) { // 200% chance per second (almost immediately)
       this.dropVolumeBlock();
     }
   }
@@ -309,12 +347,7 @@ export class Kid extends Entity {
     if (player) {
       const distToPlayer = this.getDistanceTo(player);
       if (distToPlayer < this.playerDetectionRange) {
-        // Track kid being repelled
-        if (this.state !== 'fleeing') {
-          this.game.gameData.kidsRepelled++;
-        }
-        this.state = 'fleeing';
-        this.playLaughingSound();
+        this.startFleeing();
         return;
       }
     }
@@ -326,11 +359,13 @@ export class Kid extends Entity {
     
     // Use rectangle-based proximity check instead of center distance
     if (!this.isNearShelf(this.target, 5)) { // 5 pixels - must be touching
-      // Move towards shelf
-      this.vx = (dx / dist) * this.speed;
-      this.vy = (dy / dist) * this.speed;
-      // Apply movement with collision detection
-      this.applyMovement(deltaTime);
+      // Walk around shelves to the target, then close the last gap in a straight line
+      if (!this.followPathToShelf(this.target, deltaTime)) {
+        this.vx = (dx / dist) * this.speed;
+        this.vy = (dy / dist) * this.speed;
+        // Apply movement with collision detection
+        this.applyMovement(deltaTime);
+      }
     } else {
       // Near shelf (any side), wait a moment then steal a volume block
       if (this.grabDelay <= 0) {
@@ -343,32 +378,35 @@ export class Kid extends Entity {
         const volumeBlock = this.target.removeRandomVolumeBlock();
         if (volumeBlock) {
         // Volume block has already been removed from shelf and unshelved
-        // 50/50 chance: knock to floor or carry away
-        if (Math.random() < 0.5) {
+        // Knock it to the floor or carry it away - carrying gets likelier as the run goes on
+        const carryChance = this.game.balance.getCarryChance(this.game.gameData.elapsedTime / 60);
+        if (!this.game.rng.chance(carryChance)) {
           // Just knock it to the floor - drop it close to the shelf
           // Volume block is already unshelved by removeRandomVolumeBlock
           const shelf = this.target;
           
           // Drop volume blocks around the shelf they came from
           const dropRadius = 150; // Increased radius around shelf for volume block placement
-          const randomAngle = Math.random() * Math.PI * 2;
-          const randomDistance = Math.random() * dropRadius;
+          const randomAngle = this.game.rng.angle();
+          const randomDistance = this.game.rng.next() * dropRadius;
           
           volumeBlock.x = shelf.getCenterX() + Math.cos(randomAngle) * randomDistance - volumeBlock.width / 2;
           volumeBlock.y = shelf.getCenterY() + Math.sin(randomAngle) * randomDistance - volumeBlock.height / 2;
-          volumeBlock.vx = (Math.random() - 0.5) * 60; // Small random velocity
-          volumeBlock.vy = (Math.random() - 0.5) * 60;
+          this.keepDropInRoom(volumeBlock);
+          volumeBlock.vx = (this.game.rng.next() - 0.5) * 60; // Small random velocity
+          volumeBlock.vy = (this.game.rng.next() - 0.5) * 60;
           volumeBlock.visible = true; // Ensure volume block is visible
+          // Flee after knocking it down to create chaos elsewhere
+          this.state = 'fleeing';
         } else {
           // Pick it up and carry it
           this.carriedVolumeBlock = volumeBlock;
           volumeBlock.isHeld = true;
           volumeBlock.holder = this;
           volumeBlock.visible = true; // Ensure volume block is visible
+          this.startCarrying();
         }
           this.volumeBlockStealCooldown = this.volumeBlockStealCooldownTime;
-          // Flee after stealing to create chaos elsewhere
-          this.state = 'fleeing';
         } else {
           // No volume blocks to steal, go back to wandering
           this.state = 'wandering';
@@ -380,7 +418,174 @@ export class Kid extends Entity {
     }
   }
   
+  startCarrying() {
+    this.state = 'carrying';
+    this.dumpSpot = this.chooseDumpSpot();
+    this.carryTimer = 0;
+  }
+  
+  // Random open spot a few meters away to throw the carried book at
+  chooseDumpSpot() {
+    const state = this.game.stateManager.currentState;
+    const carry = this.game.balance.kids.carry;
+    const x = this.getCenterX();
+    const y = this.getCenterY();
+    
+    for (let attempt = 0; attempt < DUMP_SPOT_ATTEMPTS; attempt++) {
+      const angle = this.game.rng.angle();
+      const distance = this.game.rng.range(carry.minDistance, carry.maxDistance) * 32; // Meters to pixels
+      const spotX = x + Math.cos(angle) * distance;
+      const spotY = y + Math.sin(angle) * distance;
+      if (state?.worldWidth && (spotX < this.width || spotY < this.height ||
+          spotX > state.worldWidth - this.width || spotY > state.worldHeight - this.height)) {
+        continue;
+      }
+      
+      // Snap to somewhere a kid can actually stand
+      const navGrid = state?.navGrid;
+      if (!navGrid) return { x: Math.round(spotX), y: Math.round(spotY) };
+      const cell = navGrid.findOpenCell(spotX, spotY, 2);
+      if (cell !== -1) return navGrid.getCellCenter(cell);
+    }
+    
+    // Nowhere good - throw it right here
+    return { x, y };
+  }
+  
+  updateCarrying(deltaTime) {
+    if (!this.carriedVolumeBlock) {
+      // Snatched or dropped on the way
+      this.dumpSpot = null;
+      this.state = 'wandering';
+      return;
+    }
+    
+    const state = this.game.stateManager.currentState;
+    const player = state ? state.player : null;
+    if (player && this.getDistanceTo(player) < this.playerDetectionRange) {
+      this.startFleeing();
+      return;
+    }
+    
+    this.carryTimer += deltaTime;
+    const { x, y } = this.dumpSpot;
+    const dx = x - this.getCenterX();
+    const dy = y - this.getCenterY();
+    const dist = Math.sqrt(dx * dx + dy * dy);
+    
+    // Throw on arrival, or from wherever we got to if the spot can't be reached
+    if (dist < DUMP_SPOT_RADIUS || this.carryTimer > this.game.balance.kids.carry.giveUpSeconds) {
+      this.startThrowing();
+      return;
+    }
+    
+    if (!this.followPath(`dump:${x},${y}`, (navGrid) => navGrid.findPathToPoint(this.getCenterX(), this.getCenterY(), x, y), this.speed, deltaTime)) {
+      this.direction = Math.atan2(dy, dx);
+      this.vx = (dx / dist) * this.speed;
+      this.vy = (dy / dist) * this.speed;
+      this.applyMovement(deltaTime);
+    }
+  }
+  
+  startThrowing() {
+    this.state = 'throwing';
+    this.throwTimer = 0;
+    this.throwFrom = this.getCarryPosition();
+    this.vx = 0;
+    this.vy = 0;
+    this.clearPath();
+    
+    // Face where the book is going
+    if (this.dumpSpot.x !== this.getCenterX()) {
+      this.facing = this.dumpSpot.x > this.getCenterX() ? 'right' : 'left';
+    }
+  }
+  
+  // The kid stands still while the book flies to the dump spot
+  updateThrowing(deltaTime) {
+    if (!this.carriedVolumeBlock) {
+      // Snatched out of the air
+      this.dumpSpot = null;
+      this.throwFrom = null;
+      this.state = 'fleeing';
+      return;
+    }
+    
+    this.vx = 0;
+    this.vy = 0;
+    this.throwTimer += deltaTime;
+    if (this.throwTimer < this.game.balance.kids.carry.throwSeconds) return;
+    
+    // Landed
+    const volumeBlock = this.carriedVolumeBlock;
+    const state = this.game.stateManager.currentState;
+    this.carriedVolumeBlock = null;
+    volumeBlock.isHeld = false;
+    volumeBlock.holder = null;
+    volumeBlock.isShelved = false;
+    volumeBlock.visible = true;
+    
+    let dropX = this.dumpSpot.x - volumeBlock.width / 2;
+    let dropY = this.dumpSpot.y - volumeBlock.height / 2;
+    if (state && state.worldWidth && state.worldHeight) {
+      const margin = 20;
+      dropX = Math.max(margin, Math.min(state.worldWidth - volumeBlock.width - margin, dropX));
+      dropY = Math.max(margin, Math.min(state.worldHeight - volumeBlock.height - margin, dropY));
+    }
+    volumeBlock.x = dropX;
+    volumeBlock.y = dropY;
+    this.keepDropInRoom(volumeBlock);
+    volumeBlock.vx = (this.game.rng.next() - 0.5) * 40;
+    volumeBlock.vy = (this.game.rng.next() - 0.5) * 40;
+    
+    this.game.events.emit(GameEvents.VOLUME_BLOCK_THROWN, { volumeBlock, kid: this });
+    
+    this.dumpSpot = null;
+    this.throwFrom = null;
+    this.target = null;
+    this.volumeBlockStealCooldown = this.volumeBlockStealCooldownTime;
+    this.state = 'wandering';
+  }
+  
+  // Where a carried book sits: centered above the kid's head
+  getCarryPosition() {
+    const volumeBlock = this.carriedVolumeBlock;
+    return {
+      x: this.getCenterX() - volumeBlock.width / 2,
+      y: this.y - volumeBlock.height - 4
+    };
+  }
+  
+  // Dotted line to the dump spot, so the librarian can cut the kid off
+  renderIntent(ctx) {
+    const { x, y } = this.dumpSpot;
+    ctx.save();
+    ctx.strokeStyle = 'rgba(255, 235, 59, 0.8)';
+    ctx.lineWidth = 2;
+    ctx.setLineDash([4, 6]);
+    ctx.beginPath();
+    ctx.moveTo(this.getCenterX(), this.getCenterY());
+    ctx.lineTo(x, y);
+    ctx.stroke();
+    
+    // X marks the spot
+    const size = 8;
+    ctx.setLineDash([]);
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.moveTo(x - size, y - size);
+    ctx.lineTo(x + size, y + size);
+    ctx.moveTo(x + size, y - size);
+    ctx.lineTo(x - size, y + size);
+    ctx.stroke();
+    ctx.restore();
+  }
+  
   render(ctx, interpolation) {
+    if (this.carriedVolumeBlock && this.dumpSpot && (this.state === 'carrying' || this.state === 'throwing')) {
+      this.renderIntent(ctx);
+    }
+    
     // Get appropriate sprite based on sprite type and animation state
     let sprite;
     const spritePrefix = `kid${this.spriteType}`;
@@ -476,12 +681,54 @@ export class Kid extends Entity {
       ctx.restore();
     }
     
+    // Archetype badge by the kid's shoulder
+    if (this.archetype.icon) {
+      ctx.save();
+      ctx.font = '16px Arial';
+      ctx.textAlign = 'center';
+      ctx.fillText(this.archetype.icon, this.x + this.width - 4, this.y + 12);
+      ctx.restore();
+    }
+    
+    // Stunned, silenced, slowed... down the kid's other shoulder
+    this.effects.render(ctx, this.x + 4, this.y + 12);
+    
     // Draw carried volume block above head
     if (this.carriedVolumeBlock) {
-      // Center volume block above the kid's actual sprite (accounting for aspect ratio)
-      this.carriedVolumeBlock.x = this.getCenterX() - this.carriedVolumeBlock.width / 2;
-      this.carriedVolumeBlock.y = this.y - this.carriedVolumeBlock.height - 4;
-      this.carriedVolumeBlock.render(ctx, interpolation);
+      const volumeBlock = this.carriedVolumeBlock;
+      let { x, y } = this.getCarryPosition();
+      
+      if (this.state === 'throwing' && this.throwFrom) {
+        // Arc from the kid's hands down onto the dump spot
+        const t = Math.min(1, this.throwTimer / this.game.balance.kids.carry.throwSeconds);
+        const toX = this.dumpSpot.x - volumeBlock.width / 2;
+        const toY = this.dumpSpot.y - volumeBlock.height / 2;
+        x = this.throwFrom.x + (toX - this.throwFrom.x) * t;
+        y = this.throwFrom.y + (toY - this.throwFrom.y) * t - Math.sin(t * Math.PI) * 40;
+      }
+      volumeBlock.x = x;
+      volumeBlock.y = y;
+      
+      // Glow so stolen books stand out
+      ctx.save();
+      ctx.fillStyle = 'rgba(255, 235, 59, 0.45)';
+      ctx.beginPath();
+      ctx.arc(volumeBlock.getCenterX(), volumeBlock.getCenterY(), Math.max(volumeBlock.width, volumeBlock.height) * 0.8, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.restore();
+      volumeBlock.render(ctx, interpolation);
+    }
+  }
+  
+  // Books can't land inside a wall or in another room - drop them at our feet instead
+  keepDropInRoom(volumeBlock) {
+    const state = this.game.stateManager.currentState;
+    if (!state || !state.rooms || state.rooms.length === 0) return;
+    
+    const inWall = state.overlapsWall(volumeBlock.x, volumeBlock.y, volumeBlock.width, volumeBlock.height);
+    if (inWall || !state.isSameRoom(this, volumeBlock)) {
+      volumeBlock.x = this.getCenterX() - volumeBlock.width / 2;
+      volumeBlock.y = this.getCenterY() - volumeBlock.height / 2;
     }
   }
   
@@ -502,16 +749,16 @@ export class Kid extends Entity {
         const shelf = this.target;
         // Drop volume blocks around the shelf they came from
         const dropRadius = 180; // Increased radius around shelf for volume block placement
-        const randomAngle = Math.random() * Math.PI * 2;
-        const randomDistance = Math.random() * dropRadius;
+        const randomAngle = this.game.rng.angle();
+        const randomDistance = this.game.rng.next() * dropRadius;
         
         dropX = shelf.getCenterX() + Math.cos(randomAngle) * randomDistance - volumeBlock.width / 2;
         dropY = shelf.getCenterY() + Math.sin(randomAngle) * randomDistance - volumeBlock.height / 2;
       } else {
         // Fallback: drop near current position
         const dropRadius = 60;
-        const randomAngle = Math.random() * Math.PI * 2;
-        const randomDistance = Math.random() * dropRadius;
+        const randomAngle = this.game.rng.angle();
+        const randomDistance = this.game.rng.next() * dropRadius;
         
         dropX = this.getCenterX() + Math.cos(randomAngle) * randomDistance - volumeBlock.width / 2;
         dropY = this.getCenterY() + Math.sin(randomAngle) * randomDistance - volumeBlock.height / 2;
@@ -527,13 +774,81 @@ export class Kid extends Entity {
       
       volumeBlock.x = dropX;
       volumeBlock.y = dropY;
+      this.keepDropInRoom(volumeBlock);
       
       // Give volume block a small random velocity
-      volumeBlock.vx = (Math.random() - 0.5) * 40;
-      volumeBlock.vy = (Math.random() - 0.5) * 40;
+      volumeBlock.vx = (this.game.rng.next() - 0.5) * 40;
+      volumeBlock.vy = (this.game.rng.next() - 0.5) * 40;
       
       this.carriedVolumeBlock = null;
+      this.dumpSpot = null;
+    }
+  }
+  
+  // Steer along a path to a goal, planning a new one when the goal changes or the
+  // current one gets old. plan(navGrid) returns waypoints, or null if there's no way.
+  // Returns false when there is no path or it has been walked to the end, so the
+  // caller can fall back to heading straight for the goal.
+  followPath(goalKey, plan, speed, deltaTime, repathInterval = REPATH_INTERVAL) {
+    const navGrid = this.game.stateManager.currentState?.navGrid;
+    if (!navGrid) return false;
+    
+    this.repathTimer -= deltaTime;
+    if (goalKey !== this.pathGoal || this.repathTimer <= 0) {
+      this.path = plan(navGrid);
+      this.pathIndex = 0;
+      this.pathGoal = goalKey;
+      this.repathTimer = repathInterval;
+    }
+    if (!this.path) return false;
+    
+    // Skip waypoints we've reached
+    let waypoint = this.path[this.pathIndex];
+    while (waypoint && Math.hypot(waypoint.x - this.getCenterX(), waypoint.y - this.getCenterY()) < WAYPOINT_RADIUS) {
+      this.pathIndex++;
+      waypoint = this.path[this.pathIndex];
     }
+    if (!waypoint) return false;
+    
+    this.direction = Math.atan2(waypoint.y - this.getCenterY(), waypoint.x - this.getCenterX());
+    this.vx = Math.cos(this.direction) * speed;
+    this.vy = Math.sin(this.direction) * speed;
+    this.applyMovement(deltaTime);
+    return true;
+  }
+  
+  followPathToShelf(shelf, deltaTime) {
+    return this.followPath(`shelf:${shelf.x},${shelf.y}`,
+      (navGrid) => navGrid.findPathToRect(this.getCenterX(), this.getCenterY(), shelf.getBounds()), this.speed, deltaTime);
+  }
+  
+  // Path to an open spot about a detection range away, heading as directly away from the player as we can
+  planEscape(navGrid, player) {
+    const away = Math.atan2(this.getCenterY() - player.getCenterY(), this.getCenterX() - player.getCenterX());
+    for (const offset of FLEE_ANGLES) {
+      const angle = away + offset;
+      const path = this.findShortPath(navGrid,
+        this.getCenterX() + Math.cos(angle) * this.playerDetectionRange,
+        this.getCenterY() + Math.sin(angle) * this.playerDetectionRange);
+      if (path) return path;
+    }
+    return null;
+  }
+  
+  // Escape and catch-up routes are planned often and for many kids at once: run straight
+  // there when nothing is in the way, and only search a little way around obstacles otherwise
+  findShortPath(navGrid, x, y) {
+    if (navGrid.hasLineOfSight(this.getCenterX(), this.getCenterY(), x, y)) {
+      return [{ x, y }];
+    }
+    return navGrid.findPathToPoint(this.getCenterX(), this.getCenterY(), x, y, SHORT_SEARCH_NODES);
+  }
+  
+  clearPath() {
+    this.path = null;
+    this.pathIndex = 0;
+    this.pathGoal = null;
+    this.repathTimer = 0;
   }
   
   getDistanceTo(entity) {
@@ -542,31 +857,28 @@ export class Kid extends Entity {
     return Math.sqrt(dx * dx + dy * dy);
   }
   
-  applyMovement(deltaTime) {
+  applyMovement(deltaTime, speedMultiplier = this.effects.getSpeedMultiplier()) {
     const state = this.game.stateManager.currentState;
-    if (!state || !state.shelves) {
+    const step = deltaTime * speedMultiplier;
+    if (!state || !state.spatialIndex) {
       // No collision detection available, just move
-      this.x += this.vx * deltaTime;
-      this.y += this.vy * deltaTime;
+      this.x += this.vx * step;
+      this.y += this.vy * step;
       return;
     }
     
     // Calculate new position
-    const newX = this.x + this.vx * deltaTime;
-    const newY = this.y + this.vy * deltaTime;
+    const newX = this.x + this.vx * step;
+    const newY = this.y + this.vy * step;
     
-    // Check collisions with shelves (only nearby ones)
+    // Check collisions with shelves and walls (only nearby ones)
     let canMoveX = true;
     let canMoveY = true;
-    const checkRadius = 150; // Only check shelves within this radius - increased for larger character
+    const nearbyShelves = state.queryObstacles(
+      Math.min(this.x, newX), Math.min(this.y, newY),
+      this.width + Math.abs(newX - this.x), this.height + Math.abs(newY - this.y));
     
-    for (const shelf of state.shelves) {
-      // Quick bounds check
-      if (Math.abs(shelf.x - this.x) > checkRadius || 
-          Math.abs(shelf.y - this.y) > checkRadius) {
-        continue;
-      }
-      
+    for (const shelf of nearbyShelves) {
       // Check X movement
       if (canMoveX && this.checkCollision(newX, this.y, shelf)) {
         canMoveX = false;
@@ -587,10 +899,9 @@ export class Kid extends Entity {
       this.x = newX;
     } else {
       // Bounce off in opposite direction with less aggressive response
-      console.log(`[MOVEMENT DEBUG] X movement blocked at position:`, {x: this.x, y: this.y, newX, vx: this.vx});
       this.vx = -this.vx * 0.3;
       if (this.state === 'wandering') {
-        this.direction = Math.PI - this.direction + (Math.random() - 0.5) * 0.5;
+        this.direction = Math.PI - this.direction + (this.game.rng.next() - 0.5) * 0.5;
       }
     }
     
@@ -598,16 +909,15 @@ export class Kid extends Entity {
       this.y = newY;
     } else {
       // Bounce off in opposite direction with less aggressive response
-      console.log(`[MOVEMENT DEBUG] Y movement blocked at position:`, {x: this.x, y: this.y, newY, vy: this.vy});
       this.vy = -this.vy * 0.3;
       if (this.state === 'wandering') {
-        this.direction = -this.direction + (Math.random() - 0.5) * 0.5;
+        this.direction = -this.direction + (this.game.rng.next() - 0.5) * 0.5;
       }
     }
     
     // If both X and Y movement are blocked, try to get unstuck
     if (!canMoveX && !canMoveY && this.state === 'wandering') {
-      this.direction = Math.random() * Math.PI * 2;
+      this.direction = this.game.rng.angle();
       this.vx = Math.cos(this.direction) * this.speed * 0.5;
       this.vy = Math.sin(this.direction) * this.speed * 0.5;
     }
@@ -663,49 +973,125 @@ export class Kid extends Entity {
              kidBottom <= entityTop);
   }
   
-  getUnstuck() {
-    const state = this.game.stateManager.currentState;
-    if (!state) return;
-    
-    // If near edges, move towards center
-    if (state.worldWidth && state.worldHeight) {
-      const centerX = state.worldWidth / 2;
-      const centerY = state.worldHeight / 2;
-      
-      // Calculate direction towards center
-      const dx = centerX - this.x;
-      const dy = centerY - this.y;
-      this.direction = Math.atan2(dy, dx);
-      
-      // Add some randomness
-      this.direction += (Math.random() - 0.5) * Math.PI / 4;
-      
-      // Force movement
-      this.vx = Math.cos(this.direction) * this.speed;
-      this.vy = Math.sin(this.direction) * this.speed;
-      
-      // Try to teleport slightly if really stuck
-      if (this.x < 50 || this.x > state.worldWidth - 50 - this.width ||
-          this.y < 50 || this.y > state.worldHeight - 50 - this.height) {
-        this.x = Math.max(100, Math.min(state.worldWidth - 100 - this.width, this.x));
-        this.y = Math.max(100, Math.min(state.worldHeight - 100 - this.height, this.y));
-      }
-    }
-    
-    // Reset state to wandering
+  // Dazed for a while, forgetting whatever we were up to
+  stun(seconds) {
+    this.effects.apply('stun', seconds);
     this.state = 'wandering';
     this.target = null;
+    this.dumpSpot = null;
+    this.grabDelay = 0;
+    this.clearPath();
+  }
+  
+  canSteal() {
+    return this.volumeBlockStealCooldown <= 0 && !this.effects.has('silence');
+  }
+  
+  // Shoved along at (vx, vy) pixels per second for a moment
+  knockBack(vx, vy, seconds) {
+    this.knockbackVX = vx;
+    this.knockbackVY = vy;
+    this.knockbackTimer = seconds;
+  }
+  
+  updateStunned(deltaTime) {
+    if (this.knockbackTimer > 0) {
+      this.knockbackTimer -= deltaTime;
+      this.vx = this.knockbackVX;
+      this.vy = this.knockbackVY;
+      this.applyMovement(deltaTime, 1); // A shove isn't walking - slows don't soften it
+    } else {
+      this.vx = 0;
+      this.vy = 0;
+    }
+  }
+  
+  startFleeing() {
+    if (this.state !== 'fleeing') {
+      this.game.events.emit(GameEvents.KID_REPELLED, { kid: this });
+    }
+    this.state = 'fleeing';
+  }
+  
+  // Plain data for run saves - the target shelf, carried volume block, partner and leader are saved by PlayingState
+  getSaveData() {
+    return {
+      x: this.x,
+      y: this.y,
+      vx: this.vx,
+      vy: this.vy,
+      aggressionLevel: this.aggressionLevel,
+      archetypeId: this.archetypeId,
+      traits: { ...this.traits },
+      spriteType: this.spriteType,
+      state: this.state,
+      direction: this.direction,
+      directionChangeTimer: this.directionChangeTimer,
+      volumeBlockStealCooldown: this.volumeBlockStealCooldown,
+      grabDelay: this.grabDelay,
+      fleeTimer: this.fleeTimer ?? null,
+      stuckTimer: this.stuckTimer,
+      path: this.path,
+      pathIndex: this.pathIndex,
+      pathGoal: this.pathGoal,
+      repathTimer: this.repathTimer,
+      dumpSpot: this.dumpSpot,
+      carryTimer: this.carryTimer,
+      throwTimer: this.throwTimer,
+      throwFrom: this.throwFrom,
+      effects: this.effects.getSaveData(),
+      knockbackTimer: this.knockbackTimer,
+      knockbackVX: this.knockbackVX,
+      knockbackVY: this.knockbackVY,
+      facing: this.facing,
+      hasPlayedLaughSound: this.hasPlayedLaughSound
+    };
+  }
+  
+  applySaveData(data) {
+    this.x = data.x;
+    this.y = data.y;
+    this.vx = data.vx;
+    this.vy = data.vy;
+    this.spriteType = data.spriteType;
+    this.traits = data.traits;
+    this.state = data.state;
+    this.direction = data.direction;
+    this.directionChangeTimer = data.directionChangeTimer;
+    this.volumeBlockStealCooldown = data.volumeBlockStealCooldown;
+    this.grabDelay = data.grabDelay;
+    this.fleeTimer = data.fleeTimer;
+    this.stuckTimer = data.stuckTimer;
+    this.path = data.path;
+    this.pathIndex = data.pathIndex;
+    this.pathGoal = data.pathGoal;
+    this.repathTimer = data.repathTimer;
+    this.dumpSpot = data.dumpSpot;
+    this.carryTimer = data.carryTimer;
+    this.throwTimer = data.throwTimer;
+    this.throwFrom = data.throwFrom;
+    this.effects.applySaveData(data.effects);
+    this.knockbackTimer = data.knockbackTimer;
+    this.knockbackVX = data.knockbackVX;
+    this.knockbackVY = data.knockbackVY;
+    this.facing = data.facing;
+    this.hasPlayedLaughSound = data.hasPlayedLaughSound;
   }
   
   playLaughingSound() {
     // Only play if we haven't already played it for this flee session
     if (!this.hasPlayedLaughSound) {
-      // Select laugh sound based on sprite type
-      const laughFile = `/kid_laughing_${this.spriteType}.mp3`;
-      const laughSound = new Audio(laughFile);
-      laughSound.volume = 0.5;
-      laughSound.play().catch(e => console.log('Kid laugh sound play failed:', e));
+      this.playLaugh();
       this.hasPlayedLaughSound = true;
     }
   }
+  
+  playLaugh() {
+    if (this.game.headless) return;
+    // Select laugh sound based on sprite type
+    const laughFile = `/kid_laughing_${this.spriteType}.mp3`;
+    const laughSound = new Audio(laughFile);
+    laughSound.volume = 0.5;
+    laughSound.play().catch(e => console.log('Kid laugh sound play failed:', e));
+  }
 }
\ No newline at end of file
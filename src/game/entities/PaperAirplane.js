@@ -0,0 +1,66 @@
+import { Entity } from './Entity.js';
+
+// Thrown by a Gamer at a shelf across the room - knocks books off when it lands
+export class PaperAirplane extends Entity {
+  constructor(x, y, targetShelf, speed) {
+    super(x - 8, y - 6, 16, 12);
+    this.solid = false;
+    this.targetShelf = targetShelf;
+    this.speed = speed;
+    this.angle = 0;
+    this.hasHit = false;
+  }
+  
+  // Flies straight at the shelf, over anything in the way
+  update(deltaTime) {
+    const dx = this.targetShelf.getCenterX() - this.getCenterX();
+    const dy = this.targetShelf.getCenterY() - this.getCenterY();
+    const dist = Math.sqrt(dx * dx + dy * dy);
+    const step = this.speed * deltaTime;
+    this.angle = Math.atan2(dy, dx);
+    
+    if (dist <= step) {
+      this.x += dx;
+      this.y += dy;
+      this.hasHit = true;
+      this.active = false;
+      return;
+    }
+    this.x += (dx / dist) * step;
+    this.y += (dy / dist) * step;
+  }
+  
+  render(ctx, interpolation) {
+    ctx.save();
+    ctx.translate(this.getCenterX(), this.getCenterY());
+    ctx.rotate(this.angle);
+    
+    // Folded paper dart pointing along +x
+    ctx.fillStyle = '#fafafa';
+    ctx.strokeStyle = '#607d8b';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(9, 0);
+    ctx.lineTo(-7, -6);
+    ctx.lineTo(-4, 0);
+    ctx.lineTo(-7, 6);
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.moveTo(9, 0);
+    ctx.lineTo(-4, 0);
+    ctx.stroke();
+    ctx.restore();
+  }
+  
+  // Plain data for run saves - the target shelf is saved by PlayingState
+  getSaveData() {
+    return {
+      x: this.x,
+      y: this.y,
+      speed: this.speed,
+      angle: this.angle
+    };
+  }
+}
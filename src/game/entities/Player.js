@@ -1,32 +1,48 @@
 import { Entity } from './Entity.js';
+import { getWeapon } from '../data/weapons.js';
+import { StatusEffects } from '../systems/StatusEffects.js';
+
+// Direction the librarian faces, as an angle
+const FACING_ANGLES = { right: 0, down: Math.PI / 2, left: Math.PI, up: -Math.PI / 2 };
 
 export class Player extends Entity {
   constructor(game, x, y) {
     super(x, y, 48, 64); // Increased size from 32x48 to 48x64
     this.game = game;
     
-    // Stats (from design doc)
+    // Stats (tuned in balance.json)
+    const balance = game.balance.player;
     this.stats = {
-      moveSpeed: 3, // meters per second (assuming 1 meter = 32 pixels)
-      pickupRadius: 1,
-      returnRadius: 0.5, // Half a tile - must be touching shelf
-      carrySlots: 5,
-      stamina: 100,
-      maxStamina: 100,
-      chaosDampening: 0,
-      xpMultiplier: 1.0 // For Reading Glasses upgrade
+      moveSpeed: balance.moveSpeed, // meters per second (assuming 1 meter = 32 pixels)
+      pickupRadius: balance.pickupRadius,
+      returnRadius: balance.returnRadius, // Must be touching shelf
+      carrySlots: balance.carrySlots,
+      health: balance.maxHealth,
+      maxHealth: balance.maxHealth,
+      stamina: balance.maxStamina,
+      maxStamina: balance.maxStamina,
+      chaosDampening: balance.chaosDampening,
+      xpMultiplier: balance.xpMultiplier, // For Reading Glasses upgrade
+      kidSlow: balance.kidSlow // Fraction every kid is slowed by (Air Conditioning)
     };
+    this.effects = new StatusEffects(); // Sticky shoes, slows, stuns...
     
     // Upgrade tracking
     this.upgradeLevels = {};
     
+    // Weapons fire on their own - their level is the upgrade's level
+    this.weaponCooldowns = {}; // Weapon id -> seconds until it fires again
+    
     // Movement
     this.baseSpeed = this.stats.moveSpeed * 32; // Convert to pixels/second
-    this.sprintMultiplier = 1.5;
+    this.sprintMultiplier = balance.sprintMultiplier;
+    this.sprintStaminaDrain = balance.sprintStaminaDrain; // Stamina per second
+    this.staminaRegen = balance.staminaRegen; // Stamina per second
     this.isSprinting = false;
     
     // Volume blocks carried
     this.carriedVolumeBlocks = [];
+    this.cartVolumeBlocks = []; // Rolling Book Cart's load - doesn't count against carrySlots
     
     // Animation
     this.facing = 'down'; // up, down, left, right
@@ -44,7 +60,13 @@ export class Player extends Entity {
     };
     
     // Repel radius for kids
-    this.repelRadius = 1.5 * 32; // 1.5 meters in pixels
+    this.repelRadius = balance.repelRadius * 32; // Meters to pixels
+    
+    // Getting bumped by kids
+    this.invulnerableTimer = 0; // Seconds until the next bump can hurt
+    this.knockbackTimer = 0;
+    this.knockbackVX = 0;
+    this.knockbackVY = 0;
     
     // Sound effects
     this.outOfBreathSound = null;
@@ -54,19 +76,23 @@ export class Player extends Entity {
   update(deltaTime) {
     const input = this.game.inputManager;
     
-    // Get movement input
-    const movement = input.getMovementVector();
+    this.invulnerableTimer = Math.max(0, this.invulnerableTimer - deltaTime);
+    this.knockbackTimer = Math.max(0, this.knockbackTimer - deltaTime);
+    this.effects.update(deltaTime);
+    
+    // Get movement input - none while stunned
+    const movement = this.effects.has('stun') ? { x: 0, y: 0 } : input.getMovementVector();
     
     // Handle sprinting
     this.isSprinting = input.isActionDown('sprint') && this.stats.stamina > 0;
     
     if (this.isSprinting) {
       // Drain stamina while sprinting
-      this.stats.stamina -= 20 * deltaTime; // 20 stamina per second
+      this.stats.stamina -= this.sprintStaminaDrain * deltaTime;
       this.stats.stamina = Math.max(0, this.stats.stamina);
     } else {
       // Regenerate stamina when not sprinting
-      this.stats.stamina += 10 * deltaTime; // 10 stamina per second
+      this.stats.stamina += this.staminaRegen * deltaTime;
       this.stats.stamina = Math.min(this.stats.maxStamina, this.stats.stamina);
     }
     
@@ -86,23 +112,32 @@ export class Player extends Entity {
     }
     
     // Calculate speed - only apply sprint multiplier if we have stamina
-    const currentSpeed = this.baseSpeed * (this.isSprinting && this.stats.stamina > 0 ? this.sprintMultiplier : 1);
+    let currentSpeed = this.baseSpeed * (this.isSprinting && this.stats.stamina > 0 ? this.sprintMultiplier : 1);
+    
+    // Sticky shoes, slows and the like
+    currentSpeed *= this.effects.getSpeedMultiplier();
     
     // Apply movement
     this.vx = movement.x * currentSpeed;
     this.vy = movement.y * currentSpeed;
     
-    // Calculate new position
-    const newX = this.x + this.vx * deltaTime;
-    const newY = this.y + this.vy * deltaTime;
+    // Calculate new position (a bump's knockback pushes us along too)
+    const knockback = this.knockbackTimer > 0;
+    const newX = this.x + (this.vx + (knockback ? this.knockbackVX : 0)) * deltaTime;
+    const newY = this.y + (this.vy + (knockback ? this.knockbackVY : 0)) * deltaTime;
     
-    // Check collisions with shelves
+    // Check collisions with shelves and walls
     const state = this.game.stateManager.currentState;
     let canMoveX = true;
     let canMoveY = true;
     
-    if (state && state.shelves) {
-      for (const shelf of state.shelves) {
+    if (state && state.spatialIndex) {
+      // Only obstacles around the area we're moving through
+      const nearbyShelves = state.queryObstacles(
+        Math.min(this.x, newX), Math.min(this.y, newY),
+        this.width + Math.abs(newX - this.x), this.height + Math.abs(newY - this.y));
+      
+      for (const shelf of nearbyShelves) {
         // Check X movement
         if (this.checkCollision(newX, this.y, shelf)) {
           canMoveX = false;
@@ -159,10 +194,54 @@ export class Player extends Entity {
       this.animationTimer = 0;
     }
     
+    this.updateWeapons(deltaTime);
+    
     // Update camera to follow player
     this.game.camera.follow(this);
   }
   
+  updateWeapons(deltaTime) {
+    const state = this.game.stateManager.currentState;
+    if (!state || !state.spatialIndex) return;
+    
+    for (const id of Object.keys(this.weaponCooldowns)) {
+      this.weaponCooldowns[id] = Math.max(0, this.weaponCooldowns[id] - deltaTime);
+      if (this.weaponCooldowns[id] > 0) continue;
+      
+      // Weapons with nothing to aim at stay ready and try again next tick
+      const stats = this.game.balance.getWeaponLevel(id, this.upgradeLevels[id]);
+      if (getWeapon(id).fire(this, stats, state)) {
+        this.weaponCooldowns[id] = stats.cooldown;
+      }
+    }
+  }
+  
+  // Sprinting with the Rolling Book Cart pushes it ahead of us, scooping up books
+  isPushingCart() {
+    return this.upgradeLevels.rollingBookCart > 0 && this.isSprinting && this.isMoving;
+  }
+  
+  // Center of the cart - ahead of us while pushing, parked at our side otherwise
+  getCartPosition() {
+    if (this.isPushingCart()) {
+      const angle = this.getFacingAngle();
+      return { x: this.getCenterX() + Math.cos(angle) * 40, y: this.getCenterY() + 12 + Math.sin(angle) * 36 };
+    }
+    const side = this.lastHorizontalFacing === 'right' ? -1 : 1;
+    return { x: this.getCenterX() + side * 34, y: this.y + this.height - 14 };
+  }
+  
+  // Start firing a weapon (straight away) if we don't have it yet
+  equipWeapon(id) {
+    if (!(id in this.weaponCooldowns)) {
+      this.weaponCooldowns[id] = 0;
+    }
+  }
+  
+  getFacingAngle() {
+    return FACING_ANGLES[this.facing];
+  }
+  
   render(ctx, interpolation) {
     // Get appropriate sprite based on animation frame
     let sprite;
@@ -209,6 +288,18 @@ export class Player extends Entity {
     
     if (!sprite) return;
     
+    // Cart goes behind us when pushing it away from the camera
+    const hasCart = this.upgradeLevels.rollingBookCart > 0;
+    if (hasCart && this.facing === 'up') {
+      this.renderCart(ctx);
+    }
+    
+    // Flicker while recovering from a bump
+    ctx.save();
+    if (this.invulnerableTimer > 0 && Math.floor(this.invulnerableTimer * 10) % 2 === 0) {
+      ctx.globalAlpha = 0.4;
+    }
+    
     // Draw sprite with direction flipping
     this.game.renderer.drawSprite(
       sprite,
@@ -220,6 +311,32 @@ export class Player extends Entity {
         flipX: this.lastHorizontalFacing === 'right' // Use last horizontal direction for flipping
       }
     );
+    ctx.restore();
+    
+    if (hasCart && this.facing !== 'up') {
+      this.renderCart(ctx);
+    }
+    this.effects.render(ctx, this.x - 4, this.y + 16);
+    
+    // Dust Cloud swirling around us, out to where it slows kids
+    if (this.upgradeLevels.dustCloud > 0) {
+      const radius = this.game.balance.getWeaponLevel('dustCloud', this.upgradeLevels.dustCloud).radius * 32;
+      const swirl = this.animationTimer + this.x * 0.01;
+      ctx.save();
+      ctx.fillStyle = 'rgba(161, 136, 127, 0.12)';
+      ctx.beginPath();
+      ctx.arc(this.getCenterX(), this.getCenterY(), radius, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillStyle = 'rgba(141, 110, 99, 0.35)';
+      for (let i = 0; i < 8; i++) {
+        const angle = swirl + (i * Math.PI * 2) / 8;
+        const distance = radius * (0.55 + (i % 3) * 0.15);
+        ctx.beginPath();
+        ctx.arc(this.getCenterX() + Math.cos(angle) * distance, this.getCenterY() + Math.sin(angle) * distance, 6 + (i % 2) * 4, 0, Math.PI * 2);
+        ctx.fill();
+      }
+      ctx.restore();
+    }
     
     // Draw pickup radius indicator when Long Arms upgrade is active
     if (this.upgradeLevels?.pickupRadius > 0) {
@@ -261,35 +378,6 @@ export class Player extends Entity {
       ctx.restore();
     }
     
-    // Draw pickup radius (debug)
-    if (this.game.debug.showCollisionBoxes) {
-      ctx.save();
-      ctx.strokeStyle = 'rgba(0, 255, 0, 0.3)';
-      ctx.lineWidth = 2;
-      ctx.beginPath();
-      ctx.arc(
-        this.getCenterX(),
-        this.getCenterY(),
-        this.stats.pickupRadius * 32,
-        0,
-        Math.PI * 2
-      );
-      ctx.stroke();
-      
-      // Draw repel radius
-      ctx.strokeStyle = 'rgba(255, 0, 0, 0.3)';
-      ctx.beginPath();
-      ctx.arc(
-        this.getCenterX(),
-        this.getCenterY(),
-        this.repelRadius,
-        0,
-        Math.PI * 2
-      );
-      ctx.stroke();
-      ctx.restore();
-    }
-    
     // Draw carried volume blocks indicator with colors
     if (this.carriedVolumeBlocks.length > 0) {
       ctx.save();
@@ -337,7 +425,49 @@ export class Player extends Entity {
     }
   }
   
+  renderCart(ctx) {
+    const { x, y } = this.getCartPosition();
+    const perRow = Math.ceil(this.game.balance.player.bookCart.capacity / 2);
+    
+    ctx.save();
+    
+    // Dust kicked up while it's rolling
+    if (this.isPushingCart()) {
+      ctx.fillStyle = 'rgba(189, 189, 189, 0.5)';
+      ctx.beginPath();
+      ctx.arc(x - this.vx * 0.06, y + 14 - this.vy * 0.06, 8, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    
+    // Wheels, then the wooden cart
+    ctx.fillStyle = '#212121';
+    ctx.beginPath();
+    ctx.arc(x - 12, y + 14, 4, 0, Math.PI * 2);
+    ctx.arc(x + 12, y + 14, 4, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = '#8d6e63';
+    ctx.fillRect(x - 18, y - 4, 36, 16);
+    ctx.strokeStyle = '#4e342e';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(x - 18, y - 4, 36, 16);
+    
+    // Spines of the books on board, two rows
+    this.cartVolumeBlocks.forEach((volumeBlock, index) => {
+      const row = Math.floor(index / perRow);
+      const column = index % perRow;
+      ctx.fillStyle = this.getVolumeBlockColorHex(volumeBlock.color);
+      ctx.fillRect(x - 17 + column * (34 / perRow), y - 12 - row * 8, 34 / perRow - 1, 8);
+    });
+    ctx.restore();
+  }
+  
   pickupVolumeBlock(volumeBlock) {
+    // A rolling cart takes books before our arms do
+    if (this.isPushingCart() && this.cartVolumeBlocks.length < this.game.balance.player.bookCart.capacity) {
+      this.cartVolumeBlocks.push(volumeBlock);
+      return true;
+    }
+    
     if (this.carriedVolumeBlocks.length >= this.stats.carrySlots) {
       return false;
     }
@@ -357,6 +487,12 @@ export class Player extends Entity {
       return volumeBlock;
     }
     
+    // Then unload the cart
+    const cartIndex = this.cartVolumeBlocks.findIndex(volumeBlock => volumeBlock.color === shelf.color);
+    if (cartIndex !== -1) {
+      return this.cartVolumeBlocks.splice(cartIndex, 1)[0];
+    }
+    
     return null;
   }
   
@@ -366,6 +502,24 @@ export class Player extends Entity {
     return dropped;
   }
   
+  // Lose health and get pushed away from whatever hit us. Does nothing while still
+  // invulnerable from the last hit. Returns whether it hurt.
+  takeDamage(amount, source) {
+    if (this.invulnerableTimer > 0 || this.stats.health <= 0) return false;
+    
+    const bump = this.game.balance.player.bump;
+    this.stats.health = Math.max(0, this.stats.health - amount);
+    this.invulnerableTimer = bump.invulnerableSeconds;
+    
+    const dx = this.getCenterX() - source.getCenterX();
+    const dy = this.getCenterY() - source.getCenterY();
+    const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+    this.knockbackTimer = bump.knockbackSeconds;
+    this.knockbackVX = (dx / dist) * bump.knockbackSpeed * 32; // Meters to pixels
+    this.knockbackVY = (dy / dist) * bump.knockbackSpeed * 32;
+    return true;
+  }
+  
   // Upgrade methods
   upgrade(stat, amount) {
     switch (stat) {
@@ -386,13 +540,32 @@ export class Player extends Entity {
         this.stats.maxStamina += amount;
         this.stats.stamina += amount;
         break;
+      case 'maxHealth':
+        this.stats.maxHealth += amount;
+        this.stats.health += amount;
+        break;
       case 'chaosDampening':
         this.stats.chaosDampening += amount;
         break;
       case 'xpMultiplier':
         this.stats.xpMultiplier += amount;
         break;
+      case 'kidSlow':
+        this.stats.kidSlow += amount;
+        break;
+    }
+  }
+  
+  // Apply one more level of an upgrade. Returns false if it's already maxed out.
+  applyUpgrade(upgrade) {
+    const currentLevel = this.upgradeLevels[upgrade.id] || 0;
+    if (currentLevel >= upgrade.maxLevel) {
+      return false;
     }
+    
+    this.upgradeLevels[upgrade.id] = currentLevel + 1;
+    upgrade.effect(this, currentLevel + 1);
+    return true;
   }
   
   getXPMultiplier() {
@@ -437,6 +610,8 @@ export class Player extends Entity {
   }
   
   playOutOfBreathSound() {
+    if (this.game.headless) return;
+    
     if (!this.outOfBreathSound) {
       this.outOfBreathSound = new Audio('/out_of_breath.mp3');
       this.outOfBreathSound.volume = 0.6;
@@ -452,6 +627,43 @@ export class Player extends Entity {
     }
   }
   
+  // Plain data for run saves - carried volume blocks are saved by PlayingState
+  getSaveData() {
+    return {
+      x: this.x,
+      y: this.y,
+      stats: { ...this.stats },
+      upgradeLevels: { ...this.upgradeLevels },
+      weaponCooldowns: { ...this.weaponCooldowns },
+      baseSpeed: this.baseSpeed,
+      repelRadius: this.repelRadius,
+      facing: this.facing,
+      lastHorizontalFacing: this.lastHorizontalFacing,
+      invulnerableTimer: this.invulnerableTimer,
+      knockbackTimer: this.knockbackTimer,
+      knockbackVX: this.knockbackVX,
+      knockbackVY: this.knockbackVY,
+      effects: this.effects.getSaveData()
+    };
+  }
+  
+  applySaveData(data) {
+    this.x = data.x;
+    this.y = data.y;
+    this.stats = { ...this.stats, ...data.stats };
+    this.upgradeLevels = { ...data.upgradeLevels };
+    this.weaponCooldowns = { ...data.weaponCooldowns };
+    this.baseSpeed = data.baseSpeed;
+    this.repelRadius = data.repelRadius;
+    this.facing = data.facing;
+    this.lastHorizontalFacing = data.lastHorizontalFacing;
+    this.invulnerableTimer = data.invulnerableTimer;
+    this.knockbackTimer = data.knockbackTimer;
+    this.knockbackVX = data.knockbackVX;
+    this.knockbackVY = data.knockbackVY;
+    this.effects.applySaveData(data.effects);
+  }
+  
   cleanup() {
     // Stop all sounds when player is cleaned up
     this.stopOutOfBreathSound();
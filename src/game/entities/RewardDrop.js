@@ -0,0 +1,62 @@
+import { Entity } from './Entity.js';
+
+// Prize left behind by a defeated boss - walk over it to collect.
+// reward is the boss's reward entry from balance.json ({ name, xp, chaos }).
+export class RewardDrop extends Entity {
+  constructor(x, y, reward) {
+    super(x - 16, y - 16, 32, 32);
+    this.solid = false;
+    this.reward = reward;
+    this.age = 0;
+  }
+  
+  update(deltaTime) {
+    this.age += deltaTime;
+  }
+  
+  render(ctx, interpolation) {
+    const centerX = this.getCenterX();
+    const centerY = this.getCenterY() + Math.sin(this.age * 3) * 4; // Gentle bob
+    
+    ctx.save();
+    
+    // Pulsing glow
+    ctx.fillStyle = `rgba(255, 235, 59, ${0.25 + Math.sin(this.age * 5) * 0.1})`;
+    ctx.beginPath();
+    ctx.arc(centerX, centerY, 26, 0, Math.PI * 2);
+    ctx.fill();
+    
+    // Five-pointed star
+    ctx.fillStyle = '#ffc107';
+    ctx.strokeStyle = '#ff8f00';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    for (let i = 0; i < 10; i++) {
+      const radius = i % 2 === 0 ? 16 : 7;
+      const angle = -Math.PI / 2 + i * Math.PI / 5;
+      ctx.lineTo(centerX + Math.cos(angle) * radius, centerY + Math.sin(angle) * radius);
+    }
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+    
+    ctx.font = 'bold 12px Arial';
+    ctx.textAlign = 'center';
+    ctx.fillStyle = '#fff';
+    ctx.strokeStyle = '#000';
+    ctx.lineWidth = 3;
+    ctx.strokeText(this.reward.name, centerX, centerY - 24);
+    ctx.fillText(this.reward.name, centerX, centerY - 24);
+    
+    ctx.restore();
+  }
+  
+  getSaveData() {
+    return {
+      x: this.x,
+      y: this.y,
+      reward: this.reward,
+      age: this.age
+    };
+  }
+}
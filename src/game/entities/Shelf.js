@@ -1,13 +1,32 @@
 import { Entity } from './Entity.js';
 
+// Size and slot grid for each way a shelf can stand. Slots fill left to right,
+// top to bottom, starting `slotTop` pixels below the shelf's top edge.
+export const SHELF_ORIENTATIONS = {
+  vertical: { width: 64, height: 96, slotColumns: 3, slotRows: 3, slotTop: 24 },
+  horizontal: { width: 96, height: 64, slotColumns: 4, slotRows: 2, slotTop: 8 }
+};
+
+const SLOT_ROW_SPACING = 24;
+
+// Every color a shelf (and its volume blocks) can have
+export const SHELF_COLORS = ['red', 'blue', 'green', 'yellow', 'purple', 'orange'];
+
 export class Shelf extends Entity {
-  constructor(game, x, y, color, capacity = 6) {
-    super(x, y, 64, 96);
+  constructor(game, x, y, color, capacity = 6, orientation = 'vertical') {
+    const layout = SHELF_ORIENTATIONS[orientation];
+    if (!layout) {
+      throw new Error(`Unknown shelf orientation: ${orientation}`);
+    }
+    
+    super(x, y, layout.width, layout.height);
     this.game = game;
     
     // Shelf properties
     this.color = color;
     this.capacity = capacity;
+    this.orientation = orientation;
+    this.layout = layout;
     this.volumeBlocks = new Array(capacity).fill(null); // Fixed-size array for volume blocks
     
     // Visual properties
@@ -18,8 +37,8 @@ export class Shelf extends Entity {
     this.collisionBox = {
       offsetX: 0,
       offsetY: 0,
-      width: 64,
-      height: 96
+      width: layout.width,
+      height: layout.height
     };
   }
   
@@ -28,8 +47,9 @@ export class Shelf extends Entity {
     if (this.hasEmptySlots()) {
       // Check if player has matching volume blocks
       const state = this.game.stateManager.currentState;
+      const matches = volumeBlock => volumeBlock.color === this.color;
       const playerHasMatchingVolumeBlock = state && state.player && 
-        state.player.carriedVolumeBlocks.some(volumeBlock => volumeBlock.color === this.color);
+        (state.player.carriedVolumeBlocks.some(matches) || state.player.cartVolumeBlocks.some(matches));
       
       // Glow more intensely if player has matching volume blocks
       const glowSpeed = playerHasMatchingVolumeBlock ? 4 : 2;
@@ -52,8 +72,17 @@ export class Shelf extends Entity {
   render(ctx, interpolation) {
     const sprite = this.game.assetLoader.getImage('shelf');
     
-    // Draw shelf sprite
-    if (sprite) {
+    // Draw shelf sprite (the sprite is upright - lay it on its side for horizontal shelves)
+    if (sprite && this.orientation === 'horizontal') {
+      this.game.renderer.drawSprite(
+        sprite,
+        this.getCenterX() - this.height / 2,
+        this.getCenterY() - this.width / 2,
+        this.height,
+        this.width,
+        { rotation: Math.PI / 2 }
+      );
+    } else if (sprite) {
       this.game.renderer.drawSprite(
         sprite,
         this.x,
@@ -69,9 +98,9 @@ export class Shelf extends Entity {
       
       // Shelf boards - slightly lighter charcoal
       ctx.fillStyle = '#2d2d2d';
-      ctx.fillRect(this.x, this.y + 20, this.width, 4);
-      ctx.fillRect(this.x, this.y + 44, this.width, 4);
-      ctx.fillRect(this.x, this.y + 68, this.width, 4);
+      for (let row = 0; row < this.layout.slotRows; row++) {
+        ctx.fillRect(this.x, this.y + this.layout.slotTop - 4 + row * SLOT_ROW_SPACING, this.width, 4);
+      }
       
       // Modern highlights - subtle gray gradients
       ctx.fillStyle = '#404040';
@@ -90,33 +119,27 @@ export class Shelf extends Entity {
     
     // Draw empty slot indicators
     if (this.hasEmptySlots()) {
-      const slotsPerRow = 3;
-      const rows = 2;
-      const slotWidth = this.width / slotsPerRow;
+      const slotWidth = this.getSlotWidth();
       const slotHeight = 20;
       
       ctx.globalAlpha = this.emptySlotGlow * 0.5;
       ctx.strokeStyle = this.getColorHex();
       ctx.lineWidth = 2;
       
-      let slotIndex = 0;
-      for (let row = 0; row < rows; row++) {
-        for (let col = 0; col < slotsPerRow; col++) {
-          if (slotIndex < this.capacity && !this.volumeBlocks[slotIndex]) {
-            const slotX = this.x + col * slotWidth + 4;
-            const slotY = this.y + 24 + row * 24;
-            
-            ctx.strokeRect(slotX, slotY, slotWidth - 8, slotHeight);
-            
-            // Draw "+" in empty slot
-            ctx.font = '16px Arial';
-            ctx.textAlign = 'center';
-            ctx.textBaseline = 'middle';
-            ctx.fillStyle = this.getColorHex();
-            ctx.fillText('+', slotX + (slotWidth - 8) / 2, slotY + slotHeight / 2);
-          }
-          slotIndex++;
-        }
+      for (let slotIndex = 0; slotIndex < this.capacity; slotIndex++) {
+        if (this.volumeBlocks[slotIndex]) continue;
+        
+        const slot = this.getSlotPosition(slotIndex);
+        const slotX = slot.x + 4;
+        
+        ctx.strokeRect(slotX, slot.y, slotWidth - 8, slotHeight);
+        
+        // Draw "+" in empty slot
+        ctx.font = '16px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = this.getColorHex();
+        ctx.fillText('+', slotX + (slotWidth - 8) / 2, slot.y + slotHeight / 2);
       }
     }
     
@@ -139,8 +162,7 @@ export class Shelf extends Entity {
   }
   
   renderVolumeBlocks(ctx) {
-    const slotsPerRow = 3;
-    const slotWidth = this.width / slotsPerRow;
+    const slotWidth = this.getSlotWidth();
     
     this.volumeBlocks.forEach((volumeBlock, index) => {
       if (!volumeBlock) return;
@@ -152,16 +174,28 @@ export class Shelf extends Entity {
         return;
       }
       
-      const row = Math.floor(index / slotsPerRow);
-      const col = index % slotsPerRow;
-      
       // Position volume block on shelf
-      volumeBlock.x = this.x + col * slotWidth + (slotWidth - volumeBlock.width) / 2;
-      volumeBlock.y = this.y + 24 + row * 24;
+      const slot = this.getSlotPosition(index);
+      volumeBlock.x = slot.x + (slotWidth - volumeBlock.width) / 2;
+      volumeBlock.y = slot.y;
       volumeBlock.render(ctx, 1);
     });
   }
   
+  getSlotWidth() {
+    return this.width / this.layout.slotColumns;
+  }
+  
+  // Top-left corner of a slot
+  getSlotPosition(index) {
+    const row = Math.floor(index / this.layout.slotColumns);
+    const col = index % this.layout.slotColumns;
+    return {
+      x: this.x + col * this.getSlotWidth(),
+      y: this.y + this.layout.slotTop + row * SLOT_ROW_SPACING
+    };
+  }
+  
   getColorHex() {
     const colors = {
       red: '#ff6b6b',      // Coral red
@@ -224,11 +258,22 @@ export class Shelf extends Entity {
     }
     
     // Remove random volume block
-    const randomIndex = volumeBlockIndices[Math.floor(Math.random() * volumeBlockIndices.length)];
+    const randomIndex = this.game.rng.pick(volumeBlockIndices);
     return this.removeVolumeBlock(randomIndex);
   }
   
   getEmptySlotCount() {
     return this.capacity - this.volumeBlocks.filter(volumeBlock => volumeBlock !== null).length;
   }
+  
+  // Plain data for run saves - slot contents are saved by PlayingState
+  getSaveData() {
+    return {
+      x: this.x,
+      y: this.y,
+      color: this.color,
+      capacity: this.capacity,
+      orientation: this.orientation
+    };
+  }
 }
\ No newline at end of file
@@ -0,0 +1,70 @@
+import { Entity } from './Entity.js';
+
+const ARC_HEIGHT = 48; // Pixels the book rises mid-flight
+
+// A floor book caught by the Dewey Decimal Beam, arcing through the air onto its
+// shelf. The book is held by the flight until it lands.
+export class ShelvingFlight extends Entity {
+  constructor(volumeBlock, shelf, duration) {
+    super(volumeBlock.x, volumeBlock.y, 0, 0); // Where the book took off
+    this.solid = false;
+    this.volumeBlock = volumeBlock;
+    this.shelf = shelf;
+    this.duration = duration;
+    this.elapsed = 0;
+    this.hasLanded = false;
+  }
+  
+  update(deltaTime) {
+    this.elapsed = Math.min(this.duration, this.elapsed + deltaTime);
+    const t = this.elapsed / this.duration;
+    const { x, y } = this.getPosition(t);
+    this.volumeBlock.x = x;
+    this.volumeBlock.y = y;
+    this.volumeBlock.rotation = t * Math.PI * 4; // Two flips on the way
+    
+    if (t >= 1) {
+      this.hasLanded = true;
+      this.active = false;
+    }
+  }
+  
+  // Book position partway (0 to 1) along the arc
+  getPosition(t) {
+    const toX = this.shelf.getCenterX() - this.volumeBlock.width / 2;
+    const toY = this.shelf.getCenterY() - this.volumeBlock.height / 2;
+    return {
+      x: this.x + (toX - this.x) * t,
+      y: this.y + (toY - this.y) * t - Math.sin(t * Math.PI) * ARC_HEIGHT
+    };
+  }
+  
+  render(ctx, interpolation) {
+    // Sparkle trail behind the book
+    const t = this.elapsed / this.duration;
+    ctx.save();
+    ctx.fillStyle = '#ffd54f';
+    for (let i = 1; i <= 4; i++) {
+      const back = t - i * 0.06;
+      if (back < 0) break;
+      const { x, y } = this.getPosition(back);
+      ctx.globalAlpha = 0.6 - i * 0.12;
+      ctx.beginPath();
+      ctx.arc(x + this.volumeBlock.width / 2, y + this.volumeBlock.height / 2, 4 - i * 0.5, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    ctx.restore();
+    
+    this.volumeBlock.render(ctx, interpolation);
+  }
+  
+  // Plain data for run saves - the book and shelf are saved by PlayingState
+  getSaveData() {
+    return {
+      x: this.x,
+      y: this.y,
+      duration: this.duration,
+      elapsed: this.elapsed
+    };
+  }
+}
@@ -0,0 +1,52 @@
+import { Entity } from './Entity.js';
+
+const LIFETIME = 0.35; // Seconds the wave takes to spread out and fade
+
+// Shush Wave going off - just for show, the kids it catches were already hit when it fired
+export class ShushWave extends Entity {
+  constructor(x, y, angle, range, halfCone) {
+    super(x, y, 0, 0);
+    this.solid = false;
+    this.angle = angle;
+    this.range = range;
+    this.halfCone = halfCone;
+    this.age = 0;
+  }
+  
+  update(deltaTime) {
+    this.age += deltaTime;
+    if (this.age >= LIFETIME) {
+      this.active = false;
+    }
+  }
+  
+  render(ctx, interpolation) {
+    const progress = Math.min(1, this.age / LIFETIME);
+    const radius = this.range * (0.4 + progress * 0.6);
+    
+    ctx.save();
+    ctx.globalAlpha = 1 - progress;
+    ctx.fillStyle = 'rgba(129, 212, 250, 0.35)';
+    ctx.strokeStyle = 'rgba(41, 182, 246, 0.9)';
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.moveTo(this.x, this.y);
+    ctx.arc(this.x, this.y, radius, this.angle - this.halfCone, this.angle + this.halfCone);
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+    
+    // Ripples travelling out along the cone
+    for (let i = 1; i <= 2; i++) {
+      ctx.beginPath();
+      ctx.arc(this.x, this.y, radius * i / 3, this.angle - this.halfCone, this.angle + this.halfCone);
+      ctx.stroke();
+    }
+    
+    ctx.font = 'bold 16px Arial';
+    ctx.textAlign = 'center';
+    ctx.fillStyle = '#0277bd';
+    ctx.fillText('SHHH!', this.x + Math.cos(this.angle) * radius * 0.6, this.y + Math.sin(this.angle) * radius * 0.6);
+    ctx.restore();
+  }
+}
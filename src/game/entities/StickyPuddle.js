@@ -0,0 +1,55 @@
+import { Entity } from './Entity.js';
+
+// Spilled snack left by a Snack Smuggler - slows the librarian until it dries up
+export class StickyPuddle extends Entity {
+  constructor(x, y, width, height, lifetime) {
+    super(x, y, width, height);
+    this.solid = false;
+    this.lifetime = lifetime;
+    this.timeLeft = lifetime;
+  }
+  
+  update(deltaTime) {
+    this.timeLeft -= deltaTime;
+    if (this.timeLeft <= 0) {
+      this.active = false;
+    }
+  }
+  
+  overlaps(entity) {
+    return entity.x < this.x + this.width && entity.x + entity.width > this.x &&
+      entity.y < this.y + this.height && entity.y + entity.height > this.y;
+  }
+  
+  render(ctx, interpolation) {
+    // Fade out over the last few seconds
+    const alpha = Math.min(1, this.timeLeft / 3) * 0.75;
+    const centerX = this.getCenterX();
+    const centerY = this.getCenterY();
+    
+    ctx.save();
+    ctx.globalAlpha = alpha;
+    ctx.fillStyle = '#8d5524';
+    ctx.beginPath();
+    ctx.ellipse(centerX, centerY, this.width / 2, this.height / 2, 0, 0, Math.PI * 2);
+    ctx.fill();
+    
+    // Glossy highlight
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.35)';
+    ctx.beginPath();
+    ctx.ellipse(centerX - this.width / 6, centerY - this.height / 6, this.width / 6, this.height / 8, 0, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
+  }
+  
+  getSaveData() {
+    return {
+      x: this.x,
+      y: this.y,
+      width: this.width,
+      height: this.height,
+      lifetime: this.lifetime,
+      timeLeft: this.timeLeft
+    };
+  }
+}
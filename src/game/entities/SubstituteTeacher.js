@@ -0,0 +1,188 @@
+import { Boss } from './Boss.js';
+import { GameEvents } from '../systems/EventBus.js';
+
+// Substitute Teacher final boss: herds the class from shelf to shelf pelting the
+// stacks with confiscated paper airplanes, and gets more frantic as her patience
+// runs out. Every step of patience lost calls in more kids, and in her last phase
+// she stamps her feet, shaking books off every shelf around her.
+export class SubstituteTeacher extends Boss {
+  constructor(game, x, y, config) {
+    super(game, x, y, 52, 72, config);
+    this.typeId = 'substitute';
+    this.name = 'Substitute Teacher';
+    this.color = '#7e57c2';
+    this.music = '/substitute_teacher.mp3';
+    this.phaseIndex = 0;
+    this.summonSteps = 0; // Steps of patience lost that have already called in kids
+    this.volleyTimer = config.phases[0].volley.interval;
+    this.stompTimer = 0;
+    this.stompFlash = 0; // Shockwave ring after a stomp
+    this.targetShelf = null;
+    this.speed = config.speed * config.phases[0].speedMultiplier;
+  }
+  
+  getPhase() {
+    return this.config.phases[this.phaseIndex];
+  }
+  
+  update(deltaTime) {
+    super.update(deltaTime);
+    this.stompFlash = Math.max(0, this.stompFlash - deltaTime);
+    if (this.defeated) return;
+    
+    const phase = this.getPhase();
+    this.volleyTimer -= deltaTime;
+    if (this.volleyTimer <= 0) {
+      this.volleyTimer = phase.volley.interval;
+      this.throwVolley(phase.volley);
+    }
+    if (phase.stomp) {
+      this.stompTimer -= deltaTime;
+      if (this.stompTimer <= 0) {
+        this.stompTimer = phase.stomp.interval;
+        this.stomp(phase.stomp);
+      }
+    }
+    
+    if (!this.targetShelf || !this.targetShelf.volumeBlocks.some(v => v !== null)) {
+      this.targetShelf = this.findTargetShelf();
+    }
+    
+    // Hold court by the fullest shelf, pelting everything in range
+    if (!this.targetShelf || this.distanceTo(this.targetShelf) < 64) {
+      this.vx = 0;
+      this.vy = 0;
+      return;
+    }
+    this.moveTo(this.targetShelf.getCenterX(), this.targetShelf.getCenterY(), deltaTime);
+  }
+  
+  losePatience(amount) {
+    super.losePatience(amount);
+    if (this.defeated) return;
+    
+    // Every percentStep of patience lost calls in another batch of kids
+    const summon = this.config.summon;
+    const lost = this.maxPatience - this.patience;
+    const steps = Math.floor(lost * 100 / (this.maxPatience * summon.percentStep));
+    if (steps > this.summonSteps) {
+      this.game.stateManager.currentState.queueSummonedKids(this, (steps - this.summonSteps) * summon.kids);
+      this.summonSteps = steps;
+    }
+    
+    // Later phases start once patience drops to their fromPercent
+    const percent = this.patience * 100 / this.maxPatience;
+    let phaseIndex = this.phaseIndex;
+    while (phaseIndex + 1 < this.config.phases.length && percent <= this.config.phases[phaseIndex + 1].fromPercent) {
+      phaseIndex++;
+    }
+    if (phaseIndex !== this.phaseIndex) {
+      this.phaseIndex = phaseIndex;
+      this.speed = this.config.speed * this.getPhase().speedMultiplier;
+      this.volleyTimer = Math.min(this.volleyTimer, this.getPhase().volley.interval);
+      this.stompTimer = this.getPhase().stomp?.interval ?? 0;
+      this.game.events.emit(GameEvents.BOSS_PHASE, { boss: this, phase: this.getPhase() });
+    }
+  }
+  
+  // Paper airplanes at stocked shelves in range, a different shelf each where possible
+  throwVolley(volley) {
+    const state = this.game.stateManager.currentState;
+    const shelves = state.spatialIndex.queryRadius('shelves', this.getCenterX(), this.getCenterY(), volley.range * 32) // Meters to pixels
+      .filter(shelf => shelf.volumeBlocks.some(v => v !== null));
+    for (const shelf of this.game.rng.shuffle(shelves).slice(0, volley.count)) {
+      state.launchPaperAirplane(this, shelf);
+    }
+  }
+  
+  stomp(stomp) {
+    const knocked = this.knockBooksAround(stomp.radius, stomp.maxBooks);
+    this.stompFlash = 0.5;
+    this.game.events.emit(GameEvents.BOSS_ATTACK, { boss: this, knocked, interrupted: false });
+  }
+  
+  renderBody(ctx) {
+    const x = this.x;
+    const y = this.y;
+    const centerX = this.getCenterX();
+    
+    // Stomp shockwave spreading out to the stomp's reach
+    if (this.stompFlash > 0 && this.getPhase().stomp) {
+      const progress = 1 - this.stompFlash / 0.5;
+      ctx.save();
+      ctx.strokeStyle = `rgba(126, 87, 194, ${1 - progress})`;
+      ctx.lineWidth = 4;
+      ctx.beginPath();
+      ctx.arc(centerX, y + this.height, this.getPhase().stomp.radius * 32 * progress, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.restore();
+    }
+    
+    ctx.save();
+    
+    // Legs, long skirt, blazer, head
+    ctx.fillStyle = '#424242';
+    ctx.fillRect(x + 15, y + 58, 9, 14);
+    ctx.fillRect(x + 28, y + 58, 9, 14);
+    ctx.fillStyle = '#5e35b1';
+    ctx.fillRect(x + 8, y + 42, 36, 18);
+    ctx.fillStyle = this.color;
+    ctx.fillRect(x + 6, y + 22, 40, 24);
+    ctx.fillStyle = '#e0ac69';
+    ctx.beginPath();
+    ctx.arc(centerX, y + 12, 12, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = '#9e9e9e';
+    ctx.fillRect(x + 13, y - 2, 26, 7); // Grey hair
+    
+    // Glasses
+    ctx.strokeStyle = '#212121';
+    ctx.lineWidth = 1.5;
+    ctx.strokeRect(centerX - 9, y + 9, 7, 5);
+    ctx.strokeRect(centerX + 2, y + 9, 7, 5);
+    
+    // Stack of confiscated paper airplanes under one arm
+    const stackX = this.facing === 'right' ? x + 42 : x - 6;
+    ctx.fillStyle = '#fafafa';
+    ctx.fillRect(stackX, y + 28, 16, 12);
+    ctx.strokeStyle = '#90a4ae';
+    ctx.strokeRect(stackX, y + 28, 16, 12);
+    ctx.beginPath();
+    ctx.moveTo(stackX, y + 32);
+    ctx.lineTo(stackX + 16, y + 32);
+    ctx.moveTo(stackX, y + 36);
+    ctx.lineTo(stackX + 16, y + 36);
+    ctx.stroke();
+    
+    // Steam once she's losing it
+    if (this.phaseIndex > 0) {
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+      for (let i = 0; i < this.phaseIndex; i++) {
+        ctx.beginPath();
+        ctx.arc(centerX + (i % 2 === 0 ? -14 : 14), y - 8 - i * 6, 5, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    }
+    
+    ctx.restore();
+  }
+  
+  getSaveData() {
+    return {
+      ...super.getSaveData(),
+      phaseIndex: this.phaseIndex,
+      summonSteps: this.summonSteps,
+      volleyTimer: this.volleyTimer,
+      stompTimer: this.stompTimer
+    };
+  }
+  
+  applySaveData(data) {
+    super.applySaveData(data);
+    this.phaseIndex = data.phaseIndex;
+    this.summonSteps = data.summonSteps;
+    this.volleyTimer = data.volleyTimer;
+    this.stompTimer = data.stompTimer;
+    this.speed = this.config.speed * this.getPhase().speedMultiplier;
+  }
+}
@@ -57,11 +57,12 @@ export class VolumeBlock extends Entity {
     this.x += this.vx * deltaTime;
     this.y += this.vy * deltaTime;
     
-    // Check collision with shelves if not shelved
+    // Check collision with shelves and walls if not shelved
     if (!this.isShelved) {
       const state = this.game.stateManager.currentState;
-      if (state && state.shelves) {
-        for (const shelf of state.shelves) {
+      if (state && state.spatialIndex) {
+        const nearbyShelves = state.queryObstacles(this.x, this.y, this.width, this.height);
+        for (const shelf of nearbyShelves) {
           // Check if volume block overlaps with shelf
           if (!(this.x + this.width < shelf.x || 
                 this.x > shelf.x + shelf.width ||
@@ -76,8 +77,8 @@ export class VolumeBlock extends Entity {
             this.vy = -this.vy * 0.5;
             
             // Add some randomness to prevent getting stuck
-            this.vx += (Math.random() - 0.5) * 20;
-            this.vy += (Math.random() - 0.5) * 20;
+            this.vx += (this.game.rng.next() - 0.5) * 20;
+            this.vy += (this.game.rng.next() - 0.5) * 20;
             
             break; // Only handle first collision
           }
@@ -203,7 +204,7 @@ export class VolumeBlock extends Entity {
     if (throwVelocity) {
       this.vx = throwVelocity.x;
       this.vy = throwVelocity.y;
-      this.rotationSpeed = (Math.random() - 0.5) * 10;
+      this.rotationSpeed = (this.game.rng.next() - 0.5) * 10;
     }
   }
   
@@ -223,6 +224,32 @@ export class VolumeBlock extends Entity {
     this.shelf = null;
   }
   
+  // Plain data for run saves - holder and shelf links are restored by PlayingState
+  getSaveData() {
+    return {
+      x: this.x,
+      y: this.y,
+      vx: this.vx,
+      vy: this.vy,
+      color: this.color,
+      isHeld: this.isHeld,
+      isShelved: this.isShelved,
+      rotation: this.rotation,
+      rotationSpeed: this.rotationSpeed
+    };
+  }
+  
+  applySaveData(data) {
+    this.x = data.x;
+    this.y = data.y;
+    this.vx = data.vx;
+    this.vy = data.vy;
+    this.isHeld = data.isHeld;
+    this.isShelved = data.isShelved;
+    this.rotation = data.rotation;
+    this.rotationSpeed = data.rotationSpeed;
+  }
+  
   getStateString() {
     if (this.isShelved) return 'shelved';
     if (this.isHeld) return `held by ${this.holder?.constructor.name || 'unknown'}`;
@@ -0,0 +1,22 @@
+import { Entity } from './Entity.js';
+
+// Solid wall segment between rooms - built from a level's rooms and doorways
+export class Wall extends Entity {
+  constructor(x, y, width, height) {
+    super(x, y, width, height);
+  }
+  
+  render(ctx, interpolation) {
+    ctx.save();
+    
+    // Plaster with a darker baseboard edge
+    ctx.fillStyle = '#5d4037';
+    ctx.fillRect(this.x, this.y, this.width, this.height);
+    ctx.fillStyle = '#3e2723';
+    ctx.fillRect(this.x, this.y + this.height - 4, this.width, 4);
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
+    ctx.fillRect(this.x, this.y, this.width, 2);
+    
+    ctx.restore();
+  }
+}
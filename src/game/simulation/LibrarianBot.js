@@ -0,0 +1,130 @@
+import { Random } from '../systems/Random.js';
+
+// Simple scripted librarian used by headless simulations.
+// Collects floor books, snatches books from kids and shelves what it carries.
+export class LibrarianBot {
+  constructor(seed) {
+    // Own RNG so the bot's choices don't shift the run's random sequence
+    this.rng = new Random(`bot-${seed}`);
+    this.choicePressed = false;
+    
+    // Stuck detection
+    this.lastX = null;
+    this.lastY = null;
+    this.stuckTicks = 0;
+    this.detourTicks = 0;
+    this.detourKeys = [];
+  }
+  
+  getKeys(game) {
+    const state = game.stateManager.currentState;
+    if (!state) return [];
+    
+    // Pick a random upgrade card, releasing between picks so each level-up gets a fresh press
+    if (state.name === 'upgradeSelection') {
+      this.choicePressed = !this.choicePressed;
+      return this.choicePressed ? [String(this.rng.int(state.upgrades.length) + 1)] : [];
+    }
+    
+    if (state.name !== 'playing' || !state.player) return [];
+    
+    const player = state.player;
+    const target = this.chooseTarget(state);
+    if (!target) return [];
+    
+    // Follow a detour while trying to get around a shelf
+    if (this.detourTicks > 0) {
+      this.detourTicks--;
+      return this.detourKeys;
+    }
+    
+    const dx = target.x - player.getCenterX();
+    const dy = target.y - player.getCenterY();
+    const keys = [];
+    if (dx > 8) keys.push('d');
+    if (dx < -8) keys.push('a');
+    if (dy > 8) keys.push('s');
+    if (dy < -8) keys.push('w');
+    
+    // Sprint toward far targets while there is stamina to spare
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    if (distance > 250 && player.stats.stamina > 40) {
+      keys.push('Shift');
+    }
+    
+    this.updateStuckDetection(player, keys, dx, dy);
+    return keys;
+  }
+  
+  chooseTarget(state) {
+    const player = state.player;
+    const px = player.getCenterX();
+    const py = player.getCenterY();
+    const nearest = (points) => {
+      let best = null;
+      let bestDist = Infinity;
+      for (const point of points) {
+        const dist = (point.x - px) ** 2 + (point.y - py) ** 2;
+        if (dist < bestDist) {
+          bestDist = dist;
+          best = point;
+        }
+      }
+      return best;
+    };
+    
+    // Shelve carried books first when the bag is full or nothing is left to collect
+    const carriedColors = new Set(player.carriedVolumeBlocks.map(volumeBlock => volumeBlock.color));
+    const shelfTargets = state.shelves
+      .filter(shelf => carriedColors.has(shelf.color) && shelf.hasEmptySlots())
+      .map(shelf => ({
+        // Stand beside the shelf on the side closest to the player
+        x: px < shelf.getCenterX() ? shelf.x - player.width / 2 : shelf.x + shelf.width + player.width / 2,
+        y: shelf.getCenterY()
+      }));
+    
+    const bagFull = player.carriedVolumeBlocks.length >= player.stats.carrySlots;
+    const pickupTargets = bagFull ? [] : [
+      ...state.volumeBlocks
+        .filter(volumeBlock => !volumeBlock.isHeld && !volumeBlock.isShelved)
+        .map(volumeBlock => ({ x: volumeBlock.getCenterX(), y: volumeBlock.getCenterY() })),
+      ...state.kids
+        .filter(kid => kid.carriedVolumeBlock)
+        .map(kid => ({ x: kid.getCenterX(), y: kid.getCenterY() }))
+    ];
+    
+    if (bagFull || pickupTargets.length === 0) {
+      return nearest(shelfTargets) || nearest(state.kids.map(kid => ({ x: kid.getCenterX(), y: kid.getCenterY() })));
+    }
+    
+    // Shelve on the way if a matching shelf is closer than the next pickup
+    return nearest([...pickupTargets, ...shelfTargets]);
+  }
+  
+  updateStuckDetection(player, keys, dx, dy) {
+    const wantsX = keys.includes('a') || keys.includes('d');
+    const wantsY = keys.includes('w') || keys.includes('s');
+    const movedX = this.lastX !== null && Math.abs(player.x - this.lastX) > 0.2;
+    const movedY = this.lastY !== null && Math.abs(player.y - this.lastY) > 0.2;
+    this.lastX = player.x;
+    this.lastY = player.y;
+    
+    // Blocked along the axis we want to move on
+    if ((wantsX && !movedX && !movedY) || (wantsY && !movedY && !movedX)) {
+      this.stuckTicks++;
+    } else {
+      this.stuckTicks = 0;
+    }
+    
+    // Slide along the blocked shelf (toward the target if possible) until we reach an aisle
+    if (this.stuckTicks > 10) {
+      this.stuckTicks = 0;
+      this.detourTicks = 45;
+      if (wantsX) {
+        this.detourKeys = [Math.abs(dy) > 8 ? (dy > 0 ? 's' : 'w') : this.rng.pick(['w', 's'])];
+      } else {
+        this.detourKeys = [Math.abs(dx) > 8 ? (dx > 0 ? 'd' : 'a') : this.rng.pick(['a', 'd'])];
+      }
+    }
+  }
+}
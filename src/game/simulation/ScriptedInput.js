@@ -0,0 +1,27 @@
+// Drives a detached InputManager from a script instead of the keyboard.
+// A script is any object with getKeys(game) returning the keys held this tick.
+export class ScriptedInput {
+  constructor(game, script) {
+    this.game = game;
+    this.script = script;
+    this.heldKeys = new Set();
+  }
+  
+  // Call once per tick, before game.update()
+  update() {
+    const keys = new Set(this.script.getKeys(this.game));
+    
+    // Derive press/release events the same way the keyboard handlers do
+    const pressed = [...keys].filter(key => !this.heldKeys.has(key));
+    const released = [...this.heldKeys].filter(key => !keys.has(key));
+    this.heldKeys = keys;
+    
+    this.game.inputManager.applySnapshot({
+      keys: [...keys],
+      pressed,
+      released,
+      mouse: [0, 0],
+      wheel: 0
+    });
+  }
+}
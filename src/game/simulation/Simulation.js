@@ -0,0 +1,56 @@
+import { Game } from '../Game.js';
+import { LibrarianBot } from './LibrarianBot.js';
+import { ScriptedInput } from './ScriptedInput.js';
+
+// Runs complete games headlessly (no canvas, DOM or audio) for balancing.
+export class Simulation {
+  constructor(options = {}) {
+    this.maxMinutes = options.maxMinutes ?? 30;
+    this.createScript = options.createScript ?? (seed => new LibrarianBot(seed));
+    this.balance = options.balance; // Contents of balance.json
+    this.levels = options.levels; // { levelId: level file contents }
+    this.levelId = options.levelId; // Level to play (default level if unset)
+  }
+  
+  // Play one run with the given seed and return its summary
+  async run(seed) {
+    const game = new Game(null, { headless: true, balance: this.balance, levels: this.levels });
+    await game.init();
+    
+    const input = new ScriptedInput(game, this.createScript(seed));
+    game.stateManager.changeState('playing', { seed, levelId: this.levelId });
+    
+    const gameData = game.gameData; // Replaced by PlayingState.enter, so read it afterwards
+    const timestep = game.gameLoop.timestep / 1000;
+    const maxTime = Math.min(this.maxMinutes * 60, gameData.targetTime);
+    const maxTicks = Math.ceil(maxTime / timestep) * 2; // Headroom for ticks spent choosing upgrades
+    
+    for (let tick = 0; tick < maxTicks; tick++) {
+      if (game.stateManager.currentState.name === 'gameover') break;
+      if (gameData.elapsedTime >= maxTime) break;
+      
+      input.update();
+      game.update(timestep);
+    }
+    
+    // Recordings aren't needed for simulations
+    game.replayRecorder.stop();
+    
+    const finalState = game.stateManager.currentState;
+    let outcome = 'timeLimit';
+    if (finalState.name === 'gameover') {
+      outcome = finalState.won ? 'won' : (finalState.reason || 'lost');
+    }
+    
+    return {
+      seed: gameData.seed,
+      outcome,
+      survivalTime: Math.round(gameData.elapsedTime * 10) / 10,
+      peakChaos: Math.round(gameData.peakChaos * 10) / 10,
+      volumeBlocksShelved: gameData.volumeBlocksShelved,
+      volumeBlocksCollected: gameData.volumeBlocksCollected,
+      kidsRepelled: gameData.kidsRepelled,
+      level: gameData.playerLevel
+    };
+  }
+}
@@ -0,0 +1,563 @@
+import { DEFAULT_LEVEL_ID } from '../data/levels.js';
+import { SHELF_COLORS, SHELF_ORIENTATIONS, Shelf } from '../entities/Shelf.js';
+import { LevelGenerator } from '../systems/LevelGenerator.js';
+import { LEVEL_FORMAT, LEVEL_VERSION, LevelLoader } from '../systems/LevelLoader.js';
+import { Random } from '../systems/Random.js';
+import { PlayingState } from './PlayingState.js';
+import { State } from './State.js';
+
+// Everything placed in the editor snaps to this grid
+const GRID_SIZE = 20;
+const PAN_SPEED = 900; // Pixels per second
+const DOOR_RADIUS = 24;
+const PLAYER_SIZE = { width: 48, height: 64 };
+
+// Help panel in the top-left corner (screen pixels)
+const PANEL_X = 10;
+const PANEL_Y = 10;
+const PANEL_WIDTH = 900;
+const PANEL_LINE_HEIGHT = 22;
+const PANEL_LINES = 6;
+
+const TOOLS = ['shelf', 'door', 'playerStart'];
+const TOOL_NAMES = { shelf: 'Shelf', door: 'Spawn Door', playerStart: 'Player Start' };
+
+// Level editor: place, drag, recolor and delete shelves, mark kid spawn doors
+// and the player start, then playtest the layout or save it as a level file.
+export class EditorState extends State {
+  constructor(game) {
+    super(game);
+    this.level = null; // Kept between visits so a playtest comes back to the same layout
+    this.tool = 'shelf';
+    this.selected = null; // { type, data } - data is the object inside this.level
+    this.hovered = null;
+    this.dragging = null; // { item, offsetX, offsetY }
+    this.mouseWorld = { x: 0, y: 0 };
+    this.status = null; // { text, timer, isError }
+    
+    // Shelves are previewed with the real entity so they look like they will in game.
+    // Keyed by the shelf's data in this.level and only rebuilt when that shelf changes.
+    this.previewShelves = new Map();
+    
+    // Settings for newly placed shelves
+    this.newShelf = { capacity: 6, orientation: 'vertical' };
+  }
+  
+  enter(data = {}) {
+    if (data.level) {
+      this.level = structuredClone(data.level);
+    } else if (!this.level) {
+      this.level = structuredClone(this.game.levelLoader.get(DEFAULT_LEVEL_ID));
+    }
+    
+    this.selected = null;
+    this.hovered = null;
+    this.dragging = null;
+    this.rebuildPreviewShelves();
+    
+    const camera = this.game.camera;
+    camera.setBounds(0, 0, this.level.world.width, this.level.world.height);
+    camera.setTarget(this.level.world.width / 2, this.level.world.height / 2);
+  }
+  
+  exit() {
+    this.dragging = null;
+    this.game.camera.setZoom(1);
+  }
+  
+  createEmptyLevel() {
+    const defaultLevel = this.game.levelLoader.get(DEFAULT_LEVEL_ID);
+    return {
+      format: LEVEL_FORMAT,
+      version: LEVEL_VERSION,
+      id: 'custom',
+      name: 'Custom Level',
+      world: { ...defaultLevel.world },
+      floor: { ...defaultLevel.floor },
+      playerStart: { x: 100, y: 500 },
+      shelfColors: [...SHELF_COLORS],
+      shelves: [],
+      spawnDoors: []
+    };
+  }
+  
+  update(deltaTime) {
+    const input = this.game.inputManager;
+    
+    if (this.status) {
+      this.status.timer -= deltaTime;
+      if (this.status.timer <= 0) {
+        this.status = null;
+      }
+    }
+    
+    if (input.isKeyPressed('Escape')) {
+      this.game.stateManager.changeState('menu');
+      return;
+    }
+    
+    this.updateCamera(input, deltaTime);
+    this.handleKeys(input);
+    
+    const mouse = input.getMousePosition();
+    const overPanel = this.isOverPanel(mouse.x, mouse.y);
+    this.mouseWorld = this.game.camera.screenToWorld(mouse.x, mouse.y);
+    this.hovered = overPanel ? null : this.findItemAt(this.mouseWorld.x, this.mouseWorld.y);
+    
+    // Left click selects and drags, or places with the current tool
+    if (input.isMouseButtonPressed(0) && !overPanel) {
+      this.handleClick();
+    }
+    
+    // Right click deletes
+    if (input.isMouseButtonPressed(2) && this.hovered) {
+      this.deleteItem(this.hovered);
+    }
+    
+    if (this.dragging) {
+      if (input.isMouseButtonDown(0)) {
+        this.moveItem(this.dragging.item, this.mouseWorld.x - this.dragging.offsetX, this.mouseWorld.y - this.dragging.offsetY);
+      } else {
+        this.dragging = null;
+      }
+    }
+  }
+  
+  updateCamera(input, deltaTime) {
+    const camera = this.game.camera;
+    let panX = 0;
+    let panY = 0;
+    if (input.isKeyDown('ArrowLeft')) panX -= 1;
+    if (input.isKeyDown('ArrowRight')) panX += 1;
+    if (input.isKeyDown('ArrowUp')) panY -= 1;
+    if (input.isKeyDown('ArrowDown')) panY += 1;
+    
+    // Keep the target inside the world so panning back responds immediately
+    const { width, height } = this.level.world;
+    camera.setTarget(
+      Math.max(0, Math.min(width, camera.targetX + panX * PAN_SPEED * deltaTime / camera.zoom)),
+      Math.max(0, Math.min(height, camera.targetY + panY * PAN_SPEED * deltaTime / camera.zoom))
+    );
+    
+    const wheel = input.getMouseWheel();
+    if (wheel !== 0) {
+      camera.setZoom(camera.targetZoom * (wheel > 0 ? 0.9 : 1.1));
+    }
+  }
+  
+  handleKeys(input) {
+    // Tools
+    TOOLS.forEach((tool, index) => {
+      if (input.isKeyPressed(String(index + 1))) {
+        this.tool = tool;
+      }
+    });
+    
+    // Shelf settings - change the selected shelf, or the next one placed
+    const shelf = this.selected?.type === 'shelf' ? this.selected.data : this.newShelf;
+    let changed = false;
+    if (input.isKeyPressed('c') || input.isKeyPressed('C')) {
+      // No color means one is picked from the level's shelfColors each run
+      const colors = [null, ...SHELF_COLORS];
+      const color = colors[(colors.indexOf(shelf.color ?? null) + 1) % colors.length];
+      if (color) {
+        shelf.color = color;
+      } else {
+        delete shelf.color;
+      }
+      changed = true;
+    }
+    if (input.isKeyPressed('o') || input.isKeyPressed('O')) {
+      shelf.orientation = (shelf.orientation ?? 'vertical') === 'vertical' ? 'horizontal' : 'vertical';
+      shelf.capacity = Math.min(shelf.capacity ?? 6, this.getMaxCapacity(shelf));
+      changed = true;
+    }
+    if (input.isKeyPressed('+') || input.isKeyPressed('=')) {
+      shelf.capacity = Math.min((shelf.capacity ?? 6) + 1, this.getMaxCapacity(shelf));
+      changed = true;
+    }
+    if (input.isKeyPressed('-')) {
+      shelf.capacity = Math.max((shelf.capacity ?? 6) - 1, 1);
+      changed = true;
+    }
+    if (changed && shelf !== this.newShelf) {
+      this.refreshPreviewShelf(shelf);
+    }
+    
+    if ((input.isKeyPressed('Delete') || input.isKeyPressed('Backspace')) && this.selected) {
+      this.deleteItem(this.selected);
+    }
+    
+    // Level commands
+    if (input.isKeyPressed('Enter')) {
+      this.playtest();
+    } else if (input.isKeyPressed('s') || input.isKeyPressed('S')) {
+      LevelLoader.download(this.level);
+      this.showStatus(`Saved ${this.level.id || 'level'}.json`);
+    } else if (input.isKeyPressed('l') || input.isKeyPressed('L')) {
+      this.loadLevel();
+    } else if (input.isKeyPressed('n') || input.isKeyPressed('N')) {
+      this.setLevel(this.createEmptyLevel());
+      this.showStatus('New empty level');
+    } else if (input.isKeyPressed('g') || input.isKeyPressed('G')) {
+      this.generateLevel();
+    }
+  }
+  
+  handleClick() {
+    const { x, y } = this.mouseWorld;
+    let item = this.hovered;
+    
+    if (!item) {
+      if (this.tool === 'shelf') {
+        const shelf = { x: 0, y: 0, capacity: this.newShelf.capacity, orientation: this.newShelf.orientation };
+        if (this.newShelf.color) {
+          shelf.color = this.newShelf.color;
+        }
+        this.level.shelves.push(shelf);
+        item = { type: 'shelf', data: shelf };
+      } else if (this.tool === 'door') {
+        const door = { x: 0, y: 0 };
+        this.level.spawnDoors.push(door);
+        item = { type: 'door', data: door };
+      } else {
+        item = { type: 'playerStart', data: this.level.playerStart };
+      }
+      
+      // New items are centered on the cursor
+      const bounds = this.getItemBounds(item);
+      this.moveItem(item, x - bounds.width / 2, y - bounds.height / 2);
+    }
+    
+    const bounds = this.getItemBounds(item);
+    this.selected = item;
+    this.dragging = { item, offsetX: x - bounds.x, offsetY: y - bounds.y };
+  }
+  
+  // Doors are stored by their center, shelves and the player start by their top-left corner
+  getItemBounds(item) {
+    const { data } = item;
+    if (item.type === 'shelf') {
+      const layout = SHELF_ORIENTATIONS[data.orientation ?? 'vertical'];
+      return { x: data.x, y: data.y, width: layout.width, height: layout.height };
+    }
+    if (item.type === 'door') {
+      return { x: data.x - DOOR_RADIUS, y: data.y - DOOR_RADIUS, width: DOOR_RADIUS * 2, height: DOOR_RADIUS * 2 };
+    }
+    return { x: data.x, y: data.y, ...PLAYER_SIZE };
+  }
+  
+  moveItem(item, x, y) {
+    const bounds = this.getItemBounds(item);
+    const { width, height } = this.level.world;
+    const snap = (value, min, max) => Math.max(min, Math.min(max, Math.round(value / GRID_SIZE) * GRID_SIZE));
+    
+    // Snap the stored point to the grid and keep the item inside the world
+    const { x: oldX, y: oldY } = item.data;
+    if (item.type === 'door') {
+      item.data.x = snap(x + DOOR_RADIUS, DOOR_RADIUS, width - DOOR_RADIUS);
+      item.data.y = snap(y + DOOR_RADIUS, DOOR_RADIUS, height - DOOR_RADIUS);
+    } else {
+      item.data.x = snap(x, 0, width - bounds.width);
+      item.data.y = snap(y, 0, height - bounds.height);
+    }
+    
+    if (item.type === 'shelf' && (item.data.x !== oldX || item.data.y !== oldY || !this.previewShelves.has(item.data))) {
+      this.refreshPreviewShelf(item.data);
+    }
+  }
+  
+  findItemAt(x, y) {
+    const contains = (item) => {
+      const bounds = this.getItemBounds(item);
+      return x >= bounds.x && x <= bounds.x + bounds.width && y >= bounds.y && y <= bounds.y + bounds.height;
+    };
+    
+    // Smaller markers first so they can be picked up when overlapping a shelf
+    const playerStart = { type: 'playerStart', data: this.level.playerStart };
+    if (contains(playerStart)) return playerStart;
+    
+    for (const door of this.level.spawnDoors) {
+      if (Math.hypot(x - door.x, y - door.y) <= DOOR_RADIUS) {
+        return { type: 'door', data: door };
+      }
+    }
+    
+    // Most recently placed shelf is drawn on top
+    for (let i = this.level.shelves.length - 1; i >= 0; i--) {
+      const item = { type: 'shelf', data: this.level.shelves[i] };
+      if (contains(item)) return item;
+    }
+    
+    return null;
+  }
+  
+  deleteItem(item) {
+    if (item.type === 'shelf') {
+      this.level.shelves = this.level.shelves.filter(shelf => shelf !== item.data);
+      this.previewShelves.delete(item.data);
+    } else if (item.type === 'door') {
+      this.level.spawnDoors = this.level.spawnDoors.filter(door => door !== item.data);
+    } else {
+      return; // There's always a player start
+    }
+    
+    if (this.selected?.data === item.data) {
+      this.selected = null;
+    }
+    if (this.dragging?.item.data === item.data) {
+      this.dragging = null;
+    }
+  }
+  
+  getMaxCapacity(shelf) {
+    const layout = SHELF_ORIENTATIONS[shelf.orientation ?? 'vertical'];
+    return layout.slotColumns * layout.slotRows;
+  }
+  
+  playtest() {
+    try {
+      LevelLoader.validate(this.level);
+    } catch (error) {
+      this.showStatus(error.message, true);
+      return;
+    }
+    
+    const problem = this.findLayoutProblem();
+    if (problem) {
+      this.showStatus(`Can't playtest: ${problem}`, true);
+      return;
+    }
+    
+    const freshPlayingState = new PlayingState(this.game);
+    this.game.stateManager.registerState('playing', freshPlayingState);
+    this.game.stateManager.changeState('playing', { playtestLevel: structuredClone(this.level) });
+  }
+  
+  // Things PlayingState can't cope with - the same walkability check random layouts
+  // have to pass (see LevelGenerator), with clearer messages for overlapping markers
+  findLayoutProblem() {
+    const shelves = this.level.shelves.map(data => ({ type: 'shelf', data }));
+    const overlapsShelf = (item) => {
+      const bounds = this.getItemBounds(item);
+      return shelves.find(shelf => {
+        const other = this.getItemBounds(shelf);
+        return bounds.x < other.x + other.width && bounds.x + bounds.width > other.x &&
+          bounds.y < other.y + other.height && bounds.y + bounds.height > other.y;
+      });
+    };
+    
+    const start = { type: 'playerStart', data: this.level.playerStart };
+    if (overlapsShelf(start)) {
+      this.selected = start;
+      return 'the player start overlaps a shelf';
+    }
+    for (const door of this.level.spawnDoors) {
+      const item = { type: 'door', data: door };
+      if (overlapsShelf(item)) {
+        this.selected = item;
+        return `the spawn door at ${door.x}, ${door.y} overlaps a shelf`;
+      }
+    }
+    
+    const unreachable = LevelGenerator.findUnreachableShelves(this.level);
+    if (unreachable.includes(-1)) {
+      return 'a spawn door is cut off from the others';
+    }
+    if (unreachable.length > 0) {
+      this.selected = shelves[unreachable[0]];
+      return `${unreachable.length} ${unreachable.length === 1 ? 'shelf has' : 'shelves have'} a side nobody can reach (selected)`;
+    }
+    return null;
+  }
+  
+  async loadLevel() {
+    let level;
+    try {
+      level = await LevelLoader.openFile();
+    } catch (error) {
+      this.showStatus(`Could not load level: ${error.message}`, true);
+      return;
+    }
+    
+    // Ignore if the picker was cancelled or we already left the editor
+    if (!level || this.game.stateManager.currentState !== this) return;
+    
+    this.setLevel(level);
+    this.showStatus(`Loaded ${level.name || level.id}`);
+  }
+  
+  // Start from a random layout instead of a blank floor
+  generateLevel() {
+    const seed = Random.generateSeed();
+    this.setLevel({ ...this.game.levelLoader.generator.generate(seed, 'custom'), name: `Random Library ${seed}` });
+    this.showStatus(`Generated layout from seed ${seed}`);
+  }
+  
+  setLevel(level) {
+    this.level = level;
+    this.selected = null;
+    this.dragging = null;
+    this.rebuildPreviewShelves();
+    this.game.camera.setBounds(0, 0, level.world.width, level.world.height);
+  }
+  
+  rebuildPreviewShelves() {
+    this.previewShelves = new Map(this.level.shelves.map(data => [data, this.createPreviewShelf(data)]));
+  }
+  
+  refreshPreviewShelf(data) {
+    this.previewShelves.set(data, this.createPreviewShelf(data));
+  }
+  
+  createPreviewShelf(data) {
+    return new Shelf(this.game, data.x, data.y, data.color, data.capacity ?? 6, data.orientation ?? 'vertical');
+  }
+  
+  // Clicks on the help panel (and the status line under it) don't reach the level
+  isOverPanel(x, y) {
+    const panelHeight = PANEL_LINES * PANEL_LINE_HEIGHT + 16;
+    const bottom = PANEL_Y + panelHeight + (this.status ? PANEL_LINE_HEIGHT + 16 : 0);
+    return x >= PANEL_X && x <= PANEL_X + PANEL_WIDTH && y >= PANEL_Y && y <= bottom;
+  }
+  
+  showStatus(text, isError = false) {
+    this.status = { text, timer: 4, isError };
+  }
+  
+  render(renderer, interpolation) {
+    const ctx = renderer.ctx;
+    
+    renderer.addToLayer('background', (ctx) => this.renderFloor(ctx));
+    
+    // Walls are generated from the rooms and doorways
+    for (const wall of this.game.levelLoader.createWalls(this.level)) {
+      renderer.addToLayer('entities', wall);
+    }
+    
+    for (const shelf of this.previewShelves.values()) {
+      renderer.addToLayer('entities', shelf);
+    }
+    
+    renderer.addToLayer('effects', (ctx) => this.renderMarkers(ctx));
+    renderer.render(interpolation);
+    
+    this.renderUI(ctx);
+  }
+  
+  renderFloor(ctx) {
+    const { width, height } = this.level.world;
+    
+    ctx.fillStyle = this.level.floor?.color || '#d4a574';
+    ctx.fillRect(0, 0, width, height);
+    
+    // Placement grid, with a stronger line every 5 cells
+    ctx.lineWidth = 1;
+    for (let x = 0; x <= width; x += GRID_SIZE) {
+      ctx.strokeStyle = x % (GRID_SIZE * 5) === 0 ? 'rgba(0, 0, 0, 0.25)' : 'rgba(0, 0, 0, 0.08)';
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, height);
+      ctx.stroke();
+    }
+    for (let y = 0; y <= height; y += GRID_SIZE) {
+      ctx.strokeStyle = y % (GRID_SIZE * 5) === 0 ? 'rgba(0, 0, 0, 0.25)' : 'rgba(0, 0, 0, 0.08)';
+      ctx.beginPath();
+      ctx.moveTo(0, y);
+      ctx.lineTo(width, y);
+      ctx.stroke();
+    }
+    
+    // Room names (rooms are edited in the level file)
+    ctx.save();
+    ctx.font = 'bold 48px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.2)';
+    for (const room of this.level.rooms || []) {
+      ctx.fillText((room.name || room.id).toUpperCase(), room.x + room.width / 2, room.y + 30);
+    }
+    ctx.restore();
+    
+    ctx.strokeStyle = '#000';
+    ctx.lineWidth = 3;
+    ctx.strokeRect(0, 0, width, height);
+  }
+  
+  renderMarkers(ctx) {
+    ctx.save();
+    ctx.font = 'bold 14px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    
+    // Kid spawn doors
+    for (const door of this.level.spawnDoors) {
+      ctx.fillStyle = 'rgba(244, 67, 54, 0.7)';
+      ctx.beginPath();
+      ctx.arc(door.x, door.y, DOOR_RADIUS, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillStyle = '#fff';
+      ctx.fillText('KID', door.x, door.y);
+    }
+    
+    // Player start
+    const start = this.level.playerStart;
+    ctx.fillStyle = 'rgba(76, 175, 80, 0.7)';
+    ctx.fillRect(start.x, start.y, PLAYER_SIZE.width, PLAYER_SIZE.height);
+    ctx.fillStyle = '#fff';
+    ctx.fillText('START', start.x + PLAYER_SIZE.width / 2, start.y + PLAYER_SIZE.height / 2);
+    
+    // Hover and selection outlines
+    ctx.lineWidth = 2;
+    if (this.hovered) {
+      const bounds = this.getItemBounds(this.hovered);
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+      ctx.strokeRect(bounds.x - 3, bounds.y - 3, bounds.width + 6, bounds.height + 6);
+    }
+    if (this.selected) {
+      const bounds = this.getItemBounds(this.selected);
+      ctx.setLineDash([6, 4]);
+      ctx.strokeStyle = '#ffeb3b';
+      ctx.strokeRect(bounds.x - 5, bounds.y - 5, bounds.width + 10, bounds.height + 10);
+    }
+    
+    ctx.restore();
+  }
+  
+  renderUI(ctx) {
+    const shelf = this.selected?.type === 'shelf' ? this.selected.data : this.newShelf;
+    const shelfLabel = this.selected?.type === 'shelf' ? 'Selected shelf' : 'New shelves';
+    
+    const lines = [
+      `LEVEL EDITOR - ${this.level.name || this.level.id}  (${this.level.shelves.length} shelves, ${this.level.spawnDoors.length} spawn doors)`,
+      `Tool: ${TOOLS.map((tool, index) => `${index + 1} ${tool === this.tool ? `[${TOOL_NAMES[tool]}]` : TOOL_NAMES[tool]}`).join('  ')}`,
+      `${shelfLabel}: ${shelf.color || 'random'} color, ${shelf.capacity ?? 6} books, ${shelf.orientation ?? 'vertical'}  (C color, +/- capacity, O orientation)`,
+      'Left click place/select, drag to move, right click or Delete to remove. Arrows/wheel pan and zoom',
+      'Enter playtest   S save file   L load file   N new level   G generate   Esc menu',
+      `Cursor ${Math.floor(this.mouseWorld.x)}, ${Math.floor(this.mouseWorld.y)}`
+    ];
+    
+    const lineHeight = PANEL_LINE_HEIGHT;
+    const panelHeight = PANEL_LINES * lineHeight + 16;
+    
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+    ctx.fillRect(PANEL_X, PANEL_Y, PANEL_WIDTH, panelHeight);
+    ctx.font = '16px monospace';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = '#fff';
+    lines.forEach((line, i) => {
+      ctx.fillText(line, PANEL_X + 12, PANEL_Y + 8 + i * lineHeight);
+    });
+    
+    if (this.status) {
+      const statusY = PANEL_Y + 4 + panelHeight;
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+      ctx.fillRect(PANEL_X, statusY, PANEL_WIDTH, lineHeight + 12);
+      ctx.fillStyle = this.status.isError ? '#f44336' : '#4caf50';
+      ctx.fillText(this.status.text, PANEL_X + 12, statusY + 8);
+    }
+    ctx.restore();
+  }
+}
@@ -1,3 +1,4 @@
+import { ReplayRecorder } from '../systems/ReplayRecorder.js';
 import { State } from './State.js';
 
 export class GameOverState extends State {
@@ -6,10 +7,7 @@ export class GameOverState extends State {
     this.won = false;
     this.reason = '';
     this.stats = {};
-    this.menuItems = [
-      { text: 'Play Again', action: () => this.playAgain() },
-      { text: 'Main Menu', action: () => this.mainMenu() }
-    ];
+    this.menuItems = [];
     this.selectedIndex = 0;
     this.selectSound = null;
     
@@ -23,6 +21,45 @@ export class GameOverState extends State {
     this.reason = data.reason || '';
     this.selectedIndex = 0;
     
+    // A watched replay ends here; a live run's recording can be saved
+    const wasReplay = !!this.game.replayPlayer;
+    this.game.stopReplay();
+    this.replay = wasReplay ? null : this.game.replayRecorder.stop();
+    
+    // Editor playtests go back to the editor and never touch the saved run
+    const playingState = this.game.stateManager.getState('playing');
+    this.playtestLevel = playingState ? playingState.playtestLevel : null;
+    this.levelId = playingState?.level ? playingState.level.id : undefined; // Restart in the same library
+    
+    // A finished run can't be continued
+    if (!wasReplay && !this.playtestLevel) {
+      this.game.saveManager.clear();
+    }
+    
+    this.menuItems = [
+      { text: 'Play Again', action: () => this.playAgain() },
+      { text: this.playtestLevel ? 'Back to Editor' : 'Main Menu', action: () => this.mainMenu() }
+    ];
+    if (this.replay) {
+      this.menuItems.push({ text: 'Save Replay', action: () => this.saveReplay() });
+    }
+    
+    // Collect game stats
+    const gameData = this.game.gameData;
+    this.stats = {
+      timeElapsed: Math.floor(gameData.elapsedTime),
+      level: gameData.playerLevel,
+      chaosLevel: Math.floor(gameData.peakChaos ?? gameData.chaosLevel),
+      volumeBlocksCollected: gameData.volumeBlocksCollected || 0,
+      volumeBlocksShelved: gameData.volumeBlocksShelved || 0,
+      kidsRepelled: gameData.kidsRepelled || 0,
+      seed: gameData.seed,
+      tampered: gameData.tampered
+    };
+    
+    // No video or audio when running headless
+    if (this.game.headless) return;
+    
     // Initialize select sound if not already created
     if (!this.selectSound) {
       this.selectSound = new Audio('/menu_select.mp3');
@@ -68,17 +105,6 @@ export class GameOverState extends State {
       this.videoLoaded = true; // Assume it's loaded if we already created it
       this.video.play().catch(e => console.log('Video play failed:', e));
     }
-    
-    // Collect game stats
-    const gameData = this.game.gameData;
-    this.stats = {
-      timeElapsed: Math.floor(gameData.elapsedTime),
-      level: gameData.playerLevel,
-      chaosLevel: Math.floor(gameData.chaosLevel),
-      volumeBlocksCollected: gameData.volumeBlocksCollected || 0,
-      volumeBlocksShelved: gameData.volumeBlocksShelved || 0,
-      kidsRepelled: gameData.kidsRepelled || 0,
-    };
   }
   
   exit() {
@@ -117,7 +143,7 @@ export class GameOverState extends State {
       
       // Check each menu item
       for (let i = 0; i < this.menuItems.length; i++) {
-        const y = boxY + 480 + i * 50;
+        const y = boxY + 440 + i * 50;
         const itemTop = y - 20;
         const itemBottom = y + 20;
         const itemLeft = boxX + 150;
@@ -223,12 +249,16 @@ export class GameOverState extends State {
     // Subtitle
     ctx.fillStyle = '#3d2914';
     ctx.font = '24px Arial';
-    if (this.won) {
+    if (this.won && this.reason === 'boss') {
+      ctx.fillText('The Substitute Teacher gave up - class dismissed!', width / 2, boxY + 130);
+    } else if (this.won) {
       ctx.fillText('You survived 30 minutes of library chaos!', width / 2, boxY + 130);
     } else {
       let message = 'The library descended into chaos...';
       if (this.reason === 'chaos') {
         message = 'The chaos overwhelmed the library!';
+      } else if (this.reason === 'hp') {
+        message = 'The kids wore the librarian out!';
       }
       ctx.fillText(message, width / 2, boxY + 130);
     }
@@ -248,7 +278,8 @@ export class GameOverState extends State {
       `Peak Chaos: ${this.stats.chaosLevel}%`,
       `Volume Blocks Collected: ${this.stats.volumeBlocksCollected}`,
       `Volume Blocks Shelved: ${this.stats.volumeBlocksShelved}`,
-      `Kids Repelled: ${this.stats.kidsRepelled}`
+      `Kids Repelled: ${this.stats.kidsRepelled}`,
+      `Seed: ${this.stats.seed}${this.stats.tampered ? ' (dev)' : ''}`
     ];
     
     statLines.forEach(line => {
@@ -260,7 +291,7 @@ export class GameOverState extends State {
     ctx.textAlign = 'center';
     ctx.font = '32px Arial';
     this.menuItems.forEach((item, index) => {
-      const y = boxY + 480 + index * 50;
+      const y = boxY + 440 + index * 50;
       
       if (index === this.selectedIndex) {
         ctx.fillStyle = '#8B4513';
@@ -277,11 +308,21 @@ export class GameOverState extends State {
   }
   
   playAgain() {
-    this.game.stateManager.changeState('playing');
+    this.game.stateManager.changeState('playing', this.playtestLevel ? { playtestLevel: this.playtestLevel } : { levelId: this.levelId });
   }
   
   mainMenu() {
-    this.game.stateManager.changeState('menu');
+    this.game.stateManager.changeState(this.playtestLevel ? 'editor' : 'menu');
+  }
+  
+  saveReplay() {
+    if (!this.replay) return;
+    
+    ReplayRecorder.download(this.replay);
+    const item = this.menuItems.find(menuItem => menuItem.text === 'Save Replay');
+    if (item) {
+      item.text = 'Replay Saved!';
+    }
   }
   
   playSelectSound() {
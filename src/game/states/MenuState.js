@@ -1,15 +1,15 @@
+import { DEFAULT_LEVEL_ID } from '../data/levels.js';
+import { ReplayPlayer } from '../systems/ReplayPlayer.js';
 import { PlayingState } from './PlayingState.js';
 import { State } from './State.js';
 
 export class MenuState extends State {
   constructor(game) {
     super(game);
-    this.menuItems = [
-      { text: 'Start Game', action: () => this.startGame() },
-      { text: 'Instructions', action: () => this.showInstructions() }
-    ];
+    this.menuItems = [];
     this.selectedIndex = 0;
     this.showingInstructions = false;
+    this.levelId = DEFAULT_LEVEL_ID; // Library to start new runs in
     
     // Video background
     this.video = null;
@@ -27,6 +27,25 @@ export class MenuState extends State {
     this.selectedIndex = 0;
     this.showingInstructions = false;
     
+    // Leaving a run or replay early ends it
+    this.game.replayRecorder.stop();
+    this.game.stopReplay();
+    
+    // Offer to continue a saved run
+    this.menuItems = [];
+    if (this.game.saveManager.hasSave()) {
+      this.menuItems.push({ text: 'Continue', action: () => this.continueGame() });
+    }
+    this.menuItems.push(
+      { text: this.getStartText(), action: () => this.startGame(), changeLevel: (step) => this.changeLevel(step) },
+      { text: 'Load Replay', action: () => this.loadReplay() },
+      { text: 'Level Editor', action: () => this.game.stateManager.changeState('editor') },
+      { text: 'Instructions', action: () => this.showInstructions() }
+    );
+    
+    // No video or audio when running headless
+    if (this.game.headless) return;
+    
     // Create and setup video if not already created
     if (!this.video) {
       this.video = document.createElement('video');
@@ -124,6 +143,17 @@ export class MenuState extends State {
       this.menuItems[this.selectedIndex].action();
     }
     
+    // Left/right picks the library on the Start Game item
+    const selectedItem = this.menuItems[this.selectedIndex];
+    if (selectedItem?.changeLevel) {
+      if (input.isKeyPressed('ArrowLeft') || input.isKeyPressed('a')) {
+        selectedItem.changeLevel(-1);
+      }
+      if (input.isKeyPressed('ArrowRight') || input.isKeyPressed('d')) {
+        selectedItem.changeLevel(1);
+      }
+    }
+    
     // Mouse support
     const mousePos = input.getMousePosition();
     if (mousePos && !this.showingInstructions) {
@@ -327,11 +357,53 @@ export class MenuState extends State {
     ctx.restore();
   }
   
+  getStartText() {
+    return `Start Game  < ${this.game.levelLoader.getLevelName(this.levelId)} >`;
+  }
+  
+  changeLevel(step) {
+    const levelIds = this.game.levelLoader.getLevelIds();
+    const index = levelIds.indexOf(this.levelId);
+    this.levelId = levelIds[(index + step + levelIds.length) % levelIds.length];
+    this.menuItems[this.selectedIndex].text = this.getStartText();
+    this.playSelectSound();
+  }
+  
   startGame() {
     // Create a fresh PlayingState instance to ensure clean state
     const freshPlayingState = new PlayingState(this.game);
     this.game.stateManager.registerState('playing', freshPlayingState);
     
+    // Allow sharing a run (e.g. a daily seed) via ?seed= in the URL
+    const seed = new URLSearchParams(window.location.search).get('seed');
+    this.game.stateManager.changeState('playing', seed ? { seed, levelId: this.levelId } : { levelId: this.levelId });
+  }
+  
+  continueGame() {
+    const savedRun = this.game.saveManager.load();
+    if (!savedRun) return;
+    
+    const freshPlayingState = new PlayingState(this.game);
+    this.game.stateManager.registerState('playing', freshPlayingState);
+    this.game.stateManager.changeState('playing', { savedRun });
+  }
+  
+  async loadReplay() {
+    let replay;
+    try {
+      replay = await ReplayPlayer.openFile();
+    } catch (error) {
+      console.error('Failed to load replay:', error);
+      return;
+    }
+    
+    // Ignore if the picker was cancelled or we already left the menu
+    if (!replay || this.game.stateManager.currentState !== this) return;
+    
+    this.game.startReplay(replay);
+    
+    const freshPlayingState = new PlayingState(this.game);
+    this.game.stateManager.registerState('playing', freshPlayingState);
     this.game.stateManager.changeState('playing');
   }
   
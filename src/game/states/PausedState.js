@@ -17,6 +17,15 @@ export class PausedState extends State {
     this.selectedIndex = 0;
     this.game.gameData.isPaused = true;
     
+    // Editor playtests go back to the editor instead of the menu
+    const playingState = this.game.stateManager.getState('playing');
+    this.playtestLevel = playingState ? playingState.playtestLevel : null;
+    this.levelId = playingState?.level ? playingState.level.id : undefined; // Restart in the same library
+    this.menuItems[2].text = this.playtestLevel ? 'Back to Editor' : 'Main Menu';
+    
+    // No audio when running headless
+    if (this.game.headless) return;
+    
     // Initialize select sound if not already created
     if (!this.selectSound) {
       this.selectSound = new Audio('/menu_select.mp3');
@@ -181,11 +190,11 @@ export class PausedState extends State {
     this.game.stateManager.registerState('playing', freshPlayingState);
     
     // Change to the fresh playing state
-    this.game.stateManager.changeState('playing');
+    this.game.stateManager.changeState('playing', this.playtestLevel ? { playtestLevel: this.playtestLevel } : { levelId: this.levelId });
   }
   
   mainMenu() {
-    this.game.stateManager.changeState('menu');
+    this.game.stateManager.changeState(this.playtestLevel ? 'editor' : 'menu');
   }
   
   playSelectSound() {
@@ -1,34 +1,87 @@
-import { Kid } from '../entities/Kid.js';
+import { DEFAULT_LEVEL_ID } from '../data/levels.js';
+import { BookmarkBoomerang } from '../entities/BookmarkBoomerang.js';
+import { Chaperone } from '../entities/Chaperone.js';
+import { DeweyBeam } from '../entities/DeweyBeam.js';
+import { KID_SIZE, Kid } from '../entities/Kid.js';
+import { PaperAirplane } from '../entities/PaperAirplane.js';
 import { Player } from '../entities/Player.js';
+import { RewardDrop } from '../entities/RewardDrop.js';
 import { Shelf } from '../entities/Shelf.js';
+import { ShelvingFlight } from '../entities/ShelvingFlight.js';
+import { StickyPuddle } from '../entities/StickyPuddle.js';
+import { SubstituteTeacher } from '../entities/SubstituteTeacher.js';
 import { VolumeBlock } from '../entities/VolumeBlock.js';
+import { GameEvents } from '../systems/EventBus.js';
+import { Minimap } from '../systems/Minimap.js';
+import { NavGrid } from '../systems/NavGrid.js';
+import { Random } from '../systems/Random.js';
+import { SpatialHash } from '../systems/SpatialHash.js';
 import { State } from './State.js';
 
+// Chaos levels that emit a chaos:threshold event when crossed
+const CHAOS_THRESHOLDS = [25, 50, 75, 90];
+
+// Event subscriptions that belong to the current run
+const RUN_EVENTS = 'run';
+
+// Seconds of play between autosaves
+const AUTOSAVE_INTERVAL = 30;
+
+// Boss classes by their id in balance.json's bosses section
+const BOSS_TYPES = {
+  chaperone: Chaperone,
+  substitute: SubstituteTeacher
+};
+
+// A boss needs a class here as well as its numbers in balance.json
+function getBossType(id) {
+  const BossType = BOSS_TYPES[id];
+  if (!BossType) {
+    throw new Error(`Unknown boss '${id}'`);
+  }
+  return BossType;
+}
+
+// Background song when no boss has a theme of their own
+const GAME_MUSIC = '/game_song.mp3';
+
 export class PlayingState extends State {
   constructor(game) {
     super(game);
-    this.instanceId = Math.random().toString(36).substring(7); // Unique ID for debugging
-    console.log(`[RESTART DEBUG] Creating new PlayingState instance: ${this.instanceId}`);
     this.player = null;
     this.kids = [];
     this.volumeBlocks = [];
     this.shelves = [];
     this.particles = [];
-    
-    // World bounds - adapted for 1920x1080 canvas
-    // Shelves: 10 cols, last shelf at x = 200 + 9*180 = 1820, shelf width = 64
-    // So rightmost edge = 1820 + 64 = 1884
-    // Shelves: 5 rows, last shelf at y = 200 + 4*180 = 920, shelf height = 96
-    // So bottommost edge = 920 + 96 = 1016
-    // Add buffer: 100 pixels on each side
-    this.worldWidth = 1920; // Full width for new canvas
-    this.worldHeight = 1080; // Full height for new canvas
-    
-    // Kid spawning
-    this.kidSpawnTimer = 0;
-    this.kidSpawnInterval = 15; // Constant 15 seconds between spawns
-    this.maxKids = 3; // Starting max, will increase with waves
-    this.lastMaxKids = 3; // Track previous max to detect increases
+    this.stickyPuddles = []; // Left by Snack Smugglers
+    this.paperAirplanes = []; // Thrown by Gamers
+    this.boomerangs = []; // Bookmark Boomerangs in flight
+    this.deweyBeams = []; // Dewey Decimal Beam sweeps under way
+    this.shelvingFlights = []; // Books the beam is sending back to their shelves
+    this.weaponEffects = []; // Weapons going off, for show
+    this.bosses = [];
+    this.bossesSpawned = []; // Ids of bosses that have already shown up this run
+    this.rewardDrops = []; // Left behind by defeated bosses
+    
+    // Proximity queries for shelves, floor volume blocks and kids
+    this.spatialIndex = new SpatialHash(128);
+    
+    // World layout - set from the level file when a run starts
+    this.level = null;
+    this.playtestLevel = null; // Set when playing a layout from the level editor
+    this.worldWidth = game.width;
+    this.worldHeight = game.height;
+    this.spawnPoints = [];
+    this.rooms = []; // Single-room levels have none - the whole world is one room
+    this.doorways = [];
+    this.walls = [];
+    this.navGrid = null; // Kid pathfinding grid - built once the shelves are placed
+    
+    // Corner overview of the whole library
+    this.minimap = new Minimap(game);
+    
+    // Kid spawning - maxKids starts low and increases with waves
+    this.resetKidSpawning();
     
     // Wave notification
     this.maxKidsIncreaseNotification = {
@@ -44,55 +97,82 @@ export class PlayingState extends State {
     
     // Background music
     this.bgMusic = null;
+    this.musicSource = null; // Track bgMusic is playing
     this.musicLoaded = false;
     
     // Sound effects
     this.pickupSounds = []; // Array of audio elements for overlapping sounds
     this.shelfSound = null;
-    
-    this.spawnPoints = [
-      { x: 500, y: 400 }, // Middle-left area - away from shelves but in center region
-      { x: 1500, y: 400 }, // Middle-right area - away from shelves but in center region
-      { x: 500, y: 800 }, // Middle-left bottom area - away from shelves but in center region
-      { x: 1500, y: 800 }, // Middle-right bottom area - away from shelves but in center region
-      { x: 1000, y: 300 }, // Top center area - away from shelves but in center region
-      { x: 1000, y: 900 }, // Bottom center area - away from shelves but in center region
-      { x: 300, y: 600 }, // Far left area
-      { x: 1700, y: 600 } // Far right area
-    ];
   }
   
-  enter() {
-    console.log(`[RESTART DEBUG] PlayingState.enter() called for instance: ${this.instanceId}`);
-    console.log(`[RESTART DEBUG] kids.length before clearing: ${this.kids.length}`);
-    
+  enter(data = {}) {
     // Clear any existing entities first to prevent accumulation
     this.kids = [];
     this.volumeBlocks = [];
     this.particles = [];
     this.shelves = [];
+    this.stickyPuddles = [];
+    this.paperAirplanes = [];
+    this.boomerangs = [];
+    this.deweyBeams = [];
+    this.shelvingFlights = [];
+    this.weaponEffects = [];
+    this.bosses = [];
+    this.bossesSpawned = [];
+    this.rewardDrops = [];
+    this.spatialIndex.clear();
+    
+    // Continuing a saved run restores it instead of generating a new one
+    const savedRun = data.savedRun || null;
+    
+    // Seed the run's RNG - a given seed reproduces the same run
+    const replay = this.game.replayPlayer;
+    const seed = replay ? replay.seed : savedRun ? savedRun.gameData.seed : (data.seed ?? Random.generateSeed());
+    this.game.rng.setSeed(seed);
+    
+    // A layout being playtested from the editor isn't a registered level, so those
+    // runs are never recorded or saved (and leave the player's saved run alone)
+    this.playtestLevel = data.playtestLevel || null;
+    
+    const levelId = replay ? replay.levelId : savedRun ? savedRun.gameData.levelId : (data.levelId ?? DEFAULT_LEVEL_ID);
+    this.applyLevel(this.playtestLevel || this.game.levelLoader.load(levelId, this.game.rng.seed));
+    
+    // Record input for this run unless we are watching a replay.
+    // A continued run can't be replayed from its seed, so it isn't recorded either.
+    if (savedRun || this.playtestLevel) {
+      this.game.replayRecorder.discard();
+    } else if (!replay) {
+      this.game.replayRecorder.start(this.game.rng.seed, levelId);
+    }
+    
+    // A fresh run replaces any saved one
+    if (!savedRun && !replay && !this.playtestLevel) {
+      this.game.saveManager.clear();
+    }
     
     // Reset game data
     this.game.gameData = {
       chaosLevel: 0,
-      maxChaos: 100,
+      peakChaos: 0,
+      maxChaos: this.game.balance.run.maxChaos,
       playerLevel: 1,
       xp: 0,
-      xpToNext: 100,
+      xpToNext: this.game.balance.getXPToNext(1),
       elapsedTime: 0,
-      targetTime: 30 * 60,
+      targetTime: this.game.balance.run.targetMinutes * 60,
       isPaused: false,
+      seed: this.game.rng.seed,
+      levelId: this.level.id,
+      tampered: false, // Changed from the dev console
       // Stats tracking
       volumeBlocksCollected: 0,
       volumeBlocksShelved: 0,
+      volumeBlocksSnatched: 0,
       kidsRepelled: 0
     };
     
     // Ensure kid spawning is reset to initial values
-    this.maxKids = 3;
-    this.lastMaxKids = 3;
-    this.kidSpawnTimer = 0;
-    this.kidSpawnInterval = 15;
+    this.resetKidSpawning();
     
     // Reset wave notification
     this.maxKidsIncreaseNotification = {
@@ -102,29 +182,29 @@ export class PlayingState extends State {
       duration: 3
     };
     
-    console.log(`[KID SPAWNING] World dimensions: ${this.worldWidth}x${this.worldHeight}`);
-    console.log(`[KID SPAWNING] Spawn points:`, this.spawnPoints);
+    // Reset chaos threshold tracking and notifications
+    this.chaosThresholdIndex = 0;
+    this.achievementNotification = null;
+    this.bossNotification = null;
+    this.finalBossDefeated = false; // Set when a boss that ends the run gives up
+    this.autosaveTimer = 0;
     
-    // Initialize game world
-    this.initializeLevel();
+    // Hook up this run's reactions to game events
+    this.subscribeToEvents();
     
-    // Start background music
-    if (!this.bgMusic) {
-      this.bgMusic = new Audio('/game_song.mp3');
-      this.bgMusic.loop = true;
-      this.bgMusic.volume = 0.1; // 10% volume for background music
-      
-      this.bgMusic.addEventListener('loadeddata', () => {
-        this.musicLoaded = true;
-        this.bgMusic.play().catch(e => console.log('Game music play failed:', e));
-      });
-      
-      this.bgMusic.load();
+    // Initialize game world
+    if (savedRun) {
+      this.restoreRun(savedRun);
     } else {
-      // Resume if returning to game
-      this.bgMusic.play().catch(e => console.log('Game music play failed:', e));
+      this.initializeLevel();
     }
     
+    // No audio when running headless
+    if (this.game.headless) return;
+    
+    // Start background music (a continued run may already have a boss around)
+    this.updateMusic();
+    
     // Initialize sound effects
     if (this.pickupSounds.length === 0) {
       // Create 5 audio instances for overlapping pickup sounds
@@ -141,18 +221,74 @@ export class PlayingState extends State {
     }
   }
   
+  // Play the theme of the first boss that has one, or the regular song
+  updateMusic() {
+    if (this.game.headless) return;
+    
+    const boss = this.bosses.find(boss => boss.music && !boss.defeated);
+    const source = boss ? boss.music : GAME_MUSIC;
+    if (this.bgMusic && this.musicSource === source) {
+      // Resume if returning to game
+      this.bgMusic.play().catch(e => console.log('Game music play failed:', e));
+      return;
+    }
+    
+    const previous = this.bgMusic ? { music: this.bgMusic, source: this.musicSource, loaded: this.musicLoaded } : null;
+    if (this.bgMusic) {
+      this.bgMusic.pause();
+    }
+    const music = new Audio(source);
+    music.loop = true;
+    music.volume = 0.1; // 10% volume for background music
+    this.bgMusic = music;
+    this.musicSource = source;
+    this.musicLoaded = false;
+    
+    music.addEventListener('loadeddata', () => {
+      // Skip tracks swapped out while still loading
+      if (this.bgMusic !== music) return;
+      this.musicLoaded = true;
+      music.play().catch(e => console.log('Game music play failed:', e));
+    });
+    
+    // Keep the song that was playing rather than going silent
+    music.addEventListener('error', () => {
+      if (this.bgMusic !== music || !previous) return;
+      console.log(`Game music failed to load: ${source} - back to ${previous.source}`);
+      this.bgMusic = previous.music;
+      this.musicSource = previous.source;
+      this.musicLoaded = previous.loaded;
+      previous.music.play().catch(e => console.log('Game music play failed:', e));
+    });
+    
+    music.load();
+  }
+  
   exit() {
+    // Finish the run's recording so it can be saved from the game over screen
+    this.game.replayRecorder.stop();
+    
+    // Stop reacting to events from this run
+    this.game.events.offGroup(RUN_EVENTS);
+    
     // Clean up
     this.kids = [];
     this.volumeBlocks = [];
     this.particles = [];
     this.shelves = [];
+    this.stickyPuddles = [];
+    this.paperAirplanes = [];
+    this.boomerangs = [];
+    this.deweyBeams = [];
+    this.shelvingFlights = [];
+    this.weaponEffects = [];
+    this.bosses = [];
+    this.bossesSpawned = [];
+    this.rewardDrops = [];
+    this.spatialIndex.clear();
     
     // Reset kid spawning variables to initial state
-    this.maxKids = 3;
-    this.lastMaxKids = 3;
-    this.kidSpawnTimer = 0;
-    this.kidSpawnInterval = 15;
+    this.resetKidSpawning();
     
     // Reset wave notification
     this.maxKidsIncreaseNotification = {
@@ -177,40 +313,681 @@ export class PlayingState extends State {
     this.shelfSound = null;
   }
   
+  // World size, spawn doors and floor from the level file
+  applyLevel(level) {
+    if (this.level?.floor?.texture !== level.floor?.texture || this.level?.floor?.scale !== level.floor?.scale) {
+      this.floorPattern = null;
+    }
+    
+    this.level = level;
+    this.worldWidth = level.world.width;
+    this.worldHeight = level.world.height;
+    this.spawnPoints = level.spawnDoors.map(door => ({ x: door.x, y: door.y }));
+    
+    // Rooms, and the rooms each doorway connects
+    this.rooms = level.rooms || [];
+    this.doorways = (level.doorways || []).map(doorway => ({
+      ...doorway,
+      rooms: this.rooms.filter(room => !(doorway.x > room.x + room.width || doorway.x + doorway.width < room.x ||
+        doorway.y > room.y + room.height || doorway.y + doorway.height < room.y))
+    }));
+    this.walls = this.game.levelLoader.createWalls(level);
+    for (const wall of this.walls) {
+      this.spatialIndex.insert(wall, 'walls');
+    }
+  }
+  
+  // Room containing a point (null in single-room levels or inside a wall)
+  getRoomAt(x, y) {
+    return this.rooms.find(room => x >= room.x && x < room.x + room.width && y >= room.y && y < room.y + room.height) || null;
+  }
+  
+  isSameRoom(a, b) {
+    return this.getRoomAt(a.getCenterX(), a.getCenterY()) === this.getRoomAt(b.getCenterX(), b.getCenterY());
+  }
+  
+  // Area to head for when wandering aimlessly - the current room, or the whole world
+  getAreaAround(x, y) {
+    return this.getRoomAt(x, y) || { x: 0, y: 0, width: this.worldWidth, height: this.worldHeight };
+  }
+  
+  // Everything that blocks movement in an area: shelves, then walls
+  queryObstacles(x, y, width, height) {
+    const shelves = this.spatialIndex.queryRect('shelves', x, y, width, height);
+    if (this.walls.length === 0) return shelves;
+    return shelves.concat(this.spatialIndex.queryRect('walls', x, y, width, height));
+  }
+  
+  overlapsWall(x, y, width, height) {
+    return this.spatialIndex.queryRect('walls', x, y, width, height).some(wall =>
+      !(x >= wall.x + wall.width || x + width <= wall.x || y >= wall.y + wall.height || y + height <= wall.y));
+  }
+  
+  // Shelves and walls never move, so the grid is built once per run
+  buildNavGrid() {
+    const obstacles = [...this.shelves, ...this.walls].map(obstacle => obstacle.getBounds());
+    this.navGrid = new NavGrid(this.worldWidth, this.worldHeight, obstacles, KID_SIZE);
+  }
+  
   initializeLevel() {
-    // Generate volume vault layout first
-    this.generateVolumeVaultLayout();
-    
-    // Create player in a safe spot between shelves
-    // Shelves now start at x:200, y:200 with 180x180 spacing
-    // Place player in the aisle to the left of first shelf
-    this.player = new Player(
-      this.game,
-      100,  // Left edge buffer area
-      500   // Middle height of volume vault
-    );
+    // Shelves (filled with their volume blocks) come from the level file
+    const { shelves, volumeBlocks } = this.game.levelLoader.createShelves(this.level);
+    this.shelves = shelves;
+    this.volumeBlocks = volumeBlocks;
+    for (const shelf of shelves) {
+      this.spatialIndex.insert(shelf, 'shelves');
+    }
+    this.buildNavGrid();
+    
+    // Player starts in the level's chosen aisle
+    this.player = new Player(this.game, this.level.playerStart.x, this.level.playerStart.y);
     
     // Set camera bounds to world
     this.game.camera.setBounds(0, 0, this.worldWidth, this.worldHeight);
     
     // Center camera on player
-    this.game.camera.follow(this.player);
+    this.game.camera.follow(this.player, true);
     
     // Spawn initial kids
-    const initialKids = 2; // Start with 2 kids
-    console.log(`[RESTART DEBUG] Before spawning: kids.length = ${this.kids.length}`);
-    for (let i = 0; i < initialKids; i++) {
-      const spawnPoint = this.spawnPoints[Math.floor(Math.random() * this.spawnPoints.length)];
-      console.log(`[SPAWN DEBUG] Spawning kid ${i+1} at position:`, spawnPoint);
-      const kid = new Kid(this.game, spawnPoint.x, spawnPoint.y, 1); // Easy kid
-      console.log(`[SPAWN DEBUG] Kid ${i+1} created with position:`, {x: kid.x, y: kid.y, width: kid.width, height: kid.height});
-      this.kids.push(kid);
-    }
-    console.log(`[RESTART DEBUG] After spawning: kids.length = ${this.kids.length}`);
-    console.log(`[RESTART DEBUG] maxKids = ${this.maxKids}`);
+    const spawning = this.game.balance.spawning;
+    for (let i = 0; i < spawning.initialKids; i++) {
+      const spawnPoint = this.game.rng.pick(this.spawnPoints);
+      this.spawnKidGroup(spawnPoint, spawning.initialAggression, this.pickArchetype(0), this.maxKids - this.kids.length);
+    }
     
     // Initialize kid spawning for additional kids
-    this.kidSpawnTimer = 15; // First additional kid spawns after 15 seconds
+    this.kidSpawnTimer = spawning.firstSpawnDelay;
+  }
+  
+  resetKidSpawning() {
+    const spawning = this.game.balance.spawning;
+    this.maxKids = this.game.balance.getMaxKids(0);
+    this.lastMaxKids = this.maxKids; // Track previous max to detect increases
+    this.kidSpawnTimer = 0;
+    this.kidSpawnInterval = spawning.spawnInterval;
+    this.summonQueue = []; // Where kids called in by bosses will appear
+    this.summonTimer = 0;
+  }
+  
+  // Save the run so it can be continued from the menu
+  saveRun() {
+    // Replays and simulations never touch the player's save
+    if (this.game.replayPlayer || this.game.headless || this.playtestLevel || !this.player) return;
+    
+    this.game.saveManager.save(this.serializeRun());
+  }
+  
+  serializeRun() {
+    // Links between entities are stored as indexes into the saved arrays
+    const volumeBlockIndex = new Map(this.volumeBlocks.map((volumeBlock, index) => [volumeBlock, index]));
+    const shelfIndex = new Map(this.shelves.map((shelf, index) => [shelf, index]));
+    const kidIndex = new Map(this.kids.map((kid, index) => [kid, index]));
+    const bossIndex = new Map(this.bosses.map((boss, index) => [boss, index]));
+    const indexOf = (map, entity) => (entity ? map.get(entity) ?? null : null);
+    
+    return {
+      gameData: { ...this.game.gameData, isPaused: false },
+      rngState: this.game.rng.getState(),
+      shelves: this.shelves.map(shelf => ({
+        ...shelf.getSaveData(),
+        slots: shelf.volumeBlocks.map(volumeBlock => indexOf(volumeBlockIndex, volumeBlock))
+      })),
+      volumeBlocks: this.volumeBlocks.map(volumeBlock => volumeBlock.getSaveData()),
+      player: {
+        ...this.player.getSaveData(),
+        carriedVolumeBlocks: this.player.carriedVolumeBlocks.map(volumeBlock => indexOf(volumeBlockIndex, volumeBlock)),
+        cartVolumeBlocks: this.player.cartVolumeBlocks.map(volumeBlock => indexOf(volumeBlockIndex, volumeBlock))
+      },
+      kids: this.kids.map(kid => ({
+        ...kid.getSaveData(),
+        target: indexOf(shelfIndex, kid.target),
+        carriedVolumeBlock: indexOf(volumeBlockIndex, kid.carriedVolumeBlock),
+        partner: indexOf(kidIndex, kid.partner),
+        leader: indexOf(bossIndex, kid.leader)
+      })),
+      bosses: this.bosses.map(boss => ({
+        typeId: boss.typeId,
+        ...boss.getSaveData(),
+        targetShelf: indexOf(shelfIndex, boss.targetShelf)
+      })),
+      bossesSpawned: this.bossesSpawned,
+      finalBossDefeated: this.finalBossDefeated,
+      rewardDrops: this.rewardDrops.map(drop => drop.getSaveData()),
+      stickyPuddles: this.stickyPuddles.map(puddle => puddle.getSaveData()),
+      paperAirplanes: this.paperAirplanes.map(airplane => ({
+        ...airplane.getSaveData(),
+        targetShelf: indexOf(shelfIndex, airplane.targetShelf)
+      })),
+      boomerangs: this.boomerangs.map(boomerang => ({
+        ...boomerang.getSaveData(),
+        target: indexOf(kidIndex, boomerang.target)
+      })),
+      deweyBeams: this.deweyBeams.map(beam => beam.getSaveData()),
+      shelvingFlights: this.shelvingFlights.map(flight => ({
+        ...flight.getSaveData(),
+        volumeBlock: indexOf(volumeBlockIndex, flight.volumeBlock),
+        shelf: indexOf(shelfIndex, flight.shelf)
+      })),
+      spawning: {
+        maxKids: this.maxKids,
+        lastMaxKids: this.lastMaxKids,
+        kidSpawnTimer: this.kidSpawnTimer,
+        kidSpawnInterval: this.kidSpawnInterval,
+        summonQueue: this.summonQueue,
+        summonTimer: this.summonTimer
+      },
+      chaosThresholdIndex: this.chaosThresholdIndex
+    };
+  }
+  
+  restoreRun(savedRun) {
+    Object.assign(this.game.gameData, savedRun.gameData, { isPaused: false });
+    
+    // Volume blocks first - everything else links to them
+    this.volumeBlocks = savedRun.volumeBlocks.map(data => {
+      const volumeBlock = new VolumeBlock(this.game, data.x, data.y, data.color);
+      volumeBlock.applySaveData(data);
+      return volumeBlock;
+    });
+    
+    this.shelves = savedRun.shelves.map(data => {
+      const shelf = new Shelf(this.game, data.x, data.y, data.color, data.capacity, data.orientation);
+      data.slots.forEach((volumeBlockIndex, slot) => {
+        if (volumeBlockIndex === null) return;
+        const volumeBlock = this.volumeBlocks[volumeBlockIndex];
+        shelf.volumeBlocks[slot] = volumeBlock;
+        volumeBlock.shelf = shelf;
+      });
+      this.spatialIndex.insert(shelf, 'shelves');
+      return shelf;
+    });
+    this.buildNavGrid();
+    
+    this.player = new Player(this.game, savedRun.player.x, savedRun.player.y);
+    this.player.applySaveData(savedRun.player);
+    this.player.carriedVolumeBlocks = savedRun.player.carriedVolumeBlocks.map(index => {
+      const volumeBlock = this.volumeBlocks[index];
+      volumeBlock.holder = this.player;
+      return volumeBlock;
+    });
+    this.player.cartVolumeBlocks = savedRun.player.cartVolumeBlocks.map(index => {
+      const volumeBlock = this.volumeBlocks[index];
+      volumeBlock.holder = this.player;
+      return volumeBlock;
+    });
+    
+    this.bosses = savedRun.bosses.map(data => {
+      const BossType = getBossType(data.typeId);
+      const boss = new BossType(this.game, data.x, data.y, this.game.balance.getBoss(data.typeId));
+      boss.applySaveData(data);
+      boss.targetShelf = data.targetShelf === null ? null : this.shelves[data.targetShelf];
+      return boss;
+    });
+    this.bossesSpawned = savedRun.bossesSpawned;
+    this.finalBossDefeated = savedRun.finalBossDefeated;
+    this.rewardDrops = savedRun.rewardDrops.map(data => {
+      const drop = new RewardDrop(0, 0, data.reward);
+      drop.x = data.x;
+      drop.y = data.y;
+      drop.age = data.age;
+      return drop;
+    });
+    
+    this.kids = savedRun.kids.map(data => {
+      const kid = new Kid(this.game, data.x, data.y, data.aggressionLevel, data.archetypeId);
+      kid.applySaveData(data);
+      kid.target = data.target === null ? null : this.shelves[data.target];
+      if (data.carriedVolumeBlock !== null) {
+        kid.carriedVolumeBlock = this.volumeBlocks[data.carriedVolumeBlock];
+        kid.carriedVolumeBlock.holder = kid;
+      }
+      this.spatialIndex.insert(kid, 'kids');
+      return kid;
+    });
+    savedRun.kids.forEach((data, index) => {
+      this.kids[index].partner = data.partner === null ? null : this.kids[data.partner];
+      this.kids[index].leader = data.leader === null ? null : this.bosses[data.leader];
+    });
+    this.refreshSpatialIndex();
+    
+    this.stickyPuddles = savedRun.stickyPuddles.map(data => {
+      const puddle = new StickyPuddle(data.x, data.y, data.width, data.height, data.lifetime);
+      puddle.timeLeft = data.timeLeft;
+      return puddle;
+    });
+    this.paperAirplanes = savedRun.paperAirplanes.map(data => {
+      const airplane = new PaperAirplane(0, 0, this.shelves[data.targetShelf], data.speed);
+      airplane.x = data.x;
+      airplane.y = data.y;
+      airplane.angle = data.angle;
+      return airplane;
+    });
+    this.boomerangs = savedRun.boomerangs.map(data => {
+      const target = data.target === null ? null : this.kids[data.target];
+      const boomerang = new BookmarkBoomerang(0, 0, target, data.speed, data.returnSpeed, data.silenceSeconds);
+      boomerang.x = data.x;
+      boomerang.y = data.y;
+      boomerang.returning = data.returning;
+      boomerang.spin = data.spin;
+      return boomerang;
+    });
+    this.deweyBeams = savedRun.deweyBeams.map(data => {
+      const beam = new DeweyBeam(data.x, data.y, data.angle, data.length, data.rotationSpeed, data.booksLeft, data.flightSeconds);
+      beam.swept = data.swept;
+      return beam;
+    });
+    this.shelvingFlights = savedRun.shelvingFlights.map(data => {
+      const volumeBlock = this.volumeBlocks[data.volumeBlock];
+      const flight = new ShelvingFlight(volumeBlock, this.shelves[data.shelf], data.duration);
+      flight.x = data.x;
+      flight.y = data.y;
+      flight.elapsed = data.elapsed;
+      volumeBlock.holder = flight;
+      return flight;
+    });
+    
+    this.maxKids = savedRun.spawning.maxKids;
+    this.lastMaxKids = savedRun.spawning.lastMaxKids;
+    this.kidSpawnTimer = savedRun.spawning.kidSpawnTimer;
+    this.kidSpawnInterval = savedRun.spawning.kidSpawnInterval;
+    this.summonQueue = savedRun.spawning.summonQueue;
+    this.summonTimer = savedRun.spawning.summonTimer;
+    this.chaosThresholdIndex = savedRun.chaosThresholdIndex;
+    
+    // Creating the entities drew from the RNG - continue the saved sequence instead
+    this.game.rng.setState(savedRun.rngState);
+    
+    this.game.camera.setBounds(0, 0, this.worldWidth, this.worldHeight);
+    this.game.camera.follow(this.player, true);
+  }
+  
+  // Kids always live in the index; volume blocks only while they're on the floor
+  refreshSpatialIndex() {
+    for (const kid of this.kids) {
+      this.spatialIndex.update(kid);
+    }
+    
+    for (const volumeBlock of this.volumeBlocks) {
+      const onFloor = !volumeBlock.isHeld && !volumeBlock.isShelved;
+      if (!onFloor) {
+        this.spatialIndex.remove(volumeBlock);
+      } else if (this.spatialIndex.has(volumeBlock)) {
+        this.spatialIndex.update(volumeBlock);
+      } else {
+        this.spatialIndex.insert(volumeBlock, 'volumeBlocks');
+      }
+    }
+  }
+  
+  spawnKid(spawnPoint, aggressionLevel, archetypeId = 'curiousReader') {
+    const kid = new Kid(this.game, spawnPoint.x, spawnPoint.y, aggressionLevel, archetypeId);
+    this.kids.push(kid);
+    this.spatialIndex.insert(kid, 'kids');
+    this.game.events.emit(GameEvents.KID_SPAWNED, { kid });
+    return kid;
+  }
+  
+  // Random archetype from the ones unlocked by this minute of the run
+  pickArchetype(minutes) {
+    return this.game.rng.pickWeighted(this.game.balance.getSpawnArchetypes(minutes)).id;
+  }
+  
+  // Some archetypes arrive in groups - everyone after the first follows the first
+  // maxSize: room left under the kid limit - groups that don't fit come in smaller
+  spawnKidGroup(spawnPoint, aggressionLevel, archetypeId, maxSize = Infinity) {
+    const groupSize = Math.max(1, Math.min(this.game.balance.getArchetype(archetypeId).groupSize ?? 1, maxSize));
+    const group = [];
+    for (let i = 0; i < groupSize; i++) {
+      group.push(this.spawnKid(spawnPoint, aggressionLevel, archetypeId));
+    }
+    for (const kid of group.slice(1)) {
+      kid.partner = group[0];
+      kid.traits.follower = true;
+    }
+    group[0].partner = group[1] ?? null;
+    return group;
+  }
+  
+  addStickyPuddle(x, y) {
+    const config = this.game.balance.getArchetype('snackSmuggler').puddle;
+    
+    // Oldest puddle dries up first when there are too many
+    if (this.stickyPuddles.length >= config.maxActive) {
+      this.stickyPuddles.shift();
+    }
+    this.stickyPuddles.push(new StickyPuddle(x - config.width / 2, y - config.height / 2, config.width, config.height, config.seconds));
+  }
+  
+  launchPaperAirplane(thrower, shelf) {
+    const config = this.game.balance.getArchetype('gamer').airplane;
+    this.paperAirplanes.push(new PaperAirplane(thrower.getCenterX(), thrower.y, shelf, config.speed));
+  }
+  
+  // Knock books off a shelf onto the floor around it. Returns how many came off.
+  knockVolumeBlocksOff(shelf, count) {
+    for (let i = 0; i < count; i++) {
+      const volumeBlock = shelf.removeRandomVolumeBlock();
+      if (!volumeBlock) return i;
+      
+      const angle = this.game.rng.angle();
+      const distance = this.game.rng.range(0.5, 1) * 100;
+      let x = shelf.getCenterX() + Math.cos(angle) * distance;
+      let y = shelf.getCenterY() + Math.sin(angle) * distance;
+      
+      // Land somewhere open, on the shelf's side of any wall
+      const cell = this.navGrid ? this.navGrid.findOpenCell(x, y) : -1;
+      if (cell !== -1) {
+        ({ x, y } = this.navGrid.getCellCenter(cell));
+      }
+      if (this.getRoomAt(x, y) !== this.getRoomAt(shelf.getCenterX(), shelf.getCenterY())) {
+        x = shelf.getCenterX();
+        y = shelf.y + shelf.height + volumeBlock.height;
+      }
+      
+      volumeBlock.x = x - volumeBlock.width / 2;
+      volumeBlock.y = y - volumeBlock.height / 2;
+      volumeBlock.vx = (this.game.rng.next() - 0.5) * 60;
+      volumeBlock.vy = (this.game.rng.next() - 0.5) * 60;
+      volumeBlock.visible = true;
+    }
+    return count;
+  }
+  
+  removeKid(kid) {
+    kid.dropVolumeBlock();
+    this.kids = this.kids.filter(other => other !== kid);
+    this.spatialIndex.remove(kid);
+    for (const other of this.kids) {
+      if (other.partner === kid) other.partner = null;
+    }
+    for (const boomerang of this.boomerangs) {
+      if (boomerang.target === kid) boomerang.target = null;
+    }
+  }
+  
+  // Bring in each boss once its minute comes around
+  updateBossSpawning() {
+    const minutes = this.game.gameData.elapsedTime / 60;
+    for (const [id, config] of Object.entries(this.game.balance.bosses)) {
+      if (minutes >= config.fromMinute && !this.bossesSpawned.includes(id)) {
+        this.spawnBoss(id);
+      }
+    }
+  }
+  
+  spawnBoss(id) {
+    const BossType = getBossType(id);
+    const config = this.game.balance.getBoss(id);
+    const spawnPoint = this.game.rng.pick(this.spawnPoints);
+    const boss = new BossType(this.game, spawnPoint.x, spawnPoint.y, config);
+    
+    // Spawn points sit by the doors - step inside onto open floor
+    const cell = this.navGrid.findOpenCell(boss.getCenterX(), boss.getCenterY());
+    if (cell !== -1) {
+      const center = this.navGrid.getCellCenter(cell);
+      boss.x = center.x - boss.width / 2;
+      boss.y = center.y - boss.height / 2;
+    }
+    this.bosses.push(boss);
+    this.bossesSpawned.push(id);
+    
+    // Their class comes along
+    const aggressionLevel = this.game.balance.getSpawnAggression(this.game.gameData.elapsedTime / 60);
+    for (let i = 0; i < (config.escortCount ?? 0); i++) {
+      this.spawnKid(spawnPoint, aggressionLevel, 'fieldTripKid').leader = boss;
+    }
+    
+    this.game.events.emit(GameEvents.BOSS_SPAWNED, { boss });
+    return boss;
+  }
+  
+  // Kids a boss calls in arrive at their feet, a few at a time through updateKidSpawning
+  queueSummonedKids(boss, count) {
+    let x = boss.getCenterX();
+    let y = boss.getCenterY();
+    const cell = this.navGrid.findOpenCell(x, y);
+    if (cell !== -1) {
+      ({ x, y } = this.navGrid.getCellCenter(cell));
+    }
+    for (let i = 0; i < count; i++) {
+      this.summonQueue.push({ x: x - KID_SIZE.width / 2, y: y - KID_SIZE.height / 2 });
+    }
+  }
+  
+  updateBosses(deltaTime) {
+    for (const boss of this.bosses) {
+      boss.update(deltaTime);
+    }
+    this.bosses = this.bosses.filter(boss => !boss.defeated);
+    
+    // Rewards are collected by walking over them
+    for (const drop of this.rewardDrops) {
+      drop.update(deltaTime);
+      if (this.player && this.player.distanceTo(drop) < this.player.stats.pickupRadius * 32 + drop.width / 2) {
+        drop.active = false;
+        this.game.events.emit(GameEvents.REWARD_COLLECTED, { reward: drop.reward, player: this.player });
+      }
+    }
+    this.rewardDrops = this.rewardDrops.filter(drop => drop.active);
+  }
+  
+  updateHazards(deltaTime) {
+    for (const puddle of this.stickyPuddles) {
+      puddle.update(deltaTime);
+    }
+    this.stickyPuddles = this.stickyPuddles.filter(puddle => puddle.active);
+    
+    // Stepping in one leaves the librarian's shoes sticky for a moment
+    const puddleConfig = this.game.balance.getArchetype('snackSmuggler').puddle;
+    if (this.player && this.stickyPuddles.some(puddle => puddle.overlaps(this.player))) {
+      this.player.effects.apply('sticky', puddleConfig.stickySeconds, puddleConfig.slowMultiplier, 'puddle');
+    }
+    
+    const booksKnocked = this.game.balance.getArchetype('gamer').airplane.booksKnocked;
+    for (const airplane of this.paperAirplanes) {
+      airplane.update(deltaTime);
+      if (airplane.hasHit) {
+        this.knockVolumeBlocksOff(airplane.targetShelf, booksKnocked);
+      }
+    }
+    this.paperAirplanes = this.paperAirplanes.filter(airplane => airplane.active);
+  }
+  
+  launchBookmarkBoomerang(player, kid, stats) {
+    this.boomerangs.push(new BookmarkBoomerang(player.getCenterX(), player.getCenterY(), kid,
+      stats.speed * 32, stats.returnSpeed * 32, stats.silenceSeconds)); // Meters to pixels
+  }
+  
+  updateBoomerangs(deltaTime) {
+    for (const boomerang of this.boomerangs) {
+      // The thief got away or dropped the book - go after the nearest other one, or head back
+      const target = boomerang.target;
+      if (!boomerang.returning && (!target || !target.carriedVolumeBlock)) {
+        boomerang.target = this.spatialIndex.findNearest('kids', boomerang.getCenterX(), boomerang.getCenterY(),
+          kid => kid.carriedVolumeBlock && !this.boomerangs.some(other => other.target === kid));
+        boomerang.returning = !boomerang.target;
+      }
+      
+      boomerang.update(deltaTime, this.player);
+      if (boomerang.hasHit) {
+        const kid = boomerang.target;
+        kid.dropVolumeBlock();
+        kid.effects.apply('silence', boomerang.silenceSeconds, 1, 'bookmarkBoomerang');
+        boomerang.target = null;
+        this.game.events.emit(GameEvents.WEAPON_HIT, { weaponId: 'bookmarkBoomerang', kid });
+      }
+    }
+    this.boomerangs = this.boomerangs.filter(boomerang => boomerang.active);
+  }
+  
+  startDeweyBeam(player, stats) {
+    this.deweyBeams.push(new DeweyBeam(player.getCenterX(), player.getCenterY(), player.getFacingAngle(),
+      stats.length * 32, stats.degreesPerSecond * Math.PI / 180, stats.booksPerSweep, stats.flightSeconds)); // Meters to pixels
+  }
+  
+  updateDeweyBeams(deltaTime) {
+    for (const beam of this.deweyBeams) {
+      beam.update(deltaTime, this.player);
+      if (beam.booksLeft === 0) continue;
+      
+      for (const volumeBlock of this.spatialIndex.queryRadius('volumeBlocks', beam.x, beam.y, beam.length)) {
+        if (volumeBlock.isHeld || volumeBlock.isShelved || !beam.sweptOver(volumeBlock.getCenterX(), volumeBlock.getCenterY())) continue;
+        
+        const shelf = this.findShelfWithRoomFor(volumeBlock);
+        if (!shelf) continue;
+        const flight = new ShelvingFlight(volumeBlock, shelf, beam.flightSeconds);
+        volumeBlock.pickup(flight);
+        this.shelvingFlights.push(flight);
+        if (--beam.booksLeft === 0) break;
+      }
+    }
+    this.deweyBeams = this.deweyBeams.filter(beam => beam.active);
+    
+    for (const flight of this.shelvingFlights) {
+      flight.update(deltaTime);
+      if (!flight.hasLanded) continue;
+      
+      // Someone beat it to the last slot - it lands on the floor by the shelf instead
+      const volumeBlock = flight.volumeBlock;
+      if (flight.shelf.addVolumeBlock(volumeBlock)) {
+        this.game.events.emit(GameEvents.VOLUME_BLOCK_SHELVED, { volumeBlock, shelf: flight.shelf, player: this.player, weaponId: 'deweyBeam' });
+      } else {
+        volumeBlock.rotation = 0;
+        volumeBlock.drop(volumeBlock.x, flight.shelf.y + flight.shelf.height + volumeBlock.height);
+      }
+    }
+    this.shelvingFlights = this.shelvingFlights.filter(flight => flight.active);
+  }
+  
+  // Nearest shelf in the same room that takes this book's color and still has a slot
+  // no other flying book is headed for
+  findShelfWithRoomFor(volumeBlock) {
+    return this.spatialIndex.findNearest('shelves', volumeBlock.getCenterX(), volumeBlock.getCenterY(), shelf =>
+      shelf.color === volumeBlock.color && this.isSameRoom(volumeBlock, shelf) &&
+      shelf.getEmptySlotCount() > this.shelvingFlights.filter(flight => flight.shelf === shelf).length);
+  }
+  
+  updateWeaponEffects(deltaTime) {
+    for (const effect of this.weaponEffects) {
+      effect.update(deltaTime);
+    }
+    this.weaponEffects = this.weaponEffects.filter(effect => effect.active);
+  }
+  
+  addWeaponEffect(effect) {
+    this.weaponEffects.push(effect);
+  }
+  
+  subscribeToEvents() {
+    const events = this.game.events;
+    
+    // Drop anything left over from a previous run that never exited cleanly
+    events.offGroup(RUN_EVENTS);
+    
+    const on = (type, handler) => events.on(type, handler, RUN_EVENTS);
+    
+    // Gameplay rewards: tidying reduces chaos and earns XP (tuned in balance.json)
+    const { chaos, xp } = this.game.balance;
+    on(GameEvents.VOLUME_BLOCK_PICKED_UP, () => {
+      this.reduceChaos(chaos.reduction.pickup);
+      this.awardXP(xp.rewards.pickup);
+    });
+    on(GameEvents.VOLUME_BLOCK_SNATCHED, () => {
+      this.reduceChaos(chaos.reduction.snatch); // Reward for catching kids
+      this.awardXP(xp.rewards.snatch);
+    });
+    on(GameEvents.VOLUME_BLOCK_SHELVED, ({ weaponId }) => {
+      this.reduceChaos(chaos.reduction.shelve); // Bigger reward for completing the task
+      this.awardXP(weaponId === 'deweyBeam' ? xp.rewards.beamShelve : xp.rewards.shelve);
+    });
+    on(GameEvents.VOLUME_BLOCK_SHELVED, ({ shelf }) => {
+      // Tidying right under a boss's nose tries their patience
+      for (const boss of this.bosses) {
+        if (boss.distanceTo(shelf) < boss.config.lecture.radius * 32) {
+          boss.losePatience(boss.config.patiencePerShelve);
+        }
+      }
+    });
+    on(GameEvents.BOSS_DEFEATED, ({ boss }) => {
+      // The class goes home with them, and they leave a prize behind
+      for (const kid of this.kids.filter(kid => kid.leader === boss)) {
+        this.removeKid(kid);
+      }
+      if (boss.config.reward) {
+        this.rewardDrops.push(new RewardDrop(boss.getCenterX(), boss.getCenterY(), boss.config.reward));
+      }
+      if (boss.config.endsRun) {
+        this.finalBossDefeated = true;
+      }
+    });
+    on(GameEvents.REWARD_COLLECTED, ({ reward, player }) => {
+      this.reduceChaos(reward.chaos);
+      this.addXP(reward.xp);
+      player.stats.stamina = player.stats.maxStamina;
+    });
+    on(GameEvents.PLAYER_LEVEL_UP, () => {
+      // Refill stamina as a level up bonus
+      if (this.player) {
+        this.player.stats.stamina = this.player.stats.maxStamina;
+      }
+      
+      // Show upgrade selection
+      this.game.stateManager.pushState('upgradeSelection');
+    });
+    
+    // Audio
+    on(GameEvents.VOLUME_BLOCK_PICKED_UP, () => this.playPickupSound());
+    on(GameEvents.VOLUME_BLOCK_SNATCHED, () => this.playPickupSound());
+    on(GameEvents.VOLUME_BLOCK_SHELVED, () => this.playShelfSound());
+    on(GameEvents.KID_REPELLED, ({ kid }) => kid.playLaughingSound());
+    on(GameEvents.VOLUME_BLOCK_THROWN, ({ kid }) => kid.playLaugh());
+    
+    // Particles: floating XP text
+    on(GameEvents.PLAYER_XP_GAINED, ({ amount, player }) => {
+      if (!player) return;
+      this.particles.push({
+        type: 'xp',
+        x: player.getCenterX(),
+        y: player.y - 10,
+        text: `+${amount} XP`,
+        vy: -50,
+        lifetime: 1.5,
+        age: 0
+      });
+    });
+    
+    // Achievement toast
+    on(GameEvents.ACHIEVEMENT_UNLOCKED, ({ achievement }) => {
+      this.achievementNotification = { achievement, timer: 0, duration: 4 };
+    });
+    
+    // Boss banners
+    on(GameEvents.BOSS_SPAWNED, ({ boss }) => {
+      this.bossNotification = { text: `${boss.name} has arrived!`, timer: 0, duration: 4 };
+    });
+    on(GameEvents.BOSS_ATTACK, ({ boss, interrupted }) => {
+      if (interrupted) {
+        this.bossNotification = { text: `Shushed the ${boss.name}!`, timer: 0, duration: 2 };
+      }
+    });
+    on(GameEvents.BOSS_PHASE, ({ boss, phase }) => {
+      this.bossNotification = { text: `${boss.name}: ${phase.name}!`, timer: 0, duration: 3 };
+    });
+    on(GameEvents.BOSS_DEFEATED, ({ boss }) => {
+      const text = boss.config.reward
+        ? `${boss.name} ran out of patience! Grab the ${boss.config.reward.name}`
+        : `${boss.name} ran out of patience!`;
+      this.bossNotification = { text, timer: 0, duration: 4 };
+    });
+    
+    // Boss themes take over the music while they're around
+    on(GameEvents.BOSS_SPAWNED, () => this.updateMusic());
+    on(GameEvents.BOSS_DEFEATED, () => this.updateMusic());
+  }
+  
+  reduceChaos(amount) {
+    const gameData = this.game.gameData;
+    gameData.chaosLevel = Math.max(0, gameData.chaosLevel - amount);
   }
   
   update(deltaTime) {
@@ -229,6 +1006,7 @@ export class PlayingState extends State {
       if (this.bgMusic) {
         this.bgMusic.pause();
       }
+      this.saveRun();
       this.game.stateManager.pushState('paused');
       return;
     }
@@ -239,7 +1017,18 @@ export class PlayingState extends State {
     // Update game timer
     gameData.elapsedTime += deltaTime;
     
-    // Check win condition
+    // Periodic autosave
+    this.autosaveTimer += deltaTime;
+    if (this.autosaveTimer >= AUTOSAVE_INTERVAL) {
+      this.autosaveTimer = 0;
+      this.saveRun();
+    }
+    
+    // Check win conditions
+    if (this.finalBossDefeated) {
+      this.game.stateManager.changeState('gameover', { won: true, reason: 'boss' });
+      return;
+    }
     if (gameData.elapsedTime >= gameData.targetTime) {
       this.game.stateManager.changeState('gameover', { won: true });
       return;
@@ -253,11 +1042,19 @@ export class PlayingState extends State {
       this.game.stateManager.changeState('gameover', { won: false, reason: 'chaos' });
       return;
     }
+    if (this.player && this.player.stats.health <= 0) {
+      this.game.stateManager.changeState('gameover', { won: false, reason: 'hp' });
+      return;
+    }
+    
+    const profiler = this.game.profiler;
     
     // Update player
+    profiler.begin('update.player');
     if (this.player) {
       this.player.update(deltaTime);
     }
+    profiler.end('update.player');
     
     // Update shelves
     for (const shelf of this.shelves) {
@@ -265,36 +1062,70 @@ export class PlayingState extends State {
     }
     
     // Update volume blocks
+    profiler.begin('update.blocks');
     for (const volumeBlock of this.volumeBlocks) {
       volumeBlock.update(deltaTime);
     }
+    profiler.end('update.blocks');
     
-    // Update kids
-    const kidsBeforeUpdate = this.kids.length;
+    // Update kids - Air Conditioning keeps every one of them a little sluggish for good
+    profiler.begin('update.kids');
+    const kidSlow = this.player ? this.player.stats.kidSlow : 0;
     for (const kid of this.kids) {
+      if (kidSlow > 0) {
+        kid.effects.setStanding('slow', 1 - kidSlow, 'airConditioning');
+      }
       kid.update(deltaTime);
     }
+    profiler.end('update.kids');
     
-    // Check if any kids disappeared during update
-    if (this.kids.length !== kidsBeforeUpdate) {
-      console.log(`[KID SPAWNING] WARNING: Kids count changed during update! Before: ${kidsBeforeUpdate}, After: ${this.kids.length}`);
-    }
+    // Puddles drying up, paper airplanes in flight
+    this.updateHazards(deltaTime);
+    this.updateBoomerangs(deltaTime);
+    this.updateDeweyBeams(deltaTime);
+    this.updateWeaponEffects(deltaTime);
+    
+    profiler.measure('update.bosses', () => this.updateBosses(deltaTime));
+    
+    // Keep proximity queries in sync with everything that moved
+    profiler.measure('update.spatialIndex', () => this.refreshSpatialIndex());
     
     // Update kid spawning
     this.updateKidSpawning(deltaTime);
+    this.updateBossSpawning();
     
     // Check volume block pickup
-    this.checkVolumeBlockPickup();
+    profiler.measure('update.pickup', () => this.checkVolumeBlockPickup());
     
     // Check volume block snatching from kids
-    this.checkVolumeBlockSnatching();
+    profiler.measure('update.snatch', () => this.checkVolumeBlockSnatching());
+    
+    // Kids in the way of a rolling book cart, then kids running into the librarian
+    profiler.measure('update.cart', () => this.checkCartBowling());
+    profiler.measure('update.bumps', () => this.checkKidBumps());
     
     // Check volume block shelving
-    this.checkVolumeBlockShelving();
+    profiler.measure('update.shelving', () => this.checkVolumeBlockShelving());
     
     // Update particles
     this.updateParticles(deltaTime);
     
+    // Update boss banner
+    if (this.bossNotification) {
+      this.bossNotification.timer += deltaTime;
+      if (this.bossNotification.timer >= this.bossNotification.duration) {
+        this.bossNotification = null;
+      }
+    }
+    
+    // Update achievement toast
+    if (this.achievementNotification) {
+      this.achievementNotification.timer += deltaTime;
+      if (this.achievementNotification.timer >= this.achievementNotification.duration) {
+        this.achievementNotification = null;
+      }
+    }
+    
     // Validate volume block states (debug)
     if (Math.random() < 0.01) { // Check 1% of frames to avoid spam
       this.validateVolumeBlockStates();
@@ -318,15 +1149,8 @@ export class PlayingState extends State {
       // Calculate game time in minutes
       const minutes = gameData.elapsedTime / 60;
       
-      // Determine chaos rate per volume block based on time
-      let chaosPerVolumeBlock;
-      if (minutes < 3) {
-        chaosPerVolumeBlock = 0.05; // 0-3 minutes: 0.05% per volume block per second
-      } else if (minutes < 5) {
-        chaosPerVolumeBlock = 0.03; // 3-5 minutes: 0.03% per volume block per second
-      } else {
-        chaosPerVolumeBlock = 0.01; // 5+ minutes: 0.01% per volume block per second
-      }
+      // Chaos rate per volume block per second depends on time
+      const chaosPerVolumeBlock = this.game.balance.getChaosPerBlock(minutes);
       
       chaosRate = totalChaosVolumeBlocks * chaosPerVolumeBlock;
       
@@ -340,13 +1164,36 @@ export class PlayingState extends State {
     if (gameData.chaosLevel > 0) {
       if (totalChaosVolumeBlocks === 0) {
         // Slow decay when no volume blocks are out
-        gameData.chaosLevel -= 0.1 * deltaTime;
+        gameData.chaosLevel -= this.game.balance.chaos.idleDecayPerSecond * deltaTime;
       }
       // Removed passive decay when under 50% - player must actively manage chaos
     }
     
     // Clamp chaos level
     gameData.chaosLevel = Math.max(0, Math.min(gameData.maxChaos, gameData.chaosLevel));
+    gameData.peakChaos = Math.max(gameData.peakChaos, gameData.chaosLevel);
+    
+    this.checkChaosThresholds();
+  }
+  
+  checkChaosThresholds() {
+    const chaosLevel = this.game.gameData.chaosLevel;
+    
+    // Rising past the next threshold
+    while (this.chaosThresholdIndex < CHAOS_THRESHOLDS.length &&
+           chaosLevel >= CHAOS_THRESHOLDS[this.chaosThresholdIndex]) {
+      const threshold = CHAOS_THRESHOLDS[this.chaosThresholdIndex];
+      this.chaosThresholdIndex++;
+      this.game.events.emit(GameEvents.CHAOS_THRESHOLD, { threshold, chaosLevel, rising: true });
+    }
+    
+    // Falling back below the last threshold crossed
+    while (this.chaosThresholdIndex > 0 &&
+           chaosLevel < CHAOS_THRESHOLDS[this.chaosThresholdIndex - 1]) {
+      this.chaosThresholdIndex--;
+      const threshold = CHAOS_THRESHOLDS[this.chaosThresholdIndex];
+      this.game.events.emit(GameEvents.CHAOS_THRESHOLD, { threshold, chaosLevel, rising: false });
+    }
   }
   
   render(renderer, interpolation) {
@@ -368,6 +1215,27 @@ export class PlayingState extends State {
     const viewportHeight = this.game.camera.viewportHeight / this.game.camera.zoom;
     const padding = 100; // Render entities slightly outside viewport
     
+    // Room names painted on the floor
+    if (this.rooms.length > 0) {
+      renderer.addToLayer('floor', (ctx) => this.renderRooms(ctx));
+    }
+    
+    // Sticky puddles under everything else
+    for (const puddle of this.stickyPuddles) {
+      if (this.isInViewport(puddle, viewportX - padding, viewportY - padding, 
+                           viewportWidth + padding * 2, viewportHeight + padding * 2)) {
+        renderer.addToLayer('floor', puddle);
+      }
+    }
+    
+    // Render walls (only visible ones)
+    for (const wall of this.walls) {
+      if (this.isInViewport(wall, viewportX - padding, viewportY - padding, 
+                           viewportWidth + padding * 2, viewportHeight + padding * 2)) {
+        renderer.addToLayer('entities', wall);
+      }
+    }
+    
     // Render shelves (only visible ones)
     for (const shelf of this.shelves) {
       if (this.isInViewport(shelf, viewportX - padding, viewportY - padding, 
@@ -393,6 +1261,36 @@ export class PlayingState extends State {
       }
     }
     
+    // Boss prizes on the floor
+    for (const drop of this.rewardDrops) {
+      renderer.addToLayer('entities', drop);
+    }
+    
+    // Bosses
+    for (const boss of this.bosses) {
+      if (this.isInViewport(boss, viewportX - padding, viewportY - padding, 
+                           viewportWidth + padding * 2, viewportHeight + padding * 2)) {
+        renderer.addToLayer('entities', boss);
+      }
+    }
+    
+    // Paper airplanes fly over everything on the floor
+    for (const airplane of this.paperAirplanes) {
+      renderer.addToLayer('effects', airplane);
+    }
+    for (const boomerang of this.boomerangs) {
+      renderer.addToLayer('effects', boomerang);
+    }
+    for (const beam of this.deweyBeams) {
+      renderer.addToLayer('effects', beam);
+    }
+    for (const flight of this.shelvingFlights) {
+      renderer.addToLayer('effects', flight);
+    }
+    for (const effect of this.weaponEffects) {
+      renderer.addToLayer('effects', effect);
+    }
+    
     // TODO: Render particles
     
     // Render player
@@ -400,11 +1298,18 @@ export class PlayingState extends State {
       renderer.addToLayer('entities', this.player);
     }
     
+    // Debug overlay (world space)
+    if (this.game.debug.showOverlay || this.game.debug.showSpatialGrid || this.game.debug.showPaths) {
+      renderer.addToLayer('effects', (ctx) => this.game.debugOverlay.renderWorld(ctx, this));
+    }
+    
     // Render all layers
     renderer.render(interpolation);
     
     // Render UI
-    this.renderUI(ctx);
+    this.game.profiler.measure('render.hud', () => this.renderUI(ctx));
+    this.game.profiler.measure('render.minimap', () => this.minimap.render(ctx, this));
+    this.game.debugOverlay.renderHUD(ctx, this);
     
     // Chaos vignette effect
     if (gameData.chaosLevel > 80) {
@@ -475,6 +1380,14 @@ export class PlayingState extends State {
       ctx.restore();
     }
     
+    // Boss patience bars and banners
+    this.renderBossHUD(ctx, meterY + meterHeight);
+    
+    // Achievement unlocked toast
+    if (this.achievementNotification) {
+      this.renderAchievementNotification(ctx);
+    }
+    
     // Top Right - Timer and Kid Counter
     const timeRemaining = Math.max(0, gameData.targetTime - gameData.elapsedTime);
     const minutes = Math.floor(timeRemaining / 60);
@@ -497,11 +1410,32 @@ export class PlayingState extends State {
     ctx.fillStyle = '#fff';
     ctx.fillText(`Bonks: ${this.kids.length}/${this.maxKids}`, width - 65, 82);
     
+    // Run seed below kid counter
+    ctx.font = '12px monospace';
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+    ctx.textAlign = 'right';
+    ctx.fillText(`Seed: ${gameData.seed}${gameData.tampered ? ' (dev)' : ''}`, width - 12, 110);
+    
+    // Replay indicator
+    const replay = this.game.replayPlayer;
+    if (replay) {
+      const progress = Math.min(1, replay.tick / replay.tickCount);
+      ctx.fillStyle = 'rgba(40, 40, 40, 0.8)';
+      ctx.fillRect(width / 2 - 160, height - 60, 320, 40);
+      ctx.fillStyle = '#8B5CF6';
+      ctx.fillRect(width / 2 - 160, height - 24, 320 * progress, 4);
+      
+      ctx.font = 'bold 18px Arial';
+      ctx.fillStyle = '#fff';
+      ctx.textAlign = 'center';
+      ctx.fillText('REPLAY - Esc to exit', width / 2, height - 40);
+    }
+    
     // Left Side Panel - Player Stats
     const panelX = 10;
     const panelY = 10;
     const panelWidth = 250;
-    const panelHeight = 150; // Reduced since HP is removed
+    const panelHeight = 180;
     
     // Panel background
     ctx.fillStyle = 'rgba(40, 40, 40, 0.8)';
@@ -533,14 +1467,38 @@ export class PlayingState extends State {
     ctx.fillText(`${gameData.xp} / ${gameData.xpToNext} XP`, xpBarX + xpBarWidth / 2, xpBarY + xpBarHeight / 2 + 1);
     
     if (this.player) {
+      // HP bar
+      ctx.textAlign = 'left';
+      ctx.font = '16px Arial';
+      ctx.fillStyle = '#fff';
+      ctx.fillText('HP', panelX + 10, panelY + 80);
+      
+      const hpBarX = panelX + 75;
+      const hpBarY = panelY + 65;
+      const hpBarWidth = panelWidth - 85;
+      const hpBarHeight = 20;
+      
+      ctx.fillStyle = '#2a2a2a';
+      ctx.fillRect(hpBarX, hpBarY, hpBarWidth, hpBarHeight);
+      
+      const hpPercent = this.player.stats.health / this.player.stats.maxHealth;
+      ctx.fillStyle = hpPercent > 0.3 ? '#e53935' : '#ff1744';
+      ctx.fillRect(hpBarX, hpBarY, hpBarWidth * hpPercent, hpBarHeight);
+      
+      // HP text
+      ctx.font = '12px Arial';
+      ctx.textAlign = 'center';
+      ctx.fillStyle = '#fff';
+      ctx.fillText(`${Math.ceil(this.player.stats.health)} / ${this.player.stats.maxHealth}`, hpBarX + hpBarWidth / 2, hpBarY + hpBarHeight / 2 + 1);
+      
       // Stamina bar
       ctx.textAlign = 'left';
       ctx.font = '16px Arial';
       ctx.fillStyle = '#fff';
-      ctx.fillText('Stamina', panelX + 10, panelY + 80);
+      ctx.fillText('Stamina', panelX + 10, panelY + 110);
       
       const staminaBarX = panelX + 75;
-      const staminaBarY = panelY + 65;
+      const staminaBarY = panelY + 95;
       const staminaBarWidth = panelWidth - 85;
       const staminaBarHeight = 20;
       
@@ -560,15 +1518,106 @@ export class PlayingState extends State {
       ctx.font = '16px Arial';
       ctx.textAlign = 'left';
       ctx.fillStyle = '#fff';
-      ctx.fillText(`Sol: ${this.player.carriedVolumeBlocks.length} / ${this.player.stats.carrySlots}`, panelX + 10, panelY + 105);
+      let carrying = `Sol: ${this.player.carriedVolumeBlocks.length} / ${this.player.stats.carrySlots}`;
+      if (this.player.upgradeLevels.rollingBookCart > 0) {
+        carrying += `   Cart: ${this.player.cartVolumeBlocks.length} / ${this.game.balance.player.bookCart.capacity}`;
+      }
+      ctx.fillText(carrying, panelX + 10, panelY + 135);
       
       // Speed indicator (if sprinting)
       if (this.player.isSprinting && this.player.stats.stamina > 0) {
         ctx.fillStyle = '#ffeb3b';
-        ctx.fillText('SPRINTING', panelX + 10, panelY + 130);
+        ctx.fillText('SPRINTING', panelX + 10, panelY + 160);
+      }
+    }
+    
+    ctx.restore();
+  }
+  
+  renderBossHUD(ctx, top) {
+    const { width } = this.game;
+    const barWidth = 300;
+    const barHeight = 12;
+    
+    ctx.save();
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    
+    // One patience bar per boss, under the chaos meter and its notification line.
+    // The final boss gets a long one with its phase and marks where more kids get called in.
+    let y = top + 40;
+    for (const boss of this.bosses) {
+      const final = boss.config.endsRun;
+      const bossBarWidth = final ? Math.min(width - 300, 640) : barWidth;
+      const barX = width / 2 - bossBarWidth / 2;
+      const label = final ? `${boss.name} - ${boss.getPhase().name}` : `${boss.name} - Patience`;
+      ctx.font = final ? 'bold 16px Arial' : 'bold 13px Arial';
+      ctx.fillStyle = '#fff';
+      ctx.strokeStyle = '#000';
+      ctx.lineWidth = 3;
+      ctx.strokeText(label, width / 2, y);
+      ctx.fillText(label, width / 2, y);
+      
+      const bossBarHeight = final ? barHeight + 6 : barHeight;
+      ctx.fillStyle = 'rgba(40, 40, 40, 0.8)';
+      ctx.fillRect(barX - 2, y + 8, bossBarWidth + 4, bossBarHeight + 4);
+      ctx.fillStyle = boss.color;
+      ctx.fillRect(barX, y + 10, bossBarWidth * (boss.patience / boss.maxPatience), bossBarHeight);
+      
+      if (final && boss.config.summon) {
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        for (let percent = boss.config.summon.percentStep; percent < 100; percent += boss.config.summon.percentStep) {
+          ctx.fillRect(barX + bossBarWidth * percent / 100 - 1, y + 10, 2, bossBarHeight);
+        }
       }
+      y += final ? 46 : 40;
     }
     
+    // Arrival / defeat banner
+    if (this.bossNotification) {
+      const { text, timer, duration } = this.bossNotification;
+      ctx.globalAlpha = Math.min(1, (duration - timer) * 2);
+      ctx.font = 'bold 24px Arial';
+      ctx.fillStyle = '#ff7043';
+      ctx.strokeStyle = '#000';
+      ctx.lineWidth = 4;
+      ctx.strokeText(text, width / 2, y + 10);
+      ctx.fillText(text, width / 2, y + 10);
+    }
+    
+    ctx.restore();
+  }
+  
+  renderAchievementNotification(ctx) {
+    const { width, height } = this.game;
+    const { achievement, timer, duration } = this.achievementNotification;
+    
+    // Fade out over the last half second
+    const alpha = Math.min(1, (duration - timer) * 2);
+    const boxWidth = 360;
+    const boxHeight = 64;
+    const boxX = (width - boxWidth) / 2;
+    const boxY = height - boxHeight - 60;
+    
+    ctx.save();
+    ctx.globalAlpha = alpha;
+    ctx.fillStyle = 'rgba(40, 40, 40, 0.9)';
+    ctx.fillRect(boxX, boxY, boxWidth, boxHeight);
+    ctx.strokeStyle = '#ffeb3b';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(boxX, boxY, boxWidth, boxHeight);
+    
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ctx.font = '32px Arial';
+    ctx.fillText(achievement.icon, boxX + 14, boxY + boxHeight / 2);
+    
+    ctx.font = 'bold 16px Arial';
+    ctx.fillStyle = '#ffeb3b';
+    ctx.fillText(`Achievement: ${achievement.name}`, boxX + 62, boxY + 22);
+    ctx.font = '14px Arial';
+    ctx.fillStyle = '#fff';
+    ctx.fillText(achievement.description, boxX + 62, boxY + 44);
     ctx.restore();
   }
   
@@ -588,7 +1637,8 @@ export class PlayingState extends State {
   }
   
   renderFloor(ctx) {
-    const woodFloorImage = this.game.assetLoader.getImage('woodFloor');
+    const floor = this.level.floor || {};
+    const woodFloorImage = floor.texture ? this.game.assetLoader.getImage(floor.texture) : null;
     
     if (!woodFloorImage || !woodFloorImage.complete) {
       // Fallback to solid color if image hasn't loaded
@@ -598,7 +1648,7 @@ export class PlayingState extends State {
       const viewportHeight = this.game.camera.viewportHeight / this.game.camera.zoom;
       
       this.game.renderer.addToLayer('background', (ctx) => {
-        ctx.fillStyle = '#d4a574';
+        ctx.fillStyle = floor.color || '#d4a574';
         ctx.fillRect(viewportX, viewportY, viewportWidth, viewportHeight);
       });
       return;
@@ -607,7 +1657,7 @@ export class PlayingState extends State {
     // Create pattern once and cache it
     if (!this.floorPattern) {
       // Create a scaled pattern canvas
-      const scale = 0.5;
+      const scale = floor.scale ?? 0.5;
       this.patternCanvas = document.createElement('canvas');
       this.patternCanvas.width = woodFloorImage.width * scale;
       this.patternCanvas.height = woodFloorImage.height * scale;
@@ -633,20 +1683,7 @@ export class PlayingState extends State {
     const minutes = this.game.gameData.elapsedTime / 60;
     
     // Determine max kids based on wave progression
-    let newMaxKids;
-    if (minutes < 1) {
-      newMaxKids = 3; // First minute: max 3
-    } else if (minutes < 3) {
-      newMaxKids = 5; // 1-3 minutes: max 5
-    } else if (minutes < 5) {
-      newMaxKids = 7; // 3-5 minutes: max 7
-    } else if (minutes < 10) {
-      newMaxKids = 10; // 5-10 minutes: max 10
-    } else {
-      // After 10 minutes: increase by 2 every minute
-      const additionalMinutes = Math.floor(minutes - 10);
-      newMaxKids = 10 + (additionalMinutes * 2);
-    }
+    const newMaxKids = this.game.balance.getMaxKids(minutes);
     
     // Check if max kids increased
     if (newMaxKids > this.maxKids) {
@@ -672,6 +1709,19 @@ export class PlayingState extends State {
       }
     }
     
+    // Kids called in by bosses come first, and may ignore the limit
+    const summons = this.game.balance.spawning.summons;
+    if (this.summonQueue.length > 0) {
+      this.summonTimer -= deltaTime;
+      if (this.summonTimer <= 0 && (summons.ignoreMaxKids || this.kids.length < this.maxKids)) {
+        const aggressionLevel = this.game.balance.getSpawnAggression(minutes);
+        const archetypeId = this.pickArchetype(minutes);
+        this.spawnKid(this.summonQueue.shift(), aggressionLevel, archetypeId);
+        this.summonTimer = summons.interval;
+      }
+      return;
+    }
+    
     // Don't spawn more kids if we're at the limit
     if (this.kids.length >= this.maxKids) {
       return;
@@ -682,93 +1732,20 @@ export class PlayingState extends State {
     
     if (this.kidSpawnTimer <= 0) {
       // Determine aggression level based on time
-      let aggressionLevel = 1; // Easy by default
-      let spawnInterval = 15; // Always 15 seconds
-      
-      if (minutes >= 15) {
-        // After 15 minutes: more aggressive kids
-        aggressionLevel = 3;
-      } else if (minutes >= 10) {
-        // 10-15 minutes: aggressive kids
-        aggressionLevel = 3;
-      } else if (minutes >= 5) {
-        // 5-10 minutes: normal kids
-        aggressionLevel = 2;
-      }
+      const aggressionLevel = this.game.balance.getSpawnAggression(minutes);
+      const spawnInterval = this.game.balance.spawning.spawnInterval;
       
-      // Spawn a new kid
-      const spawnPoint = this.spawnPoints[Math.floor(Math.random() * this.spawnPoints.length)];
-      const kid = new Kid(this.game, spawnPoint.x, spawnPoint.y, aggressionLevel);
-      this.kids.push(kid);
+      // Spawn a new kid (or group) of whatever archetypes are out by now
+      const spawnPoint = this.game.rng.pick(this.spawnPoints);
+      const archetypeId = this.pickArchetype(minutes);
+      this.spawnKidGroup(spawnPoint, aggressionLevel, archetypeId, this.maxKids - this.kids.length);
       
       // Reset timer for next spawn
       this.kidSpawnTimer = spawnInterval;
       this.kidSpawnInterval = spawnInterval;
-      
-      console.log(`[KID SPAWNING] Spawned kid #${this.kids.length}/${this.maxKids} (aggression: ${aggressionLevel}) - Next spawn in ${spawnInterval}s`);
     }
   }
   
-  generateVolumeVaultLayout() {
-    // Define shelf colors
-    const colors = ['red', 'blue', 'green', 'yellow', 'purple', 'orange'];
-    
-    // Create a grid of shelves - adapted for 1920x1080
-    const shelfSpacingX = 180; // Increased spacing for larger canvas
-    const shelfSpacingY = 180; // Increased spacing for larger canvas
-    const startX = 200; // Start further from left edge for better balance
-    const startY = 200; // Start further from top edge for better balance
-    const rows = 5; // More rows for larger canvas
-    const cols = 10; // More columns for larger canvas
-    
-    // Create color distribution array to ensure equal distribution
-    // 50 shelves / 6 colors = 8.33, so we need 8 of each color + 2 extra
-    const colorDistribution = [];
-    for (let i = 0; i < 8; i++) {
-      colorDistribution.push(...colors);
-    }
-    // Add 2 more to reach 50 total (we'll use red and blue for balance)
-    colorDistribution.push('red', 'blue');
-    
-    // Shuffle the color distribution for variety
-    for (let i = colorDistribution.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [colorDistribution[i], colorDistribution[j]] = [colorDistribution[j], colorDistribution[i]];
-    }
-    
-    let shelfIndex = 0;
-    for (let row = 0; row < rows; row++) {
-      for (let col = 0; col < cols; col++) {
-        const x = startX + col * shelfSpacingX;
-        const y = startY + row * shelfSpacingY;
-        
-        // Pick a color from our balanced distribution
-        const color = colorDistribution[shelfIndex];
-        
-        // Create shelf
-        const shelf = new Shelf(this.game, x, y, color);
-        this.shelves.push(shelf);
-        
-        // Fill shelf to capacity (6 volume blocks)
-        for (let i = 0; i < shelf.capacity; i++) {
-          const volumeBlock = new VolumeBlock(this.game, 0, 0, color);
-          shelf.addVolumeBlock(volumeBlock);
-          this.volumeBlocks.push(volumeBlock);
-        }
-        
-        shelfIndex++;
-      }
-    }
-    
-    // Log color distribution for debugging
-    const colorCounts = {};
-    this.shelves.forEach(shelf => {
-      colorCounts[shelf.color] = (colorCounts[shelf.color] || 0) + 1;
-    });
-    console.log('[LIBRARY LAYOUT] Shelf color distribution:', colorCounts);
-    console.log('[LIBRARY LAYOUT] Total volume blocks per color:', Object.entries(colorCounts).map(([color, count]) => `${color}: ${count * 6}`));
-  }
-  
   isPlayerNearShelf(shelf, distance) {
     if (!this.player) return false;
     
@@ -799,11 +1776,16 @@ export class PlayingState extends State {
   checkVolumeBlockPickup() {
     if (!this.player) return;
     
-    const pickupRadiusPixels = this.player.stats.pickupRadius * 32;
+    // A rolling book cart sweeps up everything in a wide swath
+    let pickupRadiusPixels = this.player.stats.pickupRadius * 32;
+    if (this.player.isPushingCart()) {
+      pickupRadiusPixels = Math.max(pickupRadiusPixels, this.game.balance.player.bookCart.swathRadius * 32);
+    }
     const playerCenterX = this.player.getCenterX();
     const playerCenterY = this.player.getCenterY();
+    const nearbyVolumeBlocks = this.spatialIndex.queryRadius('volumeBlocks', playerCenterX, playerCenterY, pickupRadiusPixels);
     
-    for (const volumeBlock of this.volumeBlocks) {
+    for (const volumeBlock of nearbyVolumeBlocks) {
       // Skip if volume block is already held or shelved
       if (volumeBlock.isHeld || volumeBlock.isShelved) continue;
       
@@ -817,47 +1799,27 @@ export class PlayingState extends State {
         // Try to pick up the volume block
         if (this.player.pickupVolumeBlock(volumeBlock)) {
           volumeBlock.pickup(this.player);
-          
-          // Track volume block collection
-          this.game.gameData.volumeBlocksCollected++;
-          
-          // Reduce chaos when picking up (balanced with new rates)
-          this.game.gameData.chaosLevel -= 0.5; // Much smaller reduction
-          this.game.gameData.chaosLevel = Math.max(0, this.game.gameData.chaosLevel);
-          
-          // Award XP
-          this.awardXP(5);
-          
-          // Play pickup sound
-          this.playPickupSound();
+          this.game.events.emit(GameEvents.VOLUME_BLOCK_PICKED_UP, { volumeBlock, player: this.player });
         }
       }
     }
   }
   
   checkVolumeBlockShelving() {
-    if (!this.player || this.player.carriedVolumeBlocks.length === 0) return;
+    if (!this.player || (this.player.carriedVolumeBlocks.length === 0 && this.player.cartVolumeBlocks.length === 0)) return;
     
     const returnDistance = this.player.stats.returnRadius * 32;
+    const nearbyShelves = this.spatialIndex.queryRect('shelves',
+      this.player.x - returnDistance, this.player.y - returnDistance,
+      this.player.width + returnDistance * 2, this.player.height + returnDistance * 2);
     
-    for (const shelf of this.shelves) {
+    for (const shelf of nearbyShelves) {
       // Check if player is near any edge of the shelf
       if (this.isPlayerNearShelf(shelf, returnDistance) && shelf.hasEmptySlots()) {
         // Try to shelve matching volume blocks
         const volumeBlock = this.player.shelveVolumeBlock(shelf);
         if (volumeBlock && shelf.addVolumeBlock(volumeBlock)) {
-          // Track volume block shelving
-          this.game.gameData.volumeBlocksShelved++;
-          
-          // Reduce chaos when shelving (bigger reward for completing the task)
-          this.game.gameData.chaosLevel -= 1.0; // Reduced to match new chaos rates
-          this.game.gameData.chaosLevel = Math.max(0, this.game.gameData.chaosLevel);
-          
-          // Award XP
-          this.awardXP(10);
-          
-          // Play shelf sound
-          this.playShelfSound();
+          this.game.events.emit(GameEvents.VOLUME_BLOCK_SHELVED, { volumeBlock, shelf, player: this.player });
         }
       }
     }
@@ -869,42 +1831,30 @@ export class PlayingState extends State {
     // Apply XP multiplier and early game boost
     let xpMultiplier = this.player?.getXPMultiplier() || 1;
     
-    // Early game XP boost for first 2 minutes
-    if (gameData.elapsedTime < 120) { // 2 minutes
-      xpMultiplier *= 1.5;
+    // Early game XP boost
+    const earlyBoost = this.game.balance.xp.earlyBoost;
+    if (gameData.elapsedTime < earlyBoost.untilSeconds) {
+      xpMultiplier *= earlyBoost.multiplier;
     }
     
-    const multipliedAmount = Math.floor(amount * xpMultiplier);
-    gameData.xp += multipliedAmount;
-    
-    // Create floating XP text
-    if (this.player) {
-      this.particles.push({
-        type: 'xp',
-        x: this.player.getCenterX(),
-        y: this.player.y - 10,
-        text: `+${multipliedAmount} XP`,
-        vy: -50,
-        lifetime: 1.5,
-        age: 0
-      });
-    }
+    this.addXP(Math.floor(amount * xpMultiplier));
+  }
+  
+  // Add XP as-is (no multipliers) and handle any level ups
+  addXP(amount) {
+    const gameData = this.game.gameData;
+    gameData.xp += amount;
+    this.game.events.emit(GameEvents.PLAYER_XP_GAINED, { amount, player: this.player });
     
     // Check for level up
     while (gameData.xp >= gameData.xpToNext) {
       gameData.xp -= gameData.xpToNext;
       gameData.playerLevel++;
       
-      // Refill stamina as a level up bonus
-      if (this.player) {
-        this.player.stats.stamina = this.player.stats.maxStamina;
-      }
-      
       // Calculate next level XP requirement
-      gameData.xpToNext = Math.floor(100 * Math.pow(1.45, gameData.playerLevel - 1));
+      gameData.xpToNext = this.game.balance.getXPToNext(gameData.playerLevel);
       
-      // Show upgrade selection
-      this.game.stateManager.pushState('upgradeSelection');
+      this.game.events.emit(GameEvents.PLAYER_LEVEL_UP, { level: gameData.playerLevel });
     }
   }
   
@@ -992,8 +1942,9 @@ export class PlayingState extends State {
     const snatchRadius = this.player.repelRadius;
     const playerCenterX = this.player.getCenterX();
     const playerCenterY = this.player.getCenterY();
+    const nearbyKids = this.spatialIndex.queryRadius('kids', playerCenterX, playerCenterY, snatchRadius);
     
-    for (const kid of this.kids) {
+    for (const kid of nearbyKids) {
       // Check if kid is carrying a volume block
       if (!kid.carriedVolumeBlock) continue;
       
@@ -1009,32 +1960,80 @@ export class PlayingState extends State {
         
         // Remove volume block from kid
         kid.carriedVolumeBlock = null;
-        kid.dropVolumeBlockTimer = 0;
+        kid.dumpSpot = null;
         
         // Give volume block to player
         if (this.player.pickupVolumeBlock(volumeBlock)) {
           volumeBlock.pickup(this.player);
           
-          // Track volume block collection
-          this.game.gameData.volumeBlocksCollected++;
-          
           // Kid flees after being robbed
           kid.state = 'fleeing';
           
-          // Reduce chaos when snatching (reward for catching kids)
-          this.game.gameData.chaosLevel -= 0.75; // Balanced reduction
-          this.game.gameData.chaosLevel = Math.max(0, this.game.gameData.chaosLevel);
-          
-          // Award XP for snatching
-          this.awardXP(7); // Slightly more XP than ground pickup
-          
-          // Play pickup sound
-          this.playPickupSound();
+          this.game.events.emit(GameEvents.VOLUME_BLOCK_SNATCHED, { volumeBlock, kid, player: this.player });
         }
       }
     }
   }
   
+  // Kids in front of a rolling book cart get bowled over, dropping whatever they had
+  checkCartBowling() {
+    if (!this.player || !this.player.isPushingCart()) return;
+    
+    const cart = this.game.balance.player.bookCart;
+    const { x, y } = this.player.getCartPosition();
+    const reach = cart.bowlRadius * 32 + KID_SIZE.width / 2; // Meters to pixels
+    for (const kid of this.spatialIndex.queryRadius('kids', x, y, reach)) {
+      const dx = kid.getCenterX() - x;
+      const dy = kid.getCenterY() - y;
+      const dist = Math.sqrt(dx * dx + dy * dy);
+      if (kid.effects.has('stun') || dist > reach) continue;
+      
+      // Sent flying the way the cart is rolling, and off to the side they were on
+      const speed = Math.sqrt(this.player.vx * this.player.vx + this.player.vy * this.player.vy);
+      const pushX = this.player.vx / speed + (dist > 0 ? dx / dist : 0);
+      const pushY = this.player.vy / speed + (dist > 0 ? dy / dist : 0);
+      const length = Math.sqrt(pushX * pushX + pushY * pushY) || 1;
+      kid.dropVolumeBlock();
+      kid.stun(cart.stunSeconds);
+      kid.knockBack(pushX / length * cart.knockbackSpeed * 32, pushY / length * cart.knockbackSpeed * 32, cart.knockbackSeconds);
+    }
+  }
+  
+  checkKidBumps() {
+    if (!this.player) return;
+    
+    const damage = this.game.balance.player.bump.damage;
+    const nearbyKids = this.spatialIndex.queryRadius('kids', this.player.getCenterX(), this.player.getCenterY(), this.player.width * 2);
+    for (const kid of nearbyKids) {
+      // Kid's body against the librarian's collision box - dazed kids don't bump
+      if (kid.effects.has('stun') || !kid.checkCollision(kid.x, kid.y, this.player)) continue;
+      
+      // No chaos for bumps, just HP
+      if (this.player.takeDamage(damage, kid)) {
+        this.game.events.emit(GameEvents.PLAYER_DAMAGED, { amount: damage, source: kid, player: this.player });
+      }
+      break;
+    }
+  }
+  
+  renderRooms(ctx) {
+    ctx.save();
+    ctx.font = 'bold 48px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    for (const room of this.rooms) {
+      if (room.floorTint) {
+        ctx.fillStyle = room.floorTint;
+        ctx.fillRect(room.x, room.y, room.width, room.height);
+      }
+      if (room.name) {
+        ctx.fillStyle = 'rgba(62, 39, 35, 0.25)';
+        ctx.fillText(room.name.toUpperCase(), room.x + room.width / 2, room.y + 30);
+      }
+    }
+    ctx.restore();
+  }
+  
   isInViewport(entity, viewX, viewY, viewWidth, viewHeight) {
     return !(entity.x + entity.width < viewX || 
              entity.x > viewX + viewWidth ||
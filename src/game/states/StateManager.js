@@ -3,6 +3,8 @@ import { PlayingState } from './PlayingState.js';
 import { PausedState } from './PausedState.js';
 import { GameOverState } from './GameOverState.js';
 import { UpgradeSelectionState } from './UpgradeSelectionState.js';
+import { EditorState } from './EditorState.js';
+import { GameEvents } from '../systems/EventBus.js';
 
 export class StateManager {
   constructor(game) {
@@ -20,6 +22,7 @@ export class StateManager {
     this.registerState('paused', new PausedState(this.game));
     this.registerState('gameover', new GameOverState(this.game));
     this.registerState('upgradeSelection', new UpgradeSelectionState(this.game));
+    this.registerState('editor', new EditorState(this.game));
     
     // Initialize all states
     for (const state of this.states.values()) {
@@ -65,6 +68,7 @@ export class StateManager {
     }
     
     console.log(`State changed to: ${stateName}`);
+    this.emitStateChanged(this.previousState, this.currentState);
   }
   
   update(deltaTime) {
@@ -94,6 +98,7 @@ export class StateManager {
     }
     
     // Push current state to stack
+    const fromState = this.currentState;
     if (this.currentState) {
       this.stateStack.push(this.currentState);
     }
@@ -105,6 +110,7 @@ export class StateManager {
     }
     
     console.log(`State pushed: ${stateName}`);
+    this.emitStateChanged(fromState, this.currentState);
   }
   
   popState() {
@@ -122,6 +128,7 @@ export class StateManager {
     this.game.inputManager.clearFrameEvents();
     
     // Pop previous state from stack
+    const fromState = this.currentState;
     this.currentState = this.stateStack.pop();
     
     // Re-enter the state we're returning to (important for maintaining focus)
@@ -135,6 +142,14 @@ export class StateManager {
     }
     
     console.log(`State popped to: ${this.currentState.name}`);
+    this.emitStateChanged(fromState, this.currentState);
+  }
+  
+  emitStateChanged(fromState, toState) {
+    this.game.events.emit(GameEvents.STATE_CHANGED, {
+      from: fromState ? fromState.name : null,
+      to: toState ? toState.name : null
+    });
   }
   
   getState(stateName) {
@@ -19,7 +19,7 @@ export class UpgradeSelectionState extends State {
     const playerUpgrades = player?.upgradeLevels || {};
     
     // Get 3 random upgrades
-    this.upgrades = getRandomUpgrades(3, playerUpgrades);
+    this.upgrades = getRandomUpgrades(3, playerUpgrades, this.game.rng);
     
     // If no upgrades available, skip
     if (this.upgrades.length === 0) {
@@ -35,6 +35,9 @@ export class UpgradeSelectionState extends State {
     // Clear any lingering input state
     this.game.inputManager.update();
     
+    // No audio when running headless
+    if (this.game.headless) return;
+    
     // Initialize select sound if not already created
     if (!this.selectSound) {
       this.selectSound = new Audio('/menu_select.mp3');
@@ -160,6 +163,23 @@ export class UpgradeSelectionState extends State {
       
       ctx.shadowBlur = 0;
       
+      // Weapons fire on their own and uniques can only be taken once - mark them apart from passive perks
+      if (upgrade.isWeapon) {
+        ctx.fillStyle = '#e65100';
+        ctx.fillRect(cardX + 8, cardY + 8, 64, 18);
+        ctx.font = 'bold 11px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillStyle = '#fff';
+        ctx.fillText('WEAPON', cardX + 40, cardY + 21);
+      } else if (upgrade.isUnique) {
+        ctx.fillStyle = '#6a1b9a';
+        ctx.fillRect(cardX + 8, cardY + 8, 64, 18);
+        ctx.font = 'bold 11px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillStyle = '#fff';
+        ctx.fillText('UNIQUE', cardX + 40, cardY + 21);
+      }
+      
       // Upgrade icon
       ctx.font = '48px Arial';
       ctx.textAlign = 'center';
@@ -216,15 +236,8 @@ export class UpgradeSelectionState extends State {
     const player = playingState?.player;
     
     if (player) {
-      // Initialize upgrade levels if needed
-      if (!player.upgradeLevels) {
-        player.upgradeLevels = {};
-      }
-      
       // Apply upgrade
-      const currentLevel = player.upgradeLevels[upgrade.id] || 0;
-      player.upgradeLevels[upgrade.id] = currentLevel + 1;
-      upgrade.effect(player, currentLevel + 1);
+      player.applyUpgrade(upgrade);
       
       // Visual feedback
       playingState.particles.push({
@@ -0,0 +1,62 @@
+import { ACHIEVEMENTS } from '../data/achievements.js';
+import { GameEvents } from './EventBus.js';
+
+const STORAGE_KEY = 'volumeHeist.achievements';
+
+// Unlocks achievements from game events and remembers them between sessions
+export class AchievementTracker {
+  constructor(game) {
+    this.game = game;
+    this.unlocked = new Set(this.load());
+    
+    // Subscribed after the StatsTracker, so gameData is already updated when we check
+    const check = () => this.checkAchievements();
+    const events = game.events;
+    events.on(GameEvents.VOLUME_BLOCK_SHELVED, check);
+    events.on(GameEvents.VOLUME_BLOCK_SNATCHED, check);
+    events.on(GameEvents.KID_REPELLED, check);
+    events.on(GameEvents.PLAYER_LEVEL_UP, check);
+  }
+  
+  checkAchievements() {
+    // Watching a replay, simulating or playing a dev-console run should not unlock anything
+    if (this.game.replayPlayer || this.game.headless || this.game.gameData.tampered) return;
+    
+    for (const achievement of Object.values(ACHIEVEMENTS)) {
+      if (this.unlocked.has(achievement.id)) continue;
+      
+      if (achievement.isUnlocked(this.game.gameData)) {
+        this.unlocked.add(achievement.id);
+        this.save();
+        console.log(`[ACHIEVEMENT] Unlocked: ${achievement.name}`);
+        this.game.events.emit(GameEvents.ACHIEVEMENT_UNLOCKED, { achievement });
+      }
+    }
+  }
+  
+  isUnlocked(id) {
+    return this.unlocked.has(id);
+  }
+  
+  load() {
+    if (typeof localStorage === 'undefined') return [];
+    
+    try {
+      const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      return Array.isArray(stored) ? stored : [];
+    } catch (e) {
+      console.log('Failed to load achievements:', e);
+      return [];
+    }
+  }
+  
+  save() {
+    if (typeof localStorage === 'undefined') return;
+    
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify([...this.unlocked]));
+    } catch (e) {
+      console.log('Failed to save achievements:', e);
+    }
+  }
+}
@@ -0,0 +1,117 @@
+import { KID_ARCHETYPES } from '../data/kidArchetypes.js';
+
+// Tuning values for a run, loaded from public/data/balance.json.
+// Tables keyed by "fromMinute" hold the value that applies from that minute of play onwards.
+const REQUIRED_SECTIONS = ['run', 'chaos', 'xp', 'spawning', 'kids', 'bosses', 'weapons', 'player'];
+
+export class Balance {
+  constructor(data) {
+    if (!data) {
+      throw new Error('Balance data failed to load');
+    }
+    for (const section of REQUIRED_SECTIONS) {
+      if (!data[section]) {
+        throw new Error(`Balance data is missing '${section}'`);
+      }
+    }
+    
+    // Every archetype needs both its numbers here and its behavior in data/kidArchetypes.js
+    for (const id of Object.keys(data.kids.archetypes ?? {})) {
+      if (!KID_ARCHETYPES[id]) {
+        throw new Error(`Balance data has kid archetype '${id}' with no behavior in kidArchetypes.js`);
+      }
+    }
+    for (const id of Object.keys(KID_ARCHETYPES)) {
+      if (!data.kids.archetypes?.[id]) {
+        throw new Error(`Balance data is missing kid archetype '${id}'`);
+      }
+    }
+    
+    this.data = data;
+    this.run = data.run;
+    this.chaos = data.chaos;
+    this.xp = data.xp;
+    this.spawning = data.spawning;
+    this.kids = data.kids;
+    this.bosses = data.bosses;
+    this.weapons = data.weapons;
+    this.player = data.player;
+  }
+  
+  // Value of a "fromMinute" table at the given time
+  static valueAtMinute(table, minutes) {
+    let value = table[0].value;
+    for (const step of table) {
+      if (minutes >= step.fromMinute) {
+        value = step.value;
+      }
+    }
+    return value;
+  }
+  
+  getChaosPerBlock(minutes) {
+    return Balance.valueAtMinute(this.chaos.perBlockPerSecond, minutes);
+  }
+  
+  getMaxKids(minutes) {
+    const growth = this.spawning.maxKidsGrowth;
+    const maxKids = Balance.valueAtMinute(this.spawning.maxKids, minutes);
+    if (growth && minutes >= growth.fromMinute) {
+      return maxKids + Math.floor(minutes - growth.fromMinute) * growth.perMinute;
+    }
+    return maxKids;
+  }
+  
+  getSpawnAggression(minutes) {
+    return Balance.valueAtMinute(this.spawning.aggression, minutes);
+  }
+  
+  // Chance that a kid carries a grabbed book off to a dump spot instead of knocking it down
+  getCarryChance(minutes) {
+    return Balance.valueAtMinute(this.kids.carry.chance, minutes);
+  }
+  
+  getKidTier(aggressionLevel) {
+    const tier = this.kids.aggressionTiers[aggressionLevel];
+    if (!tier) {
+      throw new Error(`No kid balance for aggression level ${aggressionLevel}`);
+    }
+    return tier;
+  }
+  
+  getArchetype(id) {
+    const archetype = this.kids.archetypes[id];
+    if (!archetype) {
+      throw new Error(`No kid balance for archetype '${id}'`);
+    }
+    return archetype;
+  }
+  
+  // Archetypes that can spawn by the given time, with their spawn weights
+  getSpawnArchetypes(minutes) {
+    return Object.entries(this.kids.archetypes)
+      .filter(([, archetype]) => archetype.weight > 0 && minutes >= archetype.fromMinute)
+      .map(([id, archetype]) => ({ id, weight: archetype.weight }));
+  }
+  
+  getBoss(id) {
+    const boss = this.bosses[id];
+    if (!boss) {
+      throw new Error(`No balance for boss '${id}'`);
+    }
+    return boss;
+  }
+  
+  // A weapon's stats at the given level (1 = just drafted)
+  getWeaponLevel(id, level) {
+    const weapon = this.weapons[id];
+    if (!weapon) {
+      throw new Error(`No balance for weapon '${id}'`);
+    }
+    return weapon.levels[Math.min(level, weapon.levels.length) - 1];
+  }
+  
+  getXPToNext(level) {
+    return Math.floor(this.xp.baseToNext * Math.pow(this.xp.growthPerLevel, level - 1));
+  }
+}
@@ -37,10 +37,27 @@ export class Camera {
     this.targetY = y;
   }
   
-  follow(entity) {
-    if (entity && entity.x !== undefined && entity.y !== undefined) {
-      this.setTarget(entity.x, entity.y);
+  // Keep an entity's center inside the deadzone around the camera target.
+  // Pass immediate to jump there (e.g. at the start of a run) instead of easing.
+  follow(entity, immediate = false) {
+    if (!entity || entity.x === undefined || entity.y === undefined) return;
+    
+    const x = entity.getCenterX ? entity.getCenterX() : entity.x;
+    const y = entity.getCenterY ? entity.getCenterY() : entity.y;
+    
+    if (immediate) {
+      this.setTarget(x, y);
+      this.x = x;
+      this.y = y;
+      return;
     }
+    
+    const halfDeadzoneX = this.deadzone.x / 2;
+    const halfDeadzoneY = this.deadzone.y / 2;
+    this.setTarget(
+      Math.max(x - halfDeadzoneX, Math.min(x + halfDeadzoneX, this.targetX)),
+      Math.max(y - halfDeadzoneY, Math.min(y + halfDeadzoneY, this.targetY))
+    );
   }
   
   setBounds(x, y, width, height) {
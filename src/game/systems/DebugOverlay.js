@@ -0,0 +1,274 @@
+// World-space and HUD debug drawing for a run. Toggled with F3 or the dev console.
+export class DebugOverlay {
+  constructor(game) {
+    this.game = game;
+  }
+  
+  // Drawn inside the camera transform (added to the 'effects' layer by PlayingState)
+  renderWorld(ctx, playingState) {
+    const debug = this.game.debug;
+    
+    if (debug.showSpatialGrid) {
+      this.renderSpatialGrid(ctx, playingState.spatialIndex);
+    }
+    
+    if (debug.showPaths || debug.showOverlay) {
+      for (const kid of playingState.kids) {
+        this.renderPath(ctx, kid);
+      }
+    }
+    
+    if (!debug.showOverlay) return;
+    
+    ctx.save();
+    ctx.lineWidth = 1;
+    
+    // Collision boxes
+    ctx.strokeStyle = 'rgba(33, 150, 243, 0.8)';
+    for (const shelf of playingState.shelves) {
+      this.strokeBounds(ctx, shelf);
+    }
+    ctx.strokeStyle = 'rgba(156, 39, 176, 0.9)';
+    for (const wall of playingState.walls) {
+      this.strokeBounds(ctx, wall);
+    }
+    ctx.strokeStyle = 'rgba(255, 235, 59, 0.9)';
+    for (const volumeBlock of playingState.volumeBlocks) {
+      if (!volumeBlock.isHeld && !volumeBlock.isShelved) {
+        this.strokeBounds(ctx, volumeBlock);
+      }
+    }
+    
+    for (const kid of playingState.kids) {
+      this.renderKid(ctx, kid);
+    }
+    
+    if (playingState.player) {
+      this.renderPlayer(ctx, playingState.player);
+    }
+    
+    ctx.restore();
+  }
+  
+  renderKid(ctx, kid) {
+    const stateColors = {
+      wandering: '#8bc34a',
+      fleeing: '#03a9f4',
+      stealing: '#f44336',
+      carrying: '#ffeb3b',
+      throwing: '#ff9800'
+    };
+    const color = stateColors[kid.state] || '#fff';
+    
+    ctx.strokeStyle = color;
+    this.strokeBounds(ctx, kid);
+    
+    // Line to the shelf the kid is heading for
+    if (kid.target) {
+      ctx.save();
+      ctx.setLineDash([6, 4]);
+      ctx.strokeStyle = 'rgba(255, 152, 0, 0.9)';
+      ctx.beginPath();
+      ctx.moveTo(kid.getCenterX(), kid.getCenterY());
+      ctx.lineTo(kid.target.getCenterX(), kid.target.getCenterY());
+      ctx.stroke();
+      ctx.strokeRect(kid.target.x - 3, kid.target.y - 3, kid.target.width + 6, kid.target.height + 6);
+      ctx.restore();
+    }
+    
+    // State label
+    let label = `${kid.state} A${kid.aggressionLevel}`;
+    if (kid.carriedVolumeBlock) label += ` [${kid.carriedVolumeBlock.color}]`;
+    if (kid.stuckTimer > 0) label += ` stuck ${kid.stuckTimer.toFixed(1)}s`;
+    this.drawLabel(ctx, label, kid.getCenterX(), kid.y - 8, color);
+  }
+  
+  // Remaining waypoints of the kid's current path
+  renderPath(ctx, kid) {
+    if (!kid.path || kid.pathIndex >= kid.path.length) return;
+    
+    ctx.save();
+    ctx.strokeStyle = 'rgba(0, 188, 212, 0.9)';
+    ctx.fillStyle = 'rgba(0, 188, 212, 0.9)';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(kid.getCenterX(), kid.getCenterY());
+    for (let i = kid.pathIndex; i < kid.path.length; i++) {
+      ctx.lineTo(kid.path[i].x, kid.path[i].y);
+    }
+    ctx.stroke();
+    for (let i = kid.pathIndex; i < kid.path.length; i++) {
+      ctx.fillRect(kid.path[i].x - 3, kid.path[i].y - 3, 6, 6);
+    }
+    ctx.restore();
+  }
+  
+  renderPlayer(ctx, player) {
+    const centerX = player.getCenterX();
+    const centerY = player.getCenterY();
+    
+    ctx.strokeStyle = 'rgba(0, 255, 0, 0.9)';
+    this.strokeBounds(ctx, player);
+    
+    // Pickup radius
+    ctx.strokeStyle = 'rgba(0, 255, 0, 0.6)';
+    ctx.beginPath();
+    ctx.arc(centerX, centerY, player.stats.pickupRadius * 32, 0, Math.PI * 2);
+    ctx.stroke();
+    
+    // Repel / snatch radius
+    ctx.strokeStyle = 'rgba(255, 0, 0, 0.6)';
+    ctx.beginPath();
+    ctx.arc(centerX, centerY, player.repelRadius, 0, Math.PI * 2);
+    ctx.stroke();
+    
+    // Return distance - shelving checks the player's box grown by this much
+    const returnDistance = player.stats.returnRadius * 32;
+    ctx.save();
+    ctx.setLineDash([4, 4]);
+    ctx.strokeStyle = 'rgba(0, 229, 255, 0.8)';
+    ctx.strokeRect(player.x - returnDistance, player.y - returnDistance,
+      player.width + returnDistance * 2, player.height + returnDistance * 2);
+    ctx.restore();
+  }
+  
+  renderSpatialGrid(ctx, spatialIndex) {
+    const layerColors = {
+      shelves: '#2196f3',
+      volumeBlocks: '#ffeb3b',
+      kids: '#f44336'
+    };
+    
+    ctx.save();
+    ctx.lineWidth = 1;
+    ctx.font = '10px monospace';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    
+    for (const cell of spatialIndex.getOccupiedCells()) {
+      // Tint cells by how crowded they are
+      const total = Object.values(cell.counts).reduce((sum, count) => sum + count, 0);
+      ctx.fillStyle = `rgba(255, 0, 255, ${Math.min(0.4, 0.05 * total)})`;
+      ctx.fillRect(cell.x, cell.y, cell.size, cell.size);
+      ctx.strokeStyle = 'rgba(255, 0, 255, 0.6)';
+      ctx.strokeRect(cell.x, cell.y, cell.size, cell.size);
+      
+      // Per-layer counts
+      let lineY = cell.y + 3;
+      for (const [layer, count] of Object.entries(cell.counts)) {
+        ctx.fillStyle = layerColors[layer] || '#fff';
+        ctx.fillText(`${layer}: ${count}`, cell.x + 3, lineY);
+        lineY += 11;
+      }
+    }
+    
+    ctx.restore();
+  }
+  
+  // Screen-space summary panel
+  renderHUD(ctx, playingState) {
+    if (!this.game.debug.showOverlay) return;
+    
+    const gameData = this.game.gameData;
+    const kidStates = {};
+    for (const kid of playingState.kids) {
+      kidStates[kid.state] = (kidStates[kid.state] || 0) + 1;
+    }
+    const floorVolumeBlocks = playingState.volumeBlocks.filter(volumeBlock => !volumeBlock.isHeld && !volumeBlock.isShelved).length;
+    const recorder = this.game.replayRecorder;
+    const replayStatus = this.game.replayPlayer ? 'playing back' : recorder.isRecording ? `recording tick ${recorder.tick}` : 'off';
+    
+    const lines = [
+      `DEBUG (F3)  FPS ${this.game.gameLoop.getFPS()}  seed ${gameData.seed}`,
+      `kids ${playingState.kids.length}/${playingState.maxKids}  ` +
+        Object.entries(kidStates).map(([state, count]) => `${state} ${count}`).join('  '),
+      `floor blocks ${floorVolumeBlocks}  chaos ${gameData.chaosLevel.toFixed(2)}%  next spawn ${Math.max(0, playingState.kidSpawnTimer).toFixed(1)}s`,
+      `time ${gameData.elapsedTime.toFixed(1)}s  level ${gameData.playerLevel}  xp ${gameData.xp}/${gameData.xpToNext}`,
+      `map ${playingState.level.name || playingState.level.id}  summons queued ${playingState.summonQueue.length}  replay ${replayStatus}`
+    ];
+    
+    const { height } = this.game;
+    const lineHeight = 16;
+    const panelHeight = lines.length * lineHeight + 10;
+    const panelY = height - panelHeight - 10;
+    
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    ctx.fillRect(10, panelY, 520, panelHeight);
+    ctx.font = '12px monospace';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = '#0f0';
+    lines.forEach((line, i) => {
+      ctx.fillText(line, 18, panelY + 5 + i * lineHeight);
+    });
+    ctx.restore();
+  }
+  
+  // Rolling average per profiled section as a bar against the 60 FPS frame budget
+  renderProfiler(ctx, profiler, x, y) {
+    const frameBudget = 1000 / 60;
+    const sections = [profiler.frame, ...profiler.getSections()];
+    const rowHeight = 16;
+    const labelWidth = 170;
+    const barWidth = 200;
+    const panelWidth = labelWidth + barWidth + 150;
+    const panelHeight = sections.length * rowHeight + 30;
+    
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+    ctx.fillRect(x, y, panelWidth, panelHeight);
+    ctx.font = '12px monospace';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = '#fff';
+    ctx.fillText(`PROFILER  avg of last ${profiler.windowSize} frames (ms)`, x + 8, y + 6);
+    
+    // Frame budget line
+    const barX = x + labelWidth;
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+    ctx.beginPath();
+    ctx.moveTo(barX + barWidth, y + 22);
+    ctx.lineTo(barX + barWidth, y + panelHeight - 4);
+    ctx.stroke();
+    
+    sections.forEach((section, i) => {
+      const rowY = y + 24 + i * rowHeight;
+      const share = section.average / frameBudget;
+      
+      ctx.fillStyle = '#ccc';
+      ctx.fillText(section.name, x + 8 + section.depth * 12, rowY);
+      
+      ctx.fillStyle = share > 0.5 ? '#f44336' : share > 0.25 ? '#ffc107' : '#4caf50';
+      ctx.fillRect(barX, rowY + 2, Math.min(1, share) * barWidth, rowHeight - 5);
+      
+      // Worst frame in the window
+      const maxX = barX + Math.min(1, section.max / frameBudget) * barWidth;
+      ctx.fillStyle = '#fff';
+      ctx.fillRect(maxX - 1, rowY + 1, 2, rowHeight - 3);
+      
+      ctx.fillStyle = '#ccc';
+      ctx.fillText(`${section.average.toFixed(2)}  max ${section.max.toFixed(2)}`, barX + barWidth + 10, rowY);
+    });
+    
+    ctx.restore();
+  }
+  
+  strokeBounds(ctx, entity) {
+    const bounds = entity.getBounds();
+    ctx.strokeRect(bounds.x, bounds.y, bounds.width, bounds.height);
+  }
+  
+  drawLabel(ctx, text, x, y, color) {
+    ctx.save();
+    ctx.font = '11px monospace';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'bottom';
+    const width = ctx.measureText(text).width + 6;
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    ctx.fillRect(x - width / 2, y - 13, width, 14);
+    ctx.fillStyle = color;
+    ctx.fillText(text, x, y);
+    ctx.restore();
+  }
+}
@@ -0,0 +1,352 @@
+import { UPGRADES } from '../data/upgrades.js';
+
+const MAX_LOG_LINES = 10;
+const MAX_SPAWN_COUNT = 50;
+
+// In-game developer console, opened with the backquote key. The game is paused
+// while it is open. Commands act on the current run (see 'help'); the ones marked
+// changesRun leave it marked as tampered with and stop its replay recording.
+export class DevConsole {
+  constructor(game) {
+    this.game = game;
+    this.isOpen = false;
+    this.inputText = '';
+    this.log = [];
+    this.history = [];
+    this.historyIndex = 0;
+    
+    this.commands = {
+      help: {
+        usage: 'help',
+        description: 'List commands',
+        run: () => this.printHelp()
+      },
+      overlay: {
+        usage: 'overlay',
+        description: 'Toggle the debug overlay (also F3)',
+        run: () => this.toggleFlag('showOverlay')
+      },
+      grid: {
+        usage: 'grid',
+        description: 'Toggle the tile grid',
+        run: () => this.toggleFlag('showGrid')
+      },
+      spatial: {
+        usage: 'spatial',
+        description: 'Toggle the spatial index cells',
+        run: () => this.toggleFlag('showSpatialGrid')
+      },
+      paths: {
+        usage: 'paths',
+        description: 'Toggle kid paths (also shown by the overlay)',
+        run: () => this.toggleFlag('showPaths')
+      },
+      fps: {
+        usage: 'fps',
+        description: 'Toggle the FPS counter',
+        run: () => this.toggleFlag('showFPS')
+      },
+      profiler: {
+        usage: 'profiler',
+        description: 'Toggle per-system frame timings (also F4)',
+        run: () => this.toggleProfiler()
+      },
+      spawn: {
+        usage: 'spawn [aggression 1-3] [count] [archetype]',
+        description: 'Spawn kids (or groups of an archetype) at random spawn points',
+        changesRun: true,
+        run: (args) => this.spawnKids(args)
+      },
+      boss: {
+        usage: 'boss <id>',
+        description: 'Bring in a boss now',
+        changesRun: true,
+        run: (args) => this.spawnBoss(args)
+      },
+      chaos: {
+        usage: 'chaos <percent>',
+        description: 'Set the chaos level',
+        changesRun: true,
+        run: (args) => this.setChaos(args)
+      },
+      hp: {
+        usage: 'hp <amount>',
+        description: "Set the librarian's HP",
+        changesRun: true,
+        run: (args) => this.setHealth(args)
+      },
+      xp: {
+        usage: 'xp <amount>',
+        description: 'Grant XP (may level up)',
+        changesRun: true,
+        run: (args) => this.grantXP(args)
+      },
+      time: {
+        usage: 'time <seconds|m:ss|+seconds>',
+        description: 'Jump the run clock',
+        changesRun: true,
+        run: (args) => this.jumpClock(args)
+      },
+      upgrade: {
+        usage: 'upgrade <id> [levels]',
+        description: 'Give the player an upgrade',
+        changesRun: true,
+        run: (args) => this.giveUpgrade(args)
+      },
+      clear: {
+        usage: 'clear',
+        description: 'Clear the console',
+        run: () => { this.log = []; }
+      }
+    };
+  }
+  
+  // Called every tick before the game state updates. Returns true while the
+  // console is open, in which case the game should not update.
+  update(input) {
+    if (input.isKeyPressed('F3') && !this.isOpen) {
+      this.toggleFlag('showOverlay', false);
+    }
+    if (input.isKeyPressed('F4') && !this.isOpen) {
+      this.toggleProfiler(false);
+    }
+    
+    if (input.isKeyPressed('`')) {
+      this.setOpen(!this.isOpen);
+      input.clearFrameEvents();
+      return true;
+    }
+    
+    if (!this.isOpen) return false;
+    
+    for (const key of input.getPressedKeys()) {
+      if (key === 'Escape') {
+        this.setOpen(false);
+        break;
+      } else if (key === 'Enter') {
+        this.submit();
+      } else if (key === 'Backspace') {
+        this.inputText = this.inputText.slice(0, -1);
+      } else if (key === 'ArrowUp') {
+        this.browseHistory(-1);
+      } else if (key === 'ArrowDown') {
+        this.browseHistory(1);
+      } else if (key.length === 1) {
+        this.inputText += key;
+      }
+    }
+    
+    // Keys typed here must not reach the game
+    input.clearFrameEvents();
+    return true;
+  }
+  
+  setOpen(isOpen) {
+    this.isOpen = isOpen;
+    this.game.liveInputManager.captureAllKeys = isOpen;
+    if (isOpen && this.log.length === 0) {
+      this.print("Developer console - type 'help' for commands");
+    }
+  }
+  
+  submit() {
+    const line = this.inputText.trim();
+    this.inputText = '';
+    if (!line) return;
+    
+    this.history.push(line);
+    this.historyIndex = this.history.length;
+    this.print(`> ${line}`);
+    this.execute(line);
+  }
+  
+  execute(line) {
+    const [name, ...args] = line.split(/\s+/);
+    const command = this.commands[name.toLowerCase()];
+    if (!command) {
+      this.print(`Unknown command '${name}' - type 'help'`);
+      return;
+    }
+    
+    try {
+      // Flagged up front - a command can fail after it has already changed something
+      if (command.changesRun) {
+        this.markRunTampered();
+      }
+      command.run(args);
+    } catch (error) {
+      this.print(`Error: ${error.message}`);
+    }
+  }
+  
+  browseHistory(direction) {
+    if (this.history.length === 0) return;
+    
+    this.historyIndex = Math.max(0, Math.min(this.history.length, this.historyIndex + direction));
+    this.inputText = this.history[this.historyIndex] || '';
+  }
+  
+  print(text) {
+    this.log.push(text);
+    if (this.log.length > MAX_LOG_LINES) {
+      this.log.shift();
+    }
+  }
+  
+  printHelp() {
+    for (const command of Object.values(this.commands)) {
+      this.print(`${command.usage.padEnd(32)} ${command.description}`);
+    }
+  }
+  
+  toggleFlag(flag, report = true) {
+    this.game.debug[flag] = !this.game.debug[flag];
+    if (report) {
+      this.print(`${flag}: ${this.game.debug[flag] ? 'on' : 'off'}`);
+    }
+  }
+  
+  // Only measure while the timings are on screen
+  toggleProfiler(report = true) {
+    this.toggleFlag('showProfiler', report);
+    this.game.profiler.setEnabled(this.game.debug.showProfiler);
+  }
+  
+  // Gameplay commands need a run in progress
+  getRun() {
+    const playingState = this.game.stateManager.getState('playing');
+    const inRun = this.game.stateManager.currentState === playingState ||
+      this.game.stateManager.stateStack.includes(playingState);
+    if (!inRun || !playingState.player) {
+      throw new Error('No run in progress');
+    }
+    return playingState;
+  }
+  
+  // The run no longer follows from its seed and input: stop recording a replay that
+  // would desync, and flag it so saves and the HUD show it was changed by hand
+  markRunTampered() {
+    this.game.replayRecorder.discard();
+    this.game.gameData.tampered = true;
+  }
+  
+  parseNumber(value, name) {
+    const number = Number(value);
+    if (value === undefined || !Number.isFinite(number)) {
+      throw new Error(`Expected a number for ${name}`);
+    }
+    return number;
+  }
+  
+  spawnKids(args) {
+    const playingState = this.getRun();
+    const aggressionLevel = args[0] !== undefined ? this.parseNumber(args[0], 'aggression') : 1;
+    const count = args[1] !== undefined ? this.parseNumber(args[1], 'count') : 1;
+    const archetypeId = args[2] ?? 'curiousReader';
+    this.game.balance.getKidTier(aggressionLevel); // Throws for unknown levels
+    this.game.balance.getArchetype(archetypeId); // ...and archetypes
+    if (count < 1 || count > MAX_SPAWN_COUNT) {
+      throw new Error(`Count must be between 1 and ${MAX_SPAWN_COUNT}`);
+    }
+    
+    for (let i = 0; i < count; i++) {
+      playingState.spawnKidGroup(this.game.rng.pick(playingState.spawnPoints), aggressionLevel, archetypeId);
+    }
+    this.print(`Spawned ${count} ${archetypeId} at aggression ${aggressionLevel} (${playingState.kids.length} kids total)`);
+  }
+  
+  spawnBoss(args) {
+    const playingState = this.getRun();
+    const id = args[0];
+    if (!id) {
+      throw new Error(`Expected a boss id (${Object.keys(this.game.balance.bosses).join(', ')})`);
+    }
+    const boss = playingState.spawnBoss(id);
+    this.print(`${boss.name} has arrived`);
+  }
+  
+  setChaos(args) {
+    this.getRun();
+    const gameData = this.game.gameData;
+    gameData.chaosLevel = Math.max(0, Math.min(gameData.maxChaos, this.parseNumber(args[0], 'percent')));
+    this.print(`Chaos set to ${gameData.chaosLevel}%`);
+  }
+  
+  setHealth(args) {
+    const player = this.getRun().player;
+    player.stats.health = Math.max(0, Math.min(player.stats.maxHealth, this.parseNumber(args[0], 'amount')));
+    this.print(`HP set to ${player.stats.health}/${player.stats.maxHealth}`);
+  }
+  
+  grantXP(args) {
+    const playingState = this.getRun();
+    const amount = this.parseNumber(args[0], 'amount');
+    playingState.addXP(amount);
+    this.print(`Granted ${amount} XP (level ${this.game.gameData.playerLevel})`);
+  }
+  
+  jumpClock(args) {
+    this.getRun();
+    const gameData = this.game.gameData;
+    const value = args[0] || '';
+    
+    let seconds;
+    if (value.startsWith('+')) {
+      seconds = gameData.elapsedTime + this.parseNumber(value.slice(1), 'seconds');
+    } else if (value.includes(':')) {
+      const [minutes, secs] = value.split(':');
+      seconds = this.parseNumber(minutes, 'minutes') * 60 + this.parseNumber(secs, 'seconds');
+    } else {
+      seconds = this.parseNumber(value, 'seconds');
+    }
+    
+    // Stop just short of the end so jumping doesn't instantly win
+    gameData.elapsedTime = Math.max(0, Math.min(gameData.targetTime - 1, seconds));
+    this.print(`Clock set to ${Math.floor(gameData.elapsedTime / 60)}:${Math.floor(gameData.elapsedTime % 60).toString().padStart(2, '0')}`);
+  }
+  
+  giveUpgrade(args) {
+    const player = this.getRun().player;
+    const upgrade = UPGRADES[args[0]];
+    if (!upgrade) {
+      throw new Error(`Unknown upgrade. Available: ${Object.keys(UPGRADES).join(', ')}`);
+    }
+    
+    const levels = args[1] !== undefined ? this.parseNumber(args[1], 'levels') : 1;
+    let applied = 0;
+    for (let i = 0; i < levels; i++) {
+      if (!player.applyUpgrade(upgrade)) break;
+      applied++;
+    }
+    this.print(`${upgrade.name}: +${applied} (level ${player.upgradeLevels[upgrade.id] || 0}/${upgrade.maxLevel})`);
+  }
+  
+  render(ctx) {
+    if (!this.isOpen) return;
+    
+    const { width } = this.game;
+    const lineHeight = 18;
+    const panelHeight = (MAX_LOG_LINES + 1) * lineHeight + 16;
+    
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.85)';
+    ctx.fillRect(0, 0, width, panelHeight);
+    ctx.strokeStyle = '#0f0';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(0, 0, width, panelHeight);
+    
+    ctx.font = '14px monospace';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = '#ccc';
+    this.log.forEach((line, i) => {
+      ctx.fillText(line, 12, 8 + i * lineHeight);
+    });
+    
+    // Input line with a blinking cursor
+    const cursor = Math.floor(performance.now() / 500) % 2 === 0 ? '_' : ' ';
+    ctx.fillStyle = '#0f0';
+    ctx.fillText(`> ${this.inputText}${cursor}`, 12, 8 + MAX_LOG_LINES * lineHeight);
+    ctx.restore();
+  }
+}
@@ -0,0 +1,102 @@
+// Game-wide event names and the payload each one carries.
+// Emitting or subscribing to a name that is not listed here throws, so typos are caught early.
+export const GameEvents = Object.freeze({
+  VOLUME_BLOCK_PICKED_UP: 'volumeBlock:pickedUp', // { volumeBlock, player }
+  VOLUME_BLOCK_SHELVED: 'volumeBlock:shelved', // { volumeBlock, shelf, player, weaponId } - weaponId when a weapon did the shelving
+  VOLUME_BLOCK_SNATCHED: 'volumeBlock:snatched', // { volumeBlock, kid, player }
+  VOLUME_BLOCK_THROWN: 'volumeBlock:thrown', // { volumeBlock, kid }
+  KID_REPELLED: 'kid:repelled', // { kid }
+  KID_SPAWNED: 'kid:spawned', // { kid }
+  BOSS_SPAWNED: 'boss:spawned', // { boss }
+  BOSS_ATTACK: 'boss:attack', // { boss, knocked, interrupted }
+  BOSS_PHASE: 'boss:phase', // { boss, phase }
+  BOSS_DEFEATED: 'boss:defeated', // { boss }
+  REWARD_COLLECTED: 'reward:collected', // { reward, player }
+  PLAYER_XP_GAINED: 'player:xpGained', // { amount, player }
+  PLAYER_DAMAGED: 'player:damaged', // { amount, source, player }
+  WEAPON_FIRED: 'weapon:fired', // { weaponId, player }
+  WEAPON_HIT: 'weapon:hit', // { weaponId, kid }
+  PLAYER_LEVEL_UP: 'player:levelUp', // { level }
+  CHAOS_THRESHOLD: 'chaos:threshold', // { threshold, chaosLevel, rising }
+  STATE_CHANGED: 'state:changed', // { from, to }
+  ACHIEVEMENT_UNLOCKED: 'achievement:unlocked' // { achievement }
+});
+
+const KNOWN_EVENTS = new Set(Object.values(GameEvents));
+
+export class EventBus {
+  constructor() {
+    this.listeners = new Map(); // event name -> [{ handler, group }]
+  }
+  
+  // Subscribe to an event. Handlers registered with a group can be removed together
+  // with offGroup() (e.g. everything tied to a single run). Returns an unsubscribe function.
+  on(type, handler, group = null) {
+    this.assertKnown(type);
+    
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, []);
+    }
+    const listener = { handler, group };
+    this.listeners.get(type).push(listener);
+    
+    return () => this.removeListener(type, listener);
+  }
+  
+  once(type, handler, group = null) {
+    const unsubscribe = this.on(type, (payload) => {
+      unsubscribe();
+      handler(payload);
+    }, group);
+    return unsubscribe;
+  }
+  
+  off(type, handler) {
+    const listeners = this.listeners.get(type);
+    if (!listeners) return;
+    
+    const listener = listeners.find(entry => entry.handler === handler);
+    if (listener) {
+      this.removeListener(type, listener);
+    }
+  }
+  
+  offGroup(group) {
+    for (const [type, listeners] of this.listeners) {
+      this.listeners.set(type, listeners.filter(listener => listener.group !== group));
+    }
+  }
+  
+  // Handlers run synchronously in subscription order
+  emit(type, payload = {}) {
+    this.assertKnown(type);
+    
+    const listeners = this.listeners.get(type);
+    if (!listeners) return;
+    
+    // Copy so handlers can unsubscribe while we iterate
+    for (const listener of [...listeners]) {
+      try {
+        listener.handler(payload);
+      } catch (error) {
+        console.error(`[EVENTS] Handler for '${type}' failed:`, error);
+      }
+    }
+  }
+  
+  removeListener(type, listener) {
+    const listeners = this.listeners.get(type);
+    if (!listeners) return;
+    
+    const index = listeners.indexOf(listener);
+    if (index !== -1) {
+      listeners.splice(index, 1);
+    }
+  }
+  
+  assertKnown(type) {
+    if (!KNOWN_EVENTS.has(type)) {
+      throw new Error(`Unknown game event: '${type}'`);
+    }
+  }
+}
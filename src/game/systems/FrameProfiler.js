@@ -0,0 +1,110 @@
+// Measures how long each part of a frame takes, in milliseconds.
+// Sections are named like 'update.kids' - the part before the dot is the parent
+// section, which is only used to group and indent them in the overlay.
+// Does nothing while disabled, so the instrumentation can stay in place.
+export class FrameProfiler {
+  constructor(windowSize = 60) {
+    this.enabled = false;
+    this.windowSize = windowSize; // Frames in the rolling average
+    this.sections = new Map();
+    this.frameStart = null;
+    this.frame = this.createSection('frame');
+  }
+  
+  createSection(name) {
+    return {
+      name,
+      depth: name.split('.').length - 1,
+      started: null,
+      current: 0, // Time spent so far this frame (several fixed updates can run per frame)
+      history: new Array(this.windowSize).fill(0),
+      historyIndex: 0,
+      total: 0,
+      average: 0,
+      max: 0
+    };
+  }
+  
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    this.reset();
+  }
+  
+  reset() {
+    this.sections.clear();
+    this.frameStart = null;
+    this.frame = this.createSection('frame');
+  }
+  
+  beginFrame() {
+    if (!this.enabled) return;
+    this.frameStart = performance.now();
+  }
+  
+  endFrame() {
+    // Skip the frame profiling was switched on in - it has no start time
+    if (!this.enabled || this.frameStart === null) return;
+    
+    this.frame.current = performance.now() - this.frameStart;
+    this.pushSample(this.frame);
+    
+    for (const section of this.sections.values()) {
+      this.pushSample(section);
+    }
+  }
+  
+  begin(name) {
+    if (!this.enabled) return;
+    
+    let section = this.sections.get(name);
+    if (!section) {
+      section = this.createSection(name);
+      this.sections.set(name, section);
+    }
+    section.started = performance.now();
+  }
+  
+  end(name) {
+    if (!this.enabled) return;
+    
+    // Ignore ends without a begin (e.g. profiling was switched on mid-frame)
+    const section = this.sections.get(name);
+    if (!section || section.started === null) return;
+    
+    section.current += performance.now() - section.started;
+    section.started = null;
+  }
+  
+  // Time a callback as one section and return its result
+  measure(name, callback) {
+    this.begin(name);
+    const result = callback();
+    this.end(name);
+    return result;
+  }
+  
+  pushSample(section) {
+    section.total += section.current - section.history[section.historyIndex];
+    section.history[section.historyIndex] = section.current;
+    section.historyIndex = (section.historyIndex + 1) % this.windowSize;
+    section.average = section.total / this.windowSize;
+    section.max = Math.max(...section.history);
+    section.current = 0;
+  }
+  
+  // Sections with children listed right after their parent
+  getSections() {
+    const sections = [...this.sections.values()];
+    const parents = sections.filter(section => section.depth === 0);
+    const ordered = [];
+    
+    for (const parent of parents) {
+      ordered.push(parent);
+      ordered.push(...sections.filter(section => section.name.startsWith(`${parent.name}.`)));
+    }
+    
+    // Children whose parent is never measured
+    ordered.push(...sections.filter(section => !ordered.includes(section)));
+    return ordered;
+  }
+}
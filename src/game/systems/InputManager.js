@@ -1,5 +1,6 @@
 export class InputManager {
-  constructor(canvas) {
+  // Without a canvas the manager is detached: no DOM listeners, state is fed via applySnapshot()
+  constructor(canvas = null) {
     this.canvas = canvas;
     
     // Keyboard state
@@ -22,6 +23,9 @@ export class InputManager {
     // Touch state (for mobile support)
     this.touches = new Map();
     
+    // Swallow every key's browser default (e.g. while the dev console is typing)
+    this.captureAllKeys = false;
+    
     // Input mappings
     this.actionMappings = new Map([
       ['moveUp', ['w', 'W', 'ArrowUp']],
@@ -33,10 +37,12 @@ export class InputManager {
       ['interact', [' ', 'e', 'E']]
     ]);
     
-    // Make canvas focusable
-    this.canvas.tabIndex = 1;
-    
-    this.setupEventListeners();
+    if (this.canvas) {
+      // Make canvas focusable
+      this.canvas.tabIndex = 1;
+      
+      this.setupEventListeners();
+    }
   }
   
   setupEventListeners() {
@@ -96,14 +102,13 @@ export class InputManager {
   
   handleKeyDown(event) {
     // Prevent default for game keys
-    if (this.isGameKey(event.key)) {
+    if (this.captureAllKeys || this.isGameKey(event.key)) {
       event.preventDefault();
     }
     
     // If this key wasn't already down, it's a new press
     if (!this.keys.has(event.key)) {
       this.frameKeyPresses.add(event.key);
-      console.log('New key press:', event.key);
     }
     
     this.keys.set(event.key, true);
@@ -194,13 +199,12 @@ export class InputManager {
   
   isKeyPressed(key) {
     // Check if this key was pressed this frame
-    const pressed = this.frameKeyPresses.has(key);
-    
-    if (pressed && (key === 'ArrowUp' || key === 'ArrowDown' || key === 'Enter')) {
-      console.log(`isKeyPressed(${key}): PRESSED!`);
-    }
-    
-    return pressed;
+    return this.frameKeyPresses.has(key);
+  }
+  
+  // Every key pressed this frame, in the order they were pressed
+  getPressedKeys() {
+    return [...this.frameKeyPresses];
   }
   
   isKeyReleased(key) {
@@ -259,7 +263,7 @@ export class InputManager {
   isGameKey(key) {
     const gameKeys = ['w', 'a', 's', 'd', 'W', 'A', 'S', 'D', 
                      'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight',
-                     ' ', 'Shift', 'p', 'P', 'Escape'];
+                     ' ', 'Shift', 'p', 'P', 'Escape', '`', 'F3', 'F4'];
     return gameKeys.includes(key);
   }
   
@@ -278,8 +282,34 @@ export class InputManager {
     this.frameKeyReleases.clear();
   }
   
+  // Capture the input state the game sees this tick (used for replay recording)
+  getSnapshot() {
+    return {
+      keys: [...this.keys.keys()],
+      pressed: [...this.frameKeyPresses],
+      released: [...this.frameKeyReleases],
+      mouse: [this.mouse.x, this.mouse.y, ...this.mouse.buttons.keys()],
+      wheel: this.mouse.wheel
+    };
+  }
+  
+  // Overwrite the current input state with a recorded snapshot
+  applySnapshot(snapshot) {
+    this.keys = new Map(snapshot.keys.map(key => [key, true]));
+    this.frameKeyPresses = new Set(snapshot.pressed);
+    this.frameKeyReleases = new Set(snapshot.released);
+    
+    const [x, y, ...buttons] = snapshot.mouse;
+    this.mouse.x = x;
+    this.mouse.y = y;
+    this.mouse.buttons = new Map(buttons.map(button => [button, true]));
+    this.mouse.wheel = snapshot.wheel;
+  }
+  
   // Ensure canvas has focus
   ensureFocus() {
+    if (!this.canvas) return;
+    
     if (document.activeElement !== this.canvas) {
       console.log('Refocusing canvas');
       this.canvas.focus();
@@ -0,0 +1,305 @@
+import { GENERATED_LEVEL_ID } from '../data/levels.js';
+import { SHELF_COLORS, SHELF_ORIENTATIONS } from '../entities/Shelf.js';
+import { LEVEL_FORMAT, LEVEL_VERSION } from './LevelLoader.js';
+import { Random } from './Random.js';
+
+// Collision boxes that have to be able to reach every shelf (Player and Kid sizes)
+const WALKERS = {
+  player: { width: 48, height: 64 },
+  kid: { width: 48, height: 60 }
+};
+
+// Resolution of the reachability grid, in pixels
+const GRID_STEP = 8;
+
+// Shelf arrangements placed in each zone, as offsets from the zone's corner.
+// Shelves may touch each other (stacks) - touching sides aren't faces.
+const V = SHELF_ORIENTATIONS.vertical;
+const H = SHELF_ORIENTATIONS.horizontal;
+const PATTERNS = {
+  // Two facing rows with an aisle between them
+  aisle: [
+    { x: 0, y: 0, orientation: 'horizontal' },
+    { x: H.width, y: 0, orientation: 'horizontal' },
+    { x: H.width * 2, y: 0, orientation: 'horizontal' },
+    { x: 0, y: 176, orientation: 'horizontal' },
+    { x: H.width, y: 176, orientation: 'horizontal' },
+    { x: H.width * 2, y: 176, orientation: 'horizontal' }
+  ],
+  // Two columns with an aisle between them
+  columns: [
+    { x: 0, y: 0, orientation: 'vertical' },
+    { x: 0, y: V.height, orientation: 'vertical' },
+    { x: 208, y: 0, orientation: 'vertical' },
+    { x: 208, y: V.height, orientation: 'vertical' }
+  ],
+  // Free-standing block of four
+  island: [
+    { x: 0, y: 0, orientation: 'vertical' },
+    { x: V.width, y: 0, orientation: 'vertical' },
+    { x: 0, y: V.height, orientation: 'vertical' },
+    { x: V.width, y: V.height, orientation: 'vertical' }
+  ],
+  // Upright stack with a low run along the bottom
+  lShape: [
+    { x: 0, y: 0, orientation: 'vertical' },
+    { x: 0, y: V.height, orientation: 'vertical' },
+    { x: V.width, y: V.height * 2 - H.height, orientation: 'horizontal' },
+    { x: V.width + H.width, y: V.height * 2 - H.height, orientation: 'horizontal' }
+  ],
+  // A couple of lone shelves
+  scattered: [
+    { x: 0, y: 40, orientation: 'vertical' },
+    { x: 180, y: 120, orientation: 'vertical' },
+    { x: 110, y: 0, orientation: 'horizontal' }
+  ]
+};
+const PATTERN_NAMES = Object.keys(PATTERNS);
+
+// Capacities to mix in - clamped to what the shelf orientation holds
+const CAPACITIES = [4, 6, 6, 8];
+
+// Builds random library layouts in the level file format (see LevelLoader).
+// The same seed always gives the same layout, so generated runs can be saved and replayed.
+export class LevelGenerator {
+  constructor(options = {}) {
+    this.name = options.name ?? 'Random Library';
+    this.columns = options.columns ?? 5;
+    this.rows = options.rows ?? 3;
+    this.zoneWidth = options.zoneWidth ?? 440;
+    this.zoneHeight = options.zoneHeight ?? 400;
+    this.zonePadding = options.zonePadding ?? 60; // Keeps neighbouring zones apart by a wide aisle
+    this.margin = options.margin ?? 100; // Walkway around the outside, where kids come in
+    this.maxAttempts = options.maxAttempts ?? 20;
+  }
+  
+  generate(seed, id = GENERATED_LEVEL_ID) {
+    const rng = new Random(seed);
+    
+    for (let attempt = 0; attempt < this.maxAttempts; attempt++) {
+      const level = this.buildLayout(rng, id, attempt === this.maxAttempts - 1);
+      if (LevelGenerator.findUnreachableShelves(level).length === 0) {
+        return level;
+      }
+    }
+    throw new Error(`Couldn't generate a walkable layout for seed ${seed}`);
+  }
+  
+  // plain: every zone gets a lone column pair - the last-resort layout
+  buildLayout(rng, id, plain) {
+    const width = this.margin * 2 + this.columns * this.zoneWidth;
+    const height = this.margin * 2 + this.rows * this.zoneHeight;
+    const shelves = [];
+    
+    for (let row = 0; row < this.rows; row++) {
+      for (let column = 0; column < this.columns; column++) {
+        const pattern = PATTERNS[plain ? 'columns' : rng.pick(PATTERN_NAMES)];
+        const flip = !plain && rng.chance(0.5); // Mirror left-right for more variety
+        
+        // Jitter the pattern inside the zone, snapped to a 20px grid
+        const patternWidth = Math.max(...pattern.map(piece => piece.x + SHELF_ORIENTATIONS[piece.orientation].width));
+        const patternHeight = Math.max(...pattern.map(piece => piece.y + SHELF_ORIENTATIONS[piece.orientation].height));
+        const innerWidth = this.zoneWidth - this.zonePadding * 2;
+        const innerHeight = this.zoneHeight - this.zonePadding * 2;
+        const offsetX = this.margin + column * this.zoneWidth + this.zonePadding +
+          Math.floor(rng.next() * Math.max(0, innerWidth - patternWidth) / 20) * 20;
+        const offsetY = this.margin + row * this.zoneHeight + this.zonePadding +
+          Math.floor(rng.next() * Math.max(0, innerHeight - patternHeight) / 20) * 20;
+        
+        for (const piece of pattern) {
+          const layout = SHELF_ORIENTATIONS[piece.orientation];
+          const x = flip ? patternWidth - piece.x - layout.width : piece.x;
+          shelves.push({
+            x: offsetX + x,
+            y: offsetY + piece.y,
+            capacity: Math.min(rng.pick(CAPACITIES), layout.slotColumns * layout.slotRows),
+            orientation: piece.orientation
+          });
+        }
+      }
+    }
+    
+    this.assignColors(rng, shelves);
+    
+    return {
+      format: LEVEL_FORMAT,
+      version: LEVEL_VERSION,
+      id,
+      name: this.name,
+      world: { width, height },
+      floor: { texture: 'woodFloor', scale: 0.5, color: '#d4a574' },
+      playerStart: { x: this.margin / 2 - WALKERS.player.width / 2, y: height / 2 - WALKERS.player.height / 2 },
+      shelfColors: [...SHELF_COLORS],
+      shelves,
+      spawnDoors: this.createSpawnDoors(width, height)
+    };
+  }
+  
+  // Spread colors so each gets the same number of shelves (give or take one)
+  // and about the same number of books, then shuffle who gets what
+  assignColors(rng, shelves) {
+    const totals = SHELF_COLORS.map(color => ({ color, shelves: 0, books: 0 }));
+    const order = rng.shuffle(shelves.map((shelf, index) => index));
+    order.sort((a, b) => shelves[b].capacity - shelves[a].capacity);
+    
+    const maxShelves = Math.ceil(shelves.length / SHELF_COLORS.length);
+    for (const index of order) {
+      const candidates = totals.filter(total => total.shelves < maxShelves);
+      const lightest = candidates.reduce((best, total) => total.books < best.books ? total : best);
+      lightest.shelves++;
+      lightest.books += shelves[index].capacity;
+      shelves[index].color = lightest.color;
+    }
+  }
+  
+  // Doors in the outer walkway: two on each side
+  createSpawnDoors(width, height) {
+    const edge = this.margin / 2;
+    return [
+      { x: width / 3, y: edge },
+      { x: width * 2 / 3, y: edge },
+      { x: width / 3, y: height - edge },
+      { x: width * 2 / 3, y: height - edge },
+      { x: edge, y: height / 4 },
+      { x: edge, y: height * 3 / 4 },
+      { x: width - edge, y: height / 3 },
+      { x: width - edge, y: height * 2 / 3 }
+    ];
+  }
+  
+  // Indexes of shelves with a face that the librarian (from playerStart) or a kid
+  // (from the spawn doors) can't get next to. A face is a shelf side that isn't
+  // flush against another shelf or backed onto the edge of the world. Also reports
+  // -1 if a spawn door is cut off.
+  static findUnreachableShelves(level) {
+    const obstacles = level.shelves.map(shelf => {
+      const layout = SHELF_ORIENTATIONS[shelf.orientation ?? 'vertical'];
+      return { x: shelf.x, y: shelf.y, width: layout.width, height: layout.height };
+    });
+    
+    const player = LevelGenerator.floodFill(level, obstacles, WALKERS.player,
+      [{ x: level.playerStart.x, y: level.playerStart.y }]);
+    const kidStarts = level.spawnDoors.map(door => ({ x: door.x - WALKERS.kid.width / 2, y: door.y - WALKERS.kid.height / 2 }));
+    const kid = LevelGenerator.floodFill(level, obstacles, WALKERS.kid, kidStarts.slice(0, 1));
+    
+    const unreachable = [];
+    if (!kidStarts.every(start => kid.isReachable(start.x, start.y))) {
+      unreachable.push(-1);
+    }
+    
+    obstacles.forEach((shelf, index) => {
+      for (const side of ['left', 'right', 'top', 'bottom']) {
+        if (LevelGenerator.isCoveredSide(shelf, side, obstacles) || LevelGenerator.isAgainstEdge(level, shelf, side)) continue;
+        if (!player.canReachSide(shelf, side) || !kid.canReachSide(shelf, side)) {
+          unreachable.push(index);
+          return;
+        }
+      }
+    });
+    return unreachable;
+  }
+  
+  static isCoveredSide(shelf, side, obstacles) {
+    return obstacles.some(other => {
+      if (other === shelf) return false;
+      const overlapsY = other.y < shelf.y + shelf.height && other.y + other.height > shelf.y;
+      const overlapsX = other.x < shelf.x + shelf.width && other.x + other.width > shelf.x;
+      switch (side) {
+        case 'left': return overlapsY && other.x + other.width === shelf.x;
+        case 'right': return overlapsY && other.x === shelf.x + shelf.width;
+        case 'top': return overlapsX && other.y + other.height === shelf.y;
+        default: return overlapsX && other.y === shelf.y + shelf.height;
+      }
+    });
+  }
+  
+  // Too close to the edge of the world for anyone to stand there
+  static isAgainstEdge(level, shelf, side) {
+    const minWidth = Math.min(WALKERS.player.width, WALKERS.kid.width);
+    const minHeight = Math.min(WALKERS.player.height, WALKERS.kid.height);
+    switch (side) {
+      case 'left': return shelf.x < minWidth;
+      case 'right': return level.world.width - (shelf.x + shelf.width) < minWidth;
+      case 'top': return shelf.y < minHeight;
+      default: return level.world.height - (shelf.y + shelf.height) < minHeight;
+    }
+  }
+  
+  // Grid of top-left positions a box of the given size can reach from the start points
+  static floodFill(level, obstacles, box, starts) {
+    const columns = Math.floor((level.world.width - box.width) / GRID_STEP) + 1;
+    const rows = Math.floor((level.world.height - box.height) / GRID_STEP) + 1;
+    
+    // Cells where the box would overlap something
+    const blocked = new Uint8Array(columns * rows);
+    for (const obstacle of obstacles) {
+      const minColumn = Math.max(0, Math.floor((obstacle.x - box.width) / GRID_STEP) + 1);
+      const maxColumn = Math.min(columns - 1, Math.ceil((obstacle.x + obstacle.width) / GRID_STEP) - 1);
+      const minRow = Math.max(0, Math.floor((obstacle.y - box.height) / GRID_STEP) + 1);
+      const maxRow = Math.min(rows - 1, Math.ceil((obstacle.y + obstacle.height) / GRID_STEP) - 1);
+      for (let row = minRow; row <= maxRow; row++) {
+        blocked.fill(1, row * columns + minColumn, row * columns + maxColumn + 1);
+      }
+    }
+    
+    const reached = new Uint8Array(columns * rows);
+    const queue = [];
+    for (const start of starts) {
+      const column = Math.round(start.x / GRID_STEP);
+      const row = Math.round(start.y / GRID_STEP);
+      if (column < 0 || row < 0 || column >= columns || row >= rows) continue;
+      const cell = row * columns + column;
+      if (!blocked[cell] && !reached[cell]) {
+        reached[cell] = 1;
+        queue.push(cell);
+      }
+    }
+    
+    while (queue.length > 0) {
+      const cell = queue.pop();
+      const column = cell % columns;
+      const neighbours = [
+        column > 0 ? cell - 1 : -1,
+        column < columns - 1 ? cell + 1 : -1,
+        cell - columns,
+        cell + columns
+      ];
+      for (const next of neighbours) {
+        if (next < 0 || next >= reached.length || reached[next] || blocked[next]) continue;
+        reached[next] = 1;
+        queue.push(next);
+      }
+    }
+    
+    const isReached = (column, row) => column >= 0 && row >= 0 && column < columns && row < rows && reached[row * columns + column] === 1;
+    
+    return {
+      isReachable: (x, y) => isReached(Math.round(x / GRID_STEP), Math.round(y / GRID_STEP)),
+      
+      // Some reached position within a grid step of the side, overlapping it along its length
+      canReachSide: (shelf, side) => {
+        let columnRange, rowRange;
+        if (side === 'left' || side === 'right') {
+          const x = side === 'left' ? shelf.x - box.width : shelf.x + shelf.width;
+          columnRange = side === 'left'
+            ? [Math.floor((x - GRID_STEP) / GRID_STEP) + 1, Math.floor(x / GRID_STEP)]
+            : [Math.ceil(x / GRID_STEP), Math.ceil((x + GRID_STEP) / GRID_STEP) - 1];
+          rowRange = [Math.floor((shelf.y - box.height) / GRID_STEP) + 1, Math.ceil((shelf.y + shelf.height) / GRID_STEP) - 1];
+        } else {
+          const y = side === 'top' ? shelf.y - box.height : shelf.y + shelf.height;
+          rowRange = side === 'top'
+            ? [Math.floor((y - GRID_STEP) / GRID_STEP) + 1, Math.floor(y / GRID_STEP)]
+            : [Math.ceil(y / GRID_STEP), Math.ceil((y + GRID_STEP) / GRID_STEP) - 1];
+          columnRange = [Math.floor((shelf.x - box.width) / GRID_STEP) + 1, Math.ceil((shelf.x + shelf.width) / GRID_STEP) - 1];
+        }
+        
+        for (let row = rowRange[0]; row <= rowRange[1]; row++) {
+          for (let column = columnRange[0]; column <= columnRange[1]; column++) {
+            if (isReached(column, row)) return true;
+          }
+        }
+        return false;
+      }
+    };
+  }
+}
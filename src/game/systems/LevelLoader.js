@@ -0,0 +1,253 @@
+import { GENERATED_LEVEL_ID } from '../data/levels.js';
+import { SHELF_COLORS, SHELF_ORIENTATIONS, Shelf } from '../entities/Shelf.js';
+import { VolumeBlock } from '../entities/VolumeBlock.js';
+import { Wall } from '../entities/Wall.js';
+import { LevelGenerator } from './LevelGenerator.js';
+
+export const LEVEL_FORMAT = 'volume-heist-level';
+export const LEVEL_VERSION = 1;
+
+// Walls are centered on room edges
+const WALL_THICKNESS = 24;
+
+// Builds the library from level files. A level describes:
+//   world        { width, height } in pixels
+//   floor        { texture (image asset), scale, color (fallback while loading) }
+//   playerStart  { x, y }
+//   shelfColors  colors shared out (evenly, in a random order) to shelves without a color
+//   shelves      [{ x, y, color?, capacity?, orientation? }] - every shelf starts full
+//   spawnDoors   [{ x, y }] where kids enter
+//   rooms        optional [{ id, name, x, y, width, height, floorTint? }] - walls are built
+//                along every room edge, except where a doorway crosses it
+//   doorways     optional [{ x, y, width, height }] gaps in the walls between rooms
+export class LevelLoader {
+  constructor(game) {
+    this.game = game;
+    this.levels = new Map();
+    this.generator = new LevelGenerator();
+  }
+  
+  static validate(level) {
+    if (!level || level.format !== LEVEL_FORMAT) {
+      throw new Error('Not a level file');
+    }
+    if (level.version !== LEVEL_VERSION) {
+      throw new Error(`Unsupported level version: ${level.version}`);
+    }
+    if (!level.world || !(level.world.width > 0) || !(level.world.height > 0)) {
+      throw new Error(`Level ${level.id} has no world size`);
+    }
+    if (!level.playerStart || !Array.isArray(level.shelves) || !Array.isArray(level.spawnDoors)) {
+      throw new Error(`Level ${level.id} is missing playerStart, shelves or spawnDoors`);
+    }
+    if (level.spawnDoors.length === 0) {
+      throw new Error(`Level ${level.id} needs at least one spawn door`);
+    }
+    
+    for (const room of level.rooms || []) {
+      if (!(room.width > 0) || !(room.height > 0)) {
+        throw new Error(`Level ${level.id} room ${room.id} has no size`);
+      }
+    }
+    for (const doorway of level.doorways || []) {
+      if (!(level.rooms?.length > 0)) {
+        throw new Error(`Level ${level.id} has doorways but no rooms`);
+      }
+      if (!(doorway.width > 0) || !(doorway.height > 0)) {
+        throw new Error(`Level ${level.id} has a doorway with no size`);
+      }
+    }
+    
+    level.shelves.forEach((shelf, index) => {
+      const layout = SHELF_ORIENTATIONS[shelf.orientation ?? 'vertical'];
+      if (!layout) {
+        throw new Error(`Level ${level.id} shelf ${index} has unknown orientation: ${shelf.orientation}`);
+      }
+      
+      const capacity = shelf.capacity ?? 6;
+      if (capacity < 1 || capacity > layout.slotColumns * layout.slotRows) {
+        throw new Error(`Level ${level.id} shelf ${index} capacity ${capacity} doesn't fit a ${shelf.orientation ?? 'vertical'} shelf`);
+      }
+      
+      if (shelf.color && !SHELF_COLORS.includes(shelf.color)) {
+        throw new Error(`Level ${level.id} shelf ${index} has unknown color: ${shelf.color}`);
+      }
+      if (!shelf.color && !(level.shelfColors?.length > 0)) {
+        throw new Error(`Level ${level.id} shelf ${index} has no color and the level has no shelfColors`);
+      }
+    });
+  }
+  
+  register(id, level) {
+    LevelLoader.validate(level);
+    this.levels.set(id, level);
+  }
+  
+  has(id) {
+    return id === GENERATED_LEVEL_ID || this.levels.has(id);
+  }
+  
+  get(id) {
+    const level = this.levels.get(id);
+    if (!level) {
+      throw new Error(`Unknown level: ${id}`);
+    }
+    return level;
+  }
+  
+  // Level for a run - the generated level is built from the run's seed,
+  // so saves and replays get the same layout back
+  load(id, seed) {
+    if (id === GENERATED_LEVEL_ID) {
+      return this.generator.generate(seed, id);
+    }
+    return this.get(id);
+  }
+  
+  // Levels to pick from, in menu order
+  getLevelIds() {
+    return [...this.levels.keys(), GENERATED_LEVEL_ID];
+  }
+  
+  getLevelName(id) {
+    return id === GENERATED_LEVEL_ID ? this.generator.name : (this.levels.get(id)?.name || id);
+  }
+  
+  // Create the level's shelves, each filled with volume blocks of its color.
+  // Uses the run's RNG, so call it after the run is seeded.
+  createShelves(level) {
+    const shelves = [];
+    const volumeBlocks = [];
+    
+    // Balanced color distribution for uncolored shelves, shuffled for variety
+    const uncoloredCount = level.shelves.filter(shelf => !shelf.color).length;
+    const colorDistribution = [];
+    for (let i = 0; i < uncoloredCount; i++) {
+      colorDistribution.push(level.shelfColors[i % level.shelfColors.length]);
+    }
+    this.game.rng.shuffle(colorDistribution);
+    
+    for (const data of level.shelves) {
+      const color = data.color || colorDistribution.shift();
+      const shelf = new Shelf(this.game, data.x, data.y, color, data.capacity ?? 6, data.orientation ?? 'vertical');
+      shelves.push(shelf);
+      
+      for (let i = 0; i < shelf.capacity; i++) {
+        const volumeBlock = new VolumeBlock(this.game, 0, 0, color);
+        shelf.addVolumeBlock(volumeBlock);
+        volumeBlocks.push(volumeBlock);
+      }
+    }
+    
+    return { shelves, volumeBlocks };
+  }
+  
+  // Wall segments along the room edges, with gaps cut out for the doorways.
+  // Edges shared by two rooms only get one wall.
+  createWalls(level) {
+    const { width: worldWidth, height: worldHeight } = level.world;
+    const half = WALL_THICKNESS / 2;
+    const walls = [];
+    const seen = new Set();
+    
+    const addWall = (x, y, width, height) => {
+      // Keep walls on the world edge inside the world
+      const left = Math.max(0, x);
+      const top = Math.max(0, y);
+      const right = Math.min(worldWidth, x + width);
+      const bottom = Math.min(worldHeight, y + height);
+      if (right - left <= 0 || bottom - top <= 0) return;
+      
+      const key = `${left},${top},${right},${bottom}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      walls.push(new Wall(left, top, right - left, bottom - top));
+    };
+    
+    // Split an edge [start, end] around every doorway that crosses it
+    const openings = (start, end, crosses) => {
+      let pieces = [[start, end]];
+      for (const doorway of level.doorways || []) {
+        const gap = crosses(doorway);
+        if (!gap) continue;
+        pieces = pieces.flatMap(([from, to]) => {
+          if (gap[1] <= from || gap[0] >= to) return [[from, to]];
+          return [[from, gap[0]], [gap[1], to]].filter(([a, b]) => b > a);
+        });
+      }
+      return pieces;
+    };
+    
+    for (const room of level.rooms || []) {
+      const right = room.x + room.width;
+      const bottom = room.y + room.height;
+      
+      // Horizontal edges (top and bottom)
+      for (const edgeY of [room.y, bottom]) {
+        const crosses = (doorway) => (doorway.y <= edgeY + half && doorway.y + doorway.height >= edgeY - half)
+          ? [doorway.x, doorway.x + doorway.width] : null;
+        for (const [from, to] of openings(room.x - half, right + half, crosses)) {
+          addWall(from, edgeY - half, to - from, WALL_THICKNESS);
+        }
+      }
+      
+      // Vertical edges (left and right)
+      for (const edgeX of [room.x, right]) {
+        const crosses = (doorway) => (doorway.x <= edgeX + half && doorway.x + doorway.width >= edgeX - half)
+          ? [doorway.y, doorway.y + doorway.height] : null;
+        for (const [from, to] of openings(room.y - half, bottom + half, crosses)) {
+          addWall(edgeX - half, from, WALL_THICKNESS, to - from);
+        }
+      }
+    }
+    
+    return walls;
+  }
+  
+  // Save a level as a JSON file download
+  static download(level) {
+    const blob = new Blob([JSON.stringify(level, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${level.id || 'level'}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    
+    URL.revokeObjectURL(url);
+  }
+  
+  // Ask the user for a level file and parse it
+  static openFile() {
+    return new Promise((resolve, reject) => {
+      const fileInput = document.createElement('input');
+      fileInput.type = 'file';
+      fileInput.accept = '.json,application/json';
+      
+      fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        if (!file) {
+          resolve(null);
+          return;
+        }
+        
+        const reader = new FileReader();
+        reader.onload = () => {
+          try {
+            const level = JSON.parse(reader.result);
+            LevelLoader.validate(level);
+            resolve(level);
+          } catch (error) {
+            reject(error);
+          }
+        };
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(file);
+      });
+      
+      fileInput.click();
+    });
+  }
+}
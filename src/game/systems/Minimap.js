@@ -0,0 +1,145 @@
+// Overview of the whole library drawn in the bottom-right corner of the HUD:
+// shelves (tinted by color, filled by how many books they hold), books on the floor,
+// kids (carriers highlighted), bosses, the librarian and the camera's viewport.
+export class Minimap {
+  constructor(game) {
+    this.game = game;
+    this.maxWidth = 260;
+    this.maxHeight = 180;
+    this.margin = 16;
+    this.padding = 6;
+  }
+  
+  render(ctx, playingState) {
+    const { width, height } = this.game;
+    const worldWidth = playingState.worldWidth;
+    const worldHeight = playingState.worldHeight;
+    if (!worldWidth || !worldHeight) return;
+    
+    // Keep the world's aspect ratio inside the max size
+    const scale = Math.min(this.maxWidth / worldWidth, this.maxHeight / worldHeight);
+    const mapWidth = worldWidth * scale;
+    const mapHeight = worldHeight * scale;
+    const mapX = width - mapWidth - this.margin;
+    const mapY = height - mapHeight - this.margin;
+    
+    ctx.save();
+    
+    // Frame
+    ctx.fillStyle = 'rgba(40, 40, 40, 0.8)';
+    ctx.fillRect(mapX - this.padding, mapY - this.padding, mapWidth + this.padding * 2, mapHeight + this.padding * 2);
+    ctx.fillStyle = 'rgba(212, 165, 116, 0.35)';
+    ctx.fillRect(mapX, mapY, mapWidth, mapHeight);
+    
+    // Everything below is drawn in world coordinates
+    ctx.beginPath();
+    ctx.rect(mapX, mapY, mapWidth, mapHeight);
+    ctx.clip();
+    ctx.translate(mapX, mapY);
+    ctx.scale(scale, scale);
+    
+    // Walls between rooms
+    ctx.fillStyle = 'rgba(62, 39, 35, 0.9)';
+    for (const wall of playingState.walls) {
+      ctx.fillRect(wall.x, wall.y, wall.width, wall.height);
+    }
+    
+    // Minimum on-map size in world units, so small things stay visible when the world is big
+    const minSize = 3 / scale;
+    
+    this.renderShelves(ctx, playingState.shelves, minSize);
+    this.renderFloorBlocks(ctx, playingState.volumeBlocks, minSize);
+    this.renderKids(ctx, playingState.kids, minSize);
+    
+    // Bosses, big and in their own color
+    for (const boss of playingState.bosses) {
+      ctx.fillStyle = boss.color;
+      ctx.strokeStyle = '#fff';
+      ctx.lineWidth = 1 / scale;
+      ctx.beginPath();
+      ctx.arc(boss.getCenterX(), boss.getCenterY(), minSize * 2.2, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+    }
+    
+    // Librarian
+    const player = playingState.player;
+    if (player) {
+      ctx.fillStyle = '#fff';
+      ctx.strokeStyle = '#000';
+      ctx.lineWidth = 1 / scale;
+      ctx.beginPath();
+      ctx.arc(player.getCenterX(), player.getCenterY(), minSize * 1.3, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+    }
+    
+    // Camera viewport
+    const camera = this.game.camera;
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+    ctx.lineWidth = 1.5 / scale;
+    ctx.strokeRect(camera.getViewportX(), camera.getViewportY(),
+      camera.viewportWidth / camera.zoom, camera.viewportHeight / camera.zoom);
+    
+    ctx.restore();
+  }
+  
+  renderShelves(ctx, shelves, minSize) {
+    for (const shelf of shelves) {
+      const shelfWidth = Math.max(minSize, shelf.width);
+      const shelfHeight = Math.max(minSize, shelf.height);
+      const filled = shelf.volumeBlocks.filter(volumeBlock => volumeBlock !== null).length / shelf.capacity;
+      
+      // Empty part dark, filled part in the shelf's color from the bottom up
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+      ctx.fillRect(shelf.x, shelf.y, shelfWidth, shelfHeight);
+      ctx.fillStyle = shelf.getColorHex();
+      ctx.fillRect(shelf.x, shelf.y + shelfHeight * (1 - filled), shelfWidth, shelfHeight * filled);
+    }
+  }
+  
+  renderFloorBlocks(ctx, volumeBlocks, minSize) {
+    // One path per color keeps this cheap with hundreds of books
+    const byColor = new Map();
+    for (const volumeBlock of volumeBlocks) {
+      if (volumeBlock.isHeld || volumeBlock.isShelved) continue;
+      const color = volumeBlock.getColorHex();
+      if (!byColor.has(color)) byColor.set(color, []);
+      byColor.get(color).push(volumeBlock);
+    }
+    
+    const size = Math.max(minSize, 8);
+    for (const [color, blocks] of byColor) {
+      ctx.fillStyle = color;
+      ctx.beginPath();
+      for (const volumeBlock of blocks) {
+        ctx.rect(volumeBlock.getCenterX() - size / 2, volumeBlock.getCenterY() - size / 2, size, size);
+      }
+      ctx.fill();
+    }
+  }
+  
+  renderKids(ctx, kids, minSize) {
+    for (const kid of kids) {
+      const x = kid.getCenterX();
+      const y = kid.getCenterY();
+      
+      if (kid.carriedVolumeBlock) {
+        // Carriers get a yellow ring around the color of the stolen book
+        ctx.fillStyle = '#ffeb3b';
+        ctx.beginPath();
+        ctx.arc(x, y, minSize * 1.6, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = kid.carriedVolumeBlock.getColorHex();
+        ctx.beginPath();
+        ctx.arc(x, y, minSize, 0, Math.PI * 2);
+        ctx.fill();
+      } else {
+        ctx.fillStyle = '#f44336';
+        ctx.beginPath();
+        ctx.arc(x, y, minSize, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    }
+  }
+}
@@ -0,0 +1,283 @@
+// Walkable grid for kid pathfinding, built once per run from the shelf and wall
+// collision boxes. A cell is open when an agent-sized box centered on it stays clear
+// of every obstacle, so paths are lists of agent-center points.
+const CLEARANCE = 2; // Extra gap kept around obstacles so smoothed paths don't clip corners
+const DIAGONAL_COST = Math.SQRT2;
+
+// Neighbour offsets: the four straight moves first, then diagonals
+const NEIGHBOURS = [
+  [1, 0], [-1, 0], [0, 1], [0, -1],
+  [1, 1], [1, -1], [-1, 1], [-1, -1]
+];
+
+export class NavGrid {
+  constructor(worldWidth, worldHeight, obstacles, agent, cellSize = 16) {
+    this.cellSize = cellSize;
+    this.columns = Math.ceil(worldWidth / cellSize);
+    this.rows = Math.ceil(worldHeight / cellSize);
+    this.halfWidth = agent.width / 2 + CLEARANCE;
+    this.halfHeight = agent.height / 2 + CLEARANCE;
+    
+    const cellCount = this.columns * this.rows;
+    this.blocked = new Uint8Array(cellCount);
+    
+    // Search buffers, reused between searches - a cell's entries are only valid
+    // when its stamp matches the current search
+    this.stamp = new Uint32Array(cellCount);
+    this.searchId = 0;
+    this.cost = new Float64Array(cellCount);
+    this.cameFrom = new Int32Array(cellCount);
+    this.closed = new Uint8Array(cellCount);
+    this.heapCells = []; // Open list: binary min-heap of cells by estimated total cost
+    this.heapPriorities = [];
+    
+    // The agent has to fit inside the world
+    for (let row = 0; row < this.rows; row++) {
+      for (let column = 0; column < this.columns; column++) {
+        const x = (column + 0.5) * cellSize;
+        const y = (row + 0.5) * cellSize;
+        if (x - agent.width / 2 < 0 || x + agent.width / 2 > worldWidth ||
+            y - agent.height / 2 < 0 || y + agent.height / 2 > worldHeight) {
+          this.blocked[row * this.columns + column] = 1;
+        }
+      }
+    }
+    
+    for (const obstacle of obstacles) {
+      this.blockRect(obstacle.x, obstacle.y, obstacle.width, obstacle.height);
+    }
+  }
+  
+  // Block every cell whose agent box would overlap the rectangle
+  blockRect(x, y, width, height) {
+    const size = this.cellSize;
+    const minColumn = Math.max(0, Math.ceil((x - this.halfWidth) / size - 0.5));
+    const maxColumn = Math.min(this.columns - 1, Math.floor((x + width + this.halfWidth) / size - 0.5));
+    const minRow = Math.max(0, Math.ceil((y - this.halfHeight) / size - 0.5));
+    const maxRow = Math.min(this.rows - 1, Math.floor((y + height + this.halfHeight) / size - 0.5));
+    for (let row = minRow; row <= maxRow; row++) {
+      this.blocked.fill(1, row * this.columns + minColumn, row * this.columns + maxColumn + 1);
+    }
+  }
+  
+  toColumn(x) {
+    return Math.max(0, Math.min(this.columns - 1, Math.floor(x / this.cellSize)));
+  }
+  
+  toRow(y) {
+    return Math.max(0, Math.min(this.rows - 1, Math.floor(y / this.cellSize)));
+  }
+  
+  getCellCenter(cell) {
+    return {
+      x: ((cell % this.columns) + 0.5) * this.cellSize,
+      y: (Math.floor(cell / this.columns) + 0.5) * this.cellSize
+    };
+  }
+  
+  isOpen(column, row) {
+    return column >= 0 && row >= 0 && column < this.columns && row < this.rows &&
+      this.blocked[row * this.columns + column] === 0;
+  }
+  
+  isOpenAt(x, y) {
+    return this.isOpen(Math.floor(x / this.cellSize), Math.floor(y / this.cellSize));
+  }
+  
+  // Closest open cell to a point, searching outward ring by ring (-1 if none nearby)
+  findOpenCell(x, y, maxRadius = 8) {
+    const column = this.toColumn(x);
+    const row = this.toRow(y);
+    for (let radius = 0; radius <= maxRadius; radius++) {
+      let best = -1;
+      let bestDistance = Infinity;
+      for (let dy = -radius; dy <= radius; dy++) {
+        for (let dx = -radius; dx <= radius; dx++) {
+          if (Math.max(Math.abs(dx), Math.abs(dy)) !== radius || !this.isOpen(column + dx, row + dy)) continue;
+          const cell = (row + dy) * this.columns + column + dx;
+          const center = this.getCellCenter(cell);
+          const distance = Math.hypot(center.x - x, center.y - y);
+          if (distance < bestDistance) {
+            best = cell;
+            bestDistance = distance;
+          }
+        }
+      }
+      if (best !== -1) return best;
+    }
+    return -1;
+  }
+  
+  // Path from (startX, startY) to the open cell nearest (goalX, goalY)
+  findPathToPoint(startX, startY, goalX, goalY, maxNodes) {
+    const goal = this.findOpenCell(goalX, goalY);
+    if (goal === -1) return null;
+    return this.findPath(startX, startY, cell => cell === goal, goalX, goalY, maxNodes);
+  }
+  
+  // Path to anywhere an agent is within reach of the rectangle (e.g. next to a shelf)
+  findPathToRect(startX, startY, rect, reach = this.cellSize, maxNodes) {
+    const isNear = (cell) => {
+      const { x, y } = this.getCellCenter(cell);
+      return x + this.halfWidth + reach > rect.x && x - this.halfWidth - reach < rect.x + rect.width &&
+        y + this.halfHeight + reach > rect.y && y - this.halfHeight - reach < rect.y + rect.height;
+    };
+    return this.findPath(startX, startY, isNear, rect.x + rect.width / 2, rect.y + rect.height / 2, maxNodes);
+  }
+  
+  // A* over the open cells. Returns smoothed waypoints (not including the start),
+  // an empty array when already at the goal, or null when there is no way there.
+  findPath(startX, startY, isGoal, targetX, targetY, maxNodes = 20000) {
+    const start = this.findOpenCell(startX, startY, 3);
+    if (start === -1) return null;
+    
+    const columns = this.columns;
+    const targetColumn = targetX / this.cellSize - 0.5;
+    const targetRow = targetY / this.cellSize - 0.5;
+    const heuristic = (cell) => {
+      const dx = Math.abs(cell % columns - targetColumn);
+      const dy = Math.abs(Math.floor(cell / columns) - targetRow);
+      return Math.max(dx, dy) + (DIAGONAL_COST - 1) * Math.min(dx, dy);
+    };
+    
+    this.searchId++;
+    const searchId = this.searchId;
+    this.heapCells.length = 0;
+    this.heapPriorities.length = 0;
+    this.visit(start, searchId, 0, -1);
+    this.heapPush(start, heuristic(start));
+    
+    let expanded = 0;
+    while (this.heapCells.length > 0 && expanded < maxNodes) {
+      const cell = this.heapPop();
+      if (this.closed[cell]) continue;
+      this.closed[cell] = 1;
+      expanded++;
+      
+      if (isGoal(cell)) {
+        return this.smoothPath(startX, startY, this.tracePath(cell));
+      }
+      
+      const column = cell % columns;
+      const row = Math.floor(cell / columns);
+      for (let i = 0; i < NEIGHBOURS.length; i++) {
+        const [dx, dy] = NEIGHBOURS[i];
+        const nextColumn = column + dx;
+        const nextRow = row + dy;
+        if (!this.isOpen(nextColumn, nextRow)) continue;
+        
+        // No cutting corners past a blocked cell
+        const diagonal = i >= 4;
+        if (diagonal && (!this.isOpen(column + dx, row) || !this.isOpen(column, row + dy))) continue;
+        
+        const next = nextRow * columns + nextColumn;
+        const cost = this.cost[cell] + (diagonal ? DIAGONAL_COST : 1);
+        if (this.stamp[next] === searchId && (this.closed[next] || cost >= this.cost[next])) continue;
+        
+        this.visit(next, searchId, cost, cell);
+        this.heapPush(next, cost + heuristic(next));
+      }
+    }
+    return null;
+  }
+  
+  visit(cell, searchId, cost, from) {
+    if (this.stamp[cell] !== searchId) {
+      this.stamp[cell] = searchId;
+      this.closed[cell] = 0;
+    }
+    this.cost[cell] = cost;
+    this.cameFrom[cell] = from;
+  }
+  
+  tracePath(cell) {
+    const cells = [];
+    for (let current = cell; current !== -1; current = this.cameFrom[current]) {
+      cells.push(current);
+    }
+    return cells.reverse();
+  }
+  
+  // Drop waypoints that can be skipped by walking straight to a later one
+  smoothPath(startX, startY, cells) {
+    const points = cells.map(cell => this.getCellCenter(cell));
+    const path = [];
+    let from = { x: startX, y: startY };
+    let index = 0;
+    
+    // The first cell can be the one nearest a blocked start - always go through it then
+    if (points.length > 0 && !this.hasLineOfSight(from.x, from.y, points[0].x, points[0].y)) {
+      path.push(points[0]);
+      from = points[0];
+      index = 1;
+    }
+    
+    while (index < points.length) {
+      let furthest = index;
+      for (let i = points.length - 1; i > index; i--) {
+        if (this.hasLineOfSight(from.x, from.y, points[i].x, points[i].y)) {
+          furthest = i;
+          break;
+        }
+      }
+      path.push(points[furthest]);
+      from = points[furthest];
+      index = furthest + 1;
+    }
+    return path;
+  }
+  
+  // Whether every cell along a straight line is open (sampled at quarter-cell steps)
+  hasLineOfSight(x0, y0, x1, y1) {
+    const distance = Math.hypot(x1 - x0, y1 - y0);
+    const steps = Math.ceil(distance / (this.cellSize / 4));
+    for (let i = 0; i <= steps; i++) {
+      const t = steps === 0 ? 0 : i / steps;
+      if (!this.isOpenAt(x0 + (x1 - x0) * t, y0 + (y1 - y0) * t)) return false;
+    }
+    return true;
+  }
+  
+  heapPush(cell, priority) {
+    const cells = this.heapCells;
+    const priorities = this.heapPriorities;
+    let index = cells.length;
+    cells.push(cell);
+    priorities.push(priority);
+    
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (priorities[parent] <= priority) break;
+      cells[index] = cells[parent];
+      priorities[index] = priorities[parent];
+      index = parent;
+    }
+    cells[index] = cell;
+    priorities[index] = priority;
+  }
+  
+  heapPop() {
+    const cells = this.heapCells;
+    const priorities = this.heapPriorities;
+    const top = cells[0];
+    const lastCell = cells.pop();
+    const lastPriority = priorities.pop();
+    if (cells.length === 0) return top;
+    
+    let index = 0;
+    const length = cells.length;
+    while (true) {
+      const left = index * 2 + 1;
+      if (left >= length) break;
+      const right = left + 1;
+      const child = right < length && priorities[right] < priorities[left] ? right : left;
+      if (priorities[child] >= lastPriority) break;
+      cells[index] = cells[child];
+      priorities[index] = priorities[child];
+      index = child;
+    }
+    cells[index] = lastCell;
+    priorities[index] = lastPriority;
+    return top;
+  }
+}
@@ -0,0 +1,101 @@
+// Seedable pseudo-random number generator (mulberry32)
+// Every random decision that affects a run should draw from the Game's instance
+// so a run can be reproduced from its seed.
+export class Random {
+  constructor(seed = Random.generateSeed()) {
+    this.setSeed(seed);
+  }
+  
+  // Create a fresh seed for a new run
+  static generateSeed() {
+    return Math.floor(Math.random() * 0xffffffff) >>> 0;
+  }
+  
+  // Accepts numbers or strings (e.g. a "daily seed" like "2025-07-29")
+  static normalizeSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+      return seed >>> 0;
+    }
+    
+    const text = String(seed).trim();
+    if (/^\d+$/.test(text)) {
+      return Number(text) >>> 0;
+    }
+    
+    // FNV-1a hash for string seeds
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+  
+  setSeed(seed) {
+    this.seed = Random.normalizeSeed(seed);
+    this.state = this.seed;
+  }
+  
+  // Internal state, so an in-progress sequence can be saved and restored
+  getState() {
+    return this.state;
+  }
+  
+  setState(state) {
+    this.state = state >>> 0;
+  }
+  
+  // Float in [0, 1) - drop-in replacement for Math.random()
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+  
+  // Float in [min, max)
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+  
+  // Integer in [0, max)
+  int(max) {
+    return Math.floor(this.next() * max);
+  }
+  
+  // True with the given probability
+  chance(probability) {
+    return this.next() < probability;
+  }
+  
+  // Random angle in radians
+  angle() {
+    return this.next() * Math.PI * 2;
+  }
+  
+  // Random element of an array
+  pick(array) {
+    return array[this.int(array.length)];
+  }
+  
+  // Random element of an array of { weight } entries, likelier the heavier it is
+  pickWeighted(entries) {
+    const total = entries.reduce((sum, entry) => sum + entry.weight, 0);
+    let roll = this.next() * total;
+    for (const entry of entries) {
+      roll -= entry.weight;
+      if (roll < 0) return entry;
+    }
+    return entries[entries.length - 1];
+  }
+  
+  // Fisher-Yates shuffle in place
+  shuffle(array) {
+    for (let i = array.length - 1; i > 0; i--) {
+      const j = this.int(i + 1);
+      [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+  }
+}
@@ -1,7 +1,8 @@
 export class Renderer {
-  constructor(ctx, camera) {
+  constructor(ctx, camera, profiler = null) {
     this.ctx = ctx;
     this.camera = camera;
+    this.profiler = profiler; // Optional FrameProfiler, times each layer
     
     // Rendering layers
     this.layers = new Map([
@@ -71,6 +72,7 @@ export class Renderer {
     const layer = this.layers.get(layerName);
     if (!layer) return;
     
+    this.profiler?.begin(`render.${layerName}`);
     for (const renderable of layer) {
       if (renderable.render) {
         renderable.render(this.ctx, interpolation);
@@ -79,6 +81,8 @@ export class Renderer {
       }
     }
     
+    this.profiler?.end(`render.${layerName}`);
+    
     // Clear the layer after rendering (single-frame renderables)
     this.clearLayer(layerName);
   }
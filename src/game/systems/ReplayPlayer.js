@@ -0,0 +1,86 @@
+import { DEFAULT_LEVEL_ID } from '../data/levels.js';
+import { InputManager } from './InputManager.js';
+import { REPLAY_FORMAT, REPLAY_VERSION } from './ReplayRecorder.js';
+
+// Plays back a recorded run by feeding its frames into a detached InputManager,
+// which stands in for the live one while the replay runs.
+export class ReplayPlayer {
+  constructor(replay) {
+    ReplayPlayer.validate(replay);
+    
+    this.replay = replay;
+    this.seed = replay.seed;
+    this.levelId = replay.levelId ?? DEFAULT_LEVEL_ID; // Replays recorded before level files
+    this.tickCount = replay.tickCount;
+    this.tick = 0;
+    this.frameIndex = 0;
+    this.currentFrame = null;
+    this.input = new InputManager(); // Detached - no DOM listeners
+  }
+  
+  static validate(replay) {
+    if (!replay || replay.format !== REPLAY_FORMAT) {
+      throw new Error('Not a replay file');
+    }
+    if (replay.version !== REPLAY_VERSION) {
+      throw new Error(`Unsupported replay version: ${replay.version}`);
+    }
+    if (!Array.isArray(replay.frames) || replay.seed === undefined) {
+      throw new Error('Replay file is missing frames or seed');
+    }
+  }
+  
+  isFinished() {
+    return this.tick >= this.tickCount;
+  }
+  
+  // Called once per tick, before the game logic runs
+  applyNextFrame(gameData) {
+    // Frames are only stored when they change, so advance to the latest one for this tick
+    const frames = this.replay.frames;
+    while (this.frameIndex < frames.length && frames[this.frameIndex][0] <= this.tick) {
+      this.currentFrame = frames[this.frameIndex][1];
+      this.frameIndex++;
+    }
+    
+    // Re-apply every tick so per-tick clearing of key presses matches the recording
+    if (this.currentFrame) {
+      this.input.applySnapshot(this.currentFrame);
+      gameData.isPaused = this.currentFrame.paused;
+    }
+    
+    this.tick++;
+  }
+  
+  // Ask the user for a replay file and parse it
+  static openFile() {
+    return new Promise((resolve, reject) => {
+      const fileInput = document.createElement('input');
+      fileInput.type = 'file';
+      fileInput.accept = '.json,application/json';
+      
+      fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        if (!file) {
+          resolve(null);
+          return;
+        }
+        
+        const reader = new FileReader();
+        reader.onload = () => {
+          try {
+            const replay = JSON.parse(reader.result);
+            ReplayPlayer.validate(replay);
+            resolve(replay);
+          } catch (error) {
+            reject(error);
+          }
+        };
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(file);
+      });
+      
+      fileInput.click();
+    });
+  }
+}
@@ -0,0 +1,84 @@
+// Records the input the simulation sees on every fixed-timestep tick of a run.
+// Together with the run seed this is enough to recreate the run exactly.
+export const REPLAY_FORMAT = 'volume-heist-replay';
+export const REPLAY_VERSION = 1;
+
+export class ReplayRecorder {
+  constructor() {
+    this.isRecording = false;
+    this.seed = null;
+    this.levelId = null;
+    this.tick = 0;
+    this.frames = [];
+    this.lastFrameKey = null;
+    this.lastReplay = null; // Most recently finished recording
+  }
+  
+  start(seed, levelId) {
+    this.isRecording = true;
+    this.seed = seed;
+    this.levelId = levelId;
+    this.tick = 0;
+    this.frames = [];
+    this.lastFrameKey = null;
+  }
+  
+  // Called once per tick, before the game logic runs
+  captureFrame(inputManager, gameData) {
+    if (!this.isRecording) return;
+    
+    const frame = {
+      ...inputManager.getSnapshot(),
+      paused: gameData.isPaused // Pausing can happen outside the input (e.g. tab hidden)
+    };
+    
+    // Only store frames that differ from the previous one
+    const frameKey = JSON.stringify(frame);
+    if (frameKey !== this.lastFrameKey) {
+      this.frames.push([this.tick, frame]);
+      this.lastFrameKey = frameKey;
+    }
+    
+    this.tick++;
+  }
+  
+  stop() {
+    if (!this.isRecording) return this.lastReplay;
+    
+    this.isRecording = false;
+    this.lastReplay = {
+      format: REPLAY_FORMAT,
+      version: REPLAY_VERSION,
+      seed: this.seed,
+      levelId: this.levelId,
+      timestep: 1 / 60,
+      tickCount: this.tick,
+      recordedAt: new Date().toISOString(),
+      frames: this.frames
+    };
+    this.frames = [];
+    return this.lastReplay;
+  }
+  
+  // Stop without keeping anything - for runs that can't be replayed from their seed
+  discard() {
+    this.isRecording = false;
+    this.frames = [];
+    this.lastReplay = null;
+  }
+  
+  // Save a replay as a JSON file download
+  static download(replay) {
+    const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `volume-heist-replay-${replay.seed}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    
+    URL.revokeObjectURL(url);
+  }
+}
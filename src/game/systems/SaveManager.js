@@ -0,0 +1,64 @@
+// Stores an in-progress run in localStorage so it can be continued later
+
+// Bump whenever the saved run layout changes - saves from another version are ignored
+// rather than half-restored.
+//   1 - first saved runs
+//   2 - player HP and weapons, kid archetypes, paths and carrying, bosses, status effects
+export const SAVE_VERSION = 2;
+
+const STORAGE_KEY = 'volumeHeist.savedRun';
+
+export class SaveManager {
+  constructor(storageKey = STORAGE_KEY) {
+    this.storageKey = storageKey;
+  }
+  
+  isAvailable() {
+    return typeof localStorage !== 'undefined';
+  }
+  
+  hasSave() {
+    return this.load() !== null;
+  }
+  
+  save(runData) {
+    if (!this.isAvailable()) return false;
+    
+    try {
+      const saveData = {
+        version: SAVE_VERSION,
+        savedAt: new Date().toISOString(),
+        ...runData
+      };
+      localStorage.setItem(this.storageKey, JSON.stringify(saveData));
+      return true;
+    } catch (e) {
+      console.log('Failed to save run:', e);
+      return false;
+    }
+  }
+  
+  // Returns the saved run, or null if there is none or it can't be used
+  load() {
+    if (!this.isAvailable()) return null;
+    
+    try {
+      const saveData = JSON.parse(localStorage.getItem(this.storageKey));
+      if (!saveData) return null;
+      
+      if (saveData.version !== SAVE_VERSION) {
+        console.log(`[SAVE] Ignoring save with unsupported version: ${saveData.version}`);
+        return null;
+      }
+      return saveData;
+    } catch (e) {
+      console.log('Failed to load saved run:', e);
+      return null;
+    }
+  }
+  
+  clear() {
+    if (!this.isAvailable()) return;
+    localStorage.removeItem(this.storageKey);
+  }
+}
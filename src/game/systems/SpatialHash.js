@@ -0,0 +1,187 @@
+// Uniform grid for proximity queries. Entities are bucketed by the cells their
+// bounds overlap, each under a layer name (e.g. 'shelves', 'kids'), so a query
+// only looks at the entities in nearby cells instead of every entity in the world.
+export class SpatialHash {
+  constructor(cellSize = 128) {
+    this.cellSize = cellSize;
+    this.cells = new Map(); // "cx,cy" -> Map(layer -> Set of entities)
+    this.entries = new Map(); // entity -> { layer, minX, minY, maxX, maxY }
+    this.bounds = null; // Cell range that has ever been occupied - limits nearest searches
+  }
+  
+  clear() {
+    this.cells.clear();
+    this.entries.clear();
+    this.bounds = null;
+  }
+  
+  has(entity) {
+    return this.entries.has(entity);
+  }
+  
+  insert(entity, layer) {
+    if (this.entries.has(entity)) {
+      this.remove(entity);
+    }
+    
+    const range = this.getCellRange(entity.x, entity.y, entity.width, entity.height);
+    this.entries.set(entity, { layer, ...range });
+    this.expandBounds(range);
+    this.forEachCell(range, (key) => {
+      let layers = this.cells.get(key);
+      if (!layers) {
+        layers = new Map();
+        this.cells.set(key, layers);
+      }
+      if (!layers.has(layer)) {
+        layers.set(layer, new Set());
+      }
+      layers.get(layer).add(entity);
+    });
+  }
+  
+  remove(entity) {
+    const entry = this.entries.get(entity);
+    if (!entry) return;
+    
+    this.forEachCell(entry, (key) => {
+      const layers = this.cells.get(key);
+      const bucket = layers?.get(entry.layer);
+      if (!bucket) return;
+      
+      bucket.delete(entity);
+      if (bucket.size === 0) {
+        layers.delete(entry.layer);
+        if (layers.size === 0) {
+          this.cells.delete(key);
+        }
+      }
+    });
+    this.entries.delete(entity);
+  }
+  
+  // Call after an entity moves - only touches the grid if it changed cells
+  update(entity) {
+    const entry = this.entries.get(entity);
+    if (!entry) return;
+    
+    const range = this.getCellRange(entity.x, entity.y, entity.width, entity.height);
+    if (range.minX !== entry.minX || range.minY !== entry.minY ||
+        range.maxX !== entry.maxX || range.maxY !== entry.maxY) {
+      this.insert(entity, entry.layer);
+    }
+  }
+  
+  // Entities of a layer whose cells overlap the rectangle (callers do the exact test)
+  queryRect(layer, x, y, width, height) {
+    const results = [];
+    const seen = new Set();
+    this.forEachCell(this.getCellRange(x, y, width, height), (key) => {
+      const bucket = this.cells.get(key)?.get(layer);
+      if (!bucket) return;
+      
+      for (const entity of bucket) {
+        if (!seen.has(entity)) {
+          seen.add(entity);
+          results.push(entity);
+        }
+      }
+    });
+    return results;
+  }
+  
+  // Entities of a layer whose cells overlap a square around the point
+  queryRadius(layer, centerX, centerY, radius) {
+    return this.queryRect(layer, centerX - radius, centerY - radius, radius * 2, radius * 2);
+  }
+  
+  // Closest entity (center to center) matching the filter, searching outward ring by ring
+  findNearest(layer, centerX, centerY, filter = null, maxRadius = Infinity) {
+    const originX = Math.floor(centerX / this.cellSize);
+    const originY = Math.floor(centerY / this.cellSize);
+    if (!this.bounds) return null;
+    
+    const bounds = this.bounds;
+    const maxRing = Math.min(
+      Math.max(originX - bounds.minX, bounds.maxX - originX, originY - bounds.minY, bounds.maxY - originY),
+      Math.ceil(maxRadius / this.cellSize)
+    );
+    
+    let nearest = null;
+    let nearestDist = Infinity;
+    const seen = new Set();
+    
+    for (let ring = 0; ring <= maxRing; ring++) {
+      // Nothing in this ring or beyond can beat what we already found
+      if (nearest && (ring - 1) * this.cellSize > nearestDist) break;
+      
+      for (let cy = originY - ring; cy <= originY + ring; cy++) {
+        for (let cx = originX - ring; cx <= originX + ring; cx++) {
+          // Only the outer edge of the ring is new
+          if (Math.abs(cx - originX) !== ring && Math.abs(cy - originY) !== ring) continue;
+          
+          const bucket = this.cells.get(`${cx},${cy}`)?.get(layer);
+          if (!bucket) continue;
+          
+          for (const entity of bucket) {
+            if (seen.has(entity)) continue;
+            seen.add(entity);
+            if (filter && !filter(entity)) continue;
+            
+            const dx = entity.getCenterX() - centerX;
+            const dy = entity.getCenterY() - centerY;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+            if (dist < nearestDist && dist <= maxRadius) {
+              nearestDist = dist;
+              nearest = entity;
+            }
+          }
+        }
+      }
+    }
+    
+    return nearest;
+  }
+  
+  // Occupied cells with per-layer counts, for the debug overlay
+  getOccupiedCells() {
+    const occupied = [];
+    for (const [key, layers] of this.cells) {
+      const [cx, cy] = key.split(',').map(Number);
+      const counts = {};
+      for (const [layer, bucket] of layers) {
+        counts[layer] = bucket.size;
+      }
+      occupied.push({ x: cx * this.cellSize, y: cy * this.cellSize, size: this.cellSize, counts });
+    }
+    return occupied;
+  }
+  
+  getCellRange(x, y, width, height) {
+    return {
+      minX: Math.floor(x / this.cellSize),
+      minY: Math.floor(y / this.cellSize),
+      maxX: Math.floor((x + width) / this.cellSize),
+      maxY: Math.floor((y + height) / this.cellSize)
+    };
+  }
+  
+  forEachCell(range, callback) {
+    for (let cy = range.minY; cy <= range.maxY; cy++) {
+      for (let cx = range.minX; cx <= range.maxX; cx++) {
+        callback(`${cx},${cy}`);
+      }
+    }
+  }
+  
+  expandBounds(range) {
+    if (!this.bounds) {
+      this.bounds = { ...range };
+      return;
+    }
+    this.bounds.minX = Math.min(this.bounds.minX, range.minX);
+    this.bounds.minY = Math.min(this.bounds.minY, range.minY);
+    this.bounds.maxX = Math.max(this.bounds.maxX, range.maxX);
+    this.bounds.maxY = Math.max(this.bounds.maxY, range.maxY);
+  }
+}
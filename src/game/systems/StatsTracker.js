@@ -0,0 +1,23 @@
+import { GameEvents } from './EventBus.js';
+
+// Keeps the run statistics in gameData up to date from game events
+export class StatsTracker {
+  constructor(game) {
+    this.game = game;
+    
+    const events = game.events;
+    events.on(GameEvents.VOLUME_BLOCK_PICKED_UP, () => {
+      this.game.gameData.volumeBlocksCollected++;
+    });
+    events.on(GameEvents.VOLUME_BLOCK_SNATCHED, () => {
+      this.game.gameData.volumeBlocksCollected++;
+      this.game.gameData.volumeBlocksSnatched++;
+    });
+    events.on(GameEvents.VOLUME_BLOCK_SHELVED, () => {
+      this.game.gameData.volumeBlocksShelved++;
+    });
+    events.on(GameEvents.KID_REPELLED, () => {
+      this.game.gameData.kidsRepelled++;
+    });
+  }
+}
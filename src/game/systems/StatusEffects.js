@@ -0,0 +1,105 @@
+import { getStatusEffect } from '../data/statusEffects.js';
+
+// The status effects (see data/statusEffects.js) currently on one kid or the librarian.
+// Each is { id, source, timeLeft, strength } - strength is the speed multiplier for
+// effects that change speed, and 1 otherwise. Standing effects (from perks) have a
+// timeLeft of null and last until they're set again.
+export class StatusEffects {
+  constructor() {
+    this.active = [];
+  }
+  
+  apply(id, seconds, strength = 1, source = id) {
+    const effect = getStatusEffect(id);
+    if (!effect) {
+      throw new Error(`Unknown status effect '${id}'`);
+    }
+    
+    const existing = this.active.find(other => other.id === id &&
+      (effect.stacking !== 'perSource' || other.source === source));
+    if (!existing) {
+      this.active.push({ id, source, timeLeft: seconds, strength });
+      return;
+    }
+    
+    switch (effect.stacking) {
+      case 'longest':
+        existing.timeLeft = Math.max(existing.timeLeft, seconds);
+        break;
+      case 'strongest':
+        if (Math.abs(strength - 1) > Math.abs(existing.strength - 1)) {
+          Object.assign(existing, { source, timeLeft: seconds, strength });
+        } else if (strength === existing.strength) {
+          existing.timeLeft = Math.max(existing.timeLeft, seconds);
+        }
+        break;
+      case 'perSource':
+        existing.timeLeft = Math.max(existing.timeLeft, seconds);
+        existing.strength = strength;
+        break;
+    }
+  }
+  
+  // Keep a 'perSource' effect on for good at this strength (1 takes it off)
+  setStanding(id, strength, source) {
+    const effect = getStatusEffect(id);
+    if (!effect || effect.stacking !== 'perSource') {
+      throw new Error(`Status effect '${id}' can't be standing`);
+    }
+    
+    const existing = this.active.find(other => other.id === id && other.source === source);
+    if (strength === 1) {
+      this.active = this.active.filter(other => other !== existing);
+    } else if (existing) {
+      Object.assign(existing, { timeLeft: null, strength });
+    } else {
+      this.active.push({ id, source, timeLeft: null, strength });
+    }
+  }
+  
+  update(deltaTime) {
+    for (const instance of this.active) {
+      if (instance.timeLeft !== null) {
+        instance.timeLeft -= deltaTime;
+      }
+    }
+    this.active = this.active.filter(instance => instance.timeLeft === null || instance.timeLeft > 0);
+  }
+  
+  has(id) {
+    return this.active.some(instance => instance.id === id);
+  }
+  
+  getSpeedMultiplier() {
+    let multiplier = 1;
+    for (const instance of this.active) {
+      if (getStatusEffect(instance.id).affectsSpeed) {
+        multiplier *= instance.strength;
+      }
+    }
+    return multiplier;
+  }
+  
+  // One icon per kind of effect, stacked down from (x, y)
+  render(ctx, x, y) {
+    const ids = [...new Set(this.active.map(instance => instance.id))];
+    if (ids.length === 0) return;
+    
+    ctx.save();
+    ctx.font = '14px Arial';
+    ctx.textAlign = 'center';
+    ids.forEach((id, index) => {
+      ctx.fillText(getStatusEffect(id).icon, x, y + index * 16);
+    });
+    ctx.restore();
+  }
+  
+  // Plain data for run saves
+  getSaveData() {
+    return this.active.map(instance => ({ ...instance }));
+  }
+  
+  applySaveData(data) {
+    this.active = data.map(instance => ({ ...instance }));
+  }
+}
@@ -30,6 +30,7 @@ document.addEventListener('DOMContentLoaded', async () => {
   document.addEventListener('visibilitychange', () => {
     if (document.hidden && game.stateManager.currentState?.name === 'playing') {
       game.gameData.isPaused = true;
+      game.stateManager.currentState.saveRun();
     }
   });
 });
\ No newline at end of file